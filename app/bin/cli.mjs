@@ -6,10 +6,16 @@ import { spinLock } from '../lib/lock.mjs';
 import { handleTerminationSignal, exit } from '../lib/exitHandlers.mjs';
 import { setupLog } from '../lib/log.mjs';
 import { parseBool } from '../lib/parseBool.mjs';
+import { listCredentialProfiles, saveCredentialProfile, removeCredentialProfile } from '../lib/credentials.mjs';
+import { envelopeFields, listSchemas } from '../lib/ipcSchemas.mjs';
+import { hostTopic, isHostName } from '../lib/ipcBridge.mjs';
+import { readTrace, startSpan, traceDir } from '../lib/trace.mjs';
+import { enterTrace } from '../lib/traceContext.mjs';
 
 // Node stdlib
-import { default as crypto } from 'node:crypto';
 import { default as path } from 'node:path';
+import { default as readline } from 'node:readline/promises';
+import { default as Stream } from 'node:stream';
 
 // External libs
 import { default as yargs } from 'yargs';
@@ -26,8 +32,8 @@ const log = setupLog('bin/cli.mjs');
 // Create our lockfile
 await spinLock(moduleIdent, 30);
 
-// Setup our IPC "connection"
-const ipc = await setupIpc(moduleIdent);
+// Setup our IPC "connection", we come and go too quickly to be worth registering
+const ipc = await setupIpc(moduleIdent, { register: false });
 
 // Setup our termination handlers for SIGTERM and SIGINT
 // Handle SIGINT
@@ -58,10 +64,25 @@ if (ipcDebug) {
 //
 // End boilerplate
 
+// Host to send requests to, through ipcBridge, empty for this one
+var targetHost = '';
+
 ipc.on('start', () => {
   setPingReply(moduleIdent, ipc, 'running');
 
   yargs(hideBin(process.argv))
+    .option('host', {
+      type: 'string',
+      description: 'Send requests to the modules on another host, through ipcBridge',
+      global: true,
+      default: '',
+    })
+    .middleware((argv) => {
+      if (argv['host'] && !isHostName(argv['host'])) throw new Error(`${argv['host']} isn't a valid host name`);
+      targetHost = argv['host'];
+      // Everything the command does is one trace, ended by exit(), bar looking at a trace
+      if (argv._.at(0) !== 'trace') enterTrace(startSpan(moduleIdent, `cli ${argv._.at(0)}`).context);
+    })
     .command(
       'send <channel> <message>',
       'Send an IPC message',
@@ -103,18 +124,37 @@ ipc.on('start', () => {
             demand: false,
             default: false,
           })
-          .option('username', {
+          .option('credential-profile', {
             type: 'string',
-            description: 'Username to login to steam with',
+            description: 'Credential profile to login to steam with, anonymous if empty',
             demand: false,
             default: '',
           })
-          .option('password', {
+          .option('two-factor', {
+            type: 'boolean',
+            description:
+              'Account has steam guard enabled, prompt for codes when asked (unless the profile has a secret)',
+            demand: false,
+            default: false,
+          })
+          .option('beta', {
             type: 'string',
-            description: 'Password to login to steam with',
+            description: 'Steam beta branch to download (overrides the manifest)',
             demand: false,
             default: '',
           })
+          .option('priority', {
+            type: 'number',
+            description: 'Download queue priority, higher runs first',
+            demand: false,
+            default: 0,
+          })
+          .option('timeout', {
+            type: 'number',
+            description: 'Seconds without output or progress before the download is considered stalled, 0 to disable',
+            demand: false,
+            default: 0,
+          })
           .option('root-directory', {
             type: 'string',
             description: 'Root directory for install',
@@ -126,6 +166,141 @@ ipc.on('start', () => {
         downloadGame(argv);
       },
     )
+    .command(
+      'downloadWorkshop <game> <itemIds...>',
+      'Download steam workshop items for a game',
+      (yargs) => {
+        return yargs
+          .positional('game', {
+            type: 'string',
+            describe: 'Game manifest the items belong to',
+            demand: true,
+          })
+          .positional('itemIds', {
+            type: 'string',
+            describe: 'Workshop item ids to download',
+            demand: true,
+          })
+          .option('steamcmd-clean', {
+            type: 'boolean',
+            description: 'Request removal of steamcmd files before download',
+            demand: false,
+            default: false,
+          })
+          .option('credential-profile', {
+            type: 'string',
+            description: 'Credential profile to login to steam with, anonymous if empty',
+            demand: false,
+            default: '',
+          })
+          .option('two-factor', {
+            type: 'boolean',
+            description:
+              'Account has steam guard enabled, prompt for codes when asked (unless the profile has a secret)',
+            demand: false,
+            default: false,
+          })
+          .option('priority', {
+            type: 'number',
+            description: 'Download queue priority, higher runs first',
+            demand: false,
+            default: 0,
+          })
+          .option('timeout', {
+            type: 'number',
+            description: 'Seconds without output or progress before the download is considered stalled, 0 to disable',
+            demand: false,
+            default: 0,
+          })
+          .option('root-directory', {
+            type: 'string',
+            description: 'Root directory for install',
+            demand: false,
+            default: '/opt/gsm',
+          });
+      },
+      (argv) => {
+        downloadWorkshop(argv);
+      },
+    )
+    .command(
+      'checkUpdate <game>',
+      'Check for a game update without downloading it (exits 10 if an update is available)',
+      (yargs) => {
+        return yargs
+          .positional('game', {
+            type: 'string',
+            describe: 'Game manifest to check',
+            demand: true,
+          })
+          .option('beta', {
+            type: 'string',
+            description: 'Steam beta branch to check (overrides the manifest)',
+            demand: false,
+            default: '',
+          })
+          .option('credential-profile', {
+            type: 'string',
+            description: 'Credential profile to login to steam with, anonymous if empty',
+            demand: false,
+            default: '',
+          })
+          .option('two-factor', {
+            type: 'boolean',
+            description:
+              'Account has steam guard enabled, prompt for codes when asked (unless the profile has a secret)',
+            demand: false,
+            default: false,
+          })
+          .option('root-directory', {
+            type: 'string',
+            description: 'Root directory for install',
+            demand: false,
+            default: '/opt/gsm',
+          });
+      },
+      (argv) => {
+        checkUpdate(argv);
+      },
+    )
+    .command(
+      'rollback <game> [buildid]',
+      'Point a game back at an older installed build, once nothing has its base files mounted',
+      (yargs) => {
+        return yargs
+          .positional('game', {
+            type: 'string',
+            describe: 'Game to roll back',
+            demand: true,
+          })
+          .positional('buildid', {
+            type: 'string',
+            describe: 'Build to roll back to, defaults to the one installed before the current build',
+            demand: false,
+          })
+          .option('beta', {
+            type: 'string',
+            description: 'Steam beta branch to roll back (overrides the manifest)',
+            demand: false,
+            default: '',
+          })
+          .option('timeout', {
+            type: 'number',
+            description: 'Seconds to wait for instances to unmount the base files',
+            demand: false,
+            default: 30,
+          })
+          .option('root-directory', {
+            type: 'string',
+            description: 'Root directory for install',
+            demand: false,
+            default: '/opt/gsm',
+          });
+      },
+      (argv) => {
+        rollback(argv);
+      },
+    )
     .command(
       'listDownloads',
       'List running downloads',
@@ -136,6 +311,36 @@ ipc.on('start', () => {
         listDownloads(argv);
       },
     )
+    .command(
+      'listQueue',
+      'List queued, running and finished download jobs',
+      (yargs) => {
+        return yargs;
+      },
+      (argv) => {
+        listQueue(argv);
+      },
+    )
+    .command(
+      'reprioritize <jobId> <priority>',
+      'Change the priority of a queued download job',
+      (yargs) => {
+        return yargs
+          .positional('jobId', {
+            type: 'string',
+            describe: 'Job to change, see listQueue',
+            demand: true,
+          })
+          .positional('priority', {
+            type: 'number',
+            describe: 'New priority, higher runs first',
+            demand: true,
+          });
+      },
+      (argv) => {
+        reprioritize(argv);
+      },
+    )
     .command(
       'cancelDownload <game>',
       'Cancel a game download',
@@ -156,6 +361,186 @@ ipc.on('start', () => {
         cancelDownload(argv);
       },
     )
+    .command(
+      'steamGuardCode <submit-to> <code>',
+      'Submit a steam guard code for a download waiting on one',
+      (yargs) => {
+        return yargs
+          .positional('submit-to', {
+            type: 'string',
+            describe: 'Channel the download manager is waiting on',
+            demand: true,
+          })
+          .positional('code', {
+            type: 'string',
+            describe: 'Steam guard code',
+            demand: true,
+          });
+      },
+      (argv) => {
+        submitSteamGuardCode(argv);
+      },
+    )
+    .command(
+      'credentials <action> [name]',
+      'Manage steam credential profiles, secrets are prompted for when adding one',
+      (yargs) => {
+        return yargs
+          .positional('action', {
+            type: 'string',
+            describe: 'What to do',
+            choices: ['add', 'list', 'remove', 'test'],
+            demand: true,
+          })
+          .positional('name', {
+            type: 'string',
+            describe: 'Profile name, ie licensed-account',
+            demand: false,
+          })
+          .option('username', {
+            type: 'string',
+            description: 'Username to login to steam with (add)',
+            demand: false,
+            default: '',
+          })
+          .option('allowed-appids', {
+            type: 'array',
+            description: 'Appids the profile may be used for, any if empty (add)',
+            demand: false,
+            default: [],
+          })
+          .option('two-factor-secret', {
+            type: 'boolean',
+            description: 'Prompt for a steam guard shared secret (base64) to generate codes with (add)',
+            demand: false,
+            default: false,
+          })
+          .option('beta-password', {
+            type: 'boolean',
+            description: 'Prompt for a private beta branch password (add)',
+            demand: false,
+            default: false,
+          })
+          .option('game', {
+            type: 'string',
+            description: 'Game manifest to test the login with (test)',
+            demand: false,
+            default: '',
+          })
+          .option('two-factor', {
+            type: 'boolean',
+            description: 'Account has steam guard enabled, prompt for codes when asked (test)',
+            demand: false,
+            default: false,
+          })
+          .option('root-directory', {
+            type: 'string',
+            description: 'Root directory for install (test)',
+            demand: false,
+            default: '/opt/gsm',
+          });
+      },
+      (argv) => {
+        credentials(argv);
+      },
+    )
+    .command(
+      'modules',
+      'List the modules announced to the registry, or watch them come and go',
+      (yargs) => {
+        return yargs
+          .option('expect', {
+            type: 'array',
+            description: 'Modules that should be running, exits 1 if any are missing or running more than once',
+            demand: false,
+            default: [],
+          })
+          .option('watch', {
+            type: 'boolean',
+            description: 'Keep printing modules as they register, change state and go away',
+            demand: false,
+            default: false,
+          })
+          .option('json', {
+            type: 'boolean',
+            description: 'Print the list as JSON',
+            demand: false,
+            default: false,
+          });
+      },
+      (argv) => {
+        if (argv['watch']) watchModules(argv);
+        else listModules(argv);
+      },
+    )
+    .command(
+      'trace <trace-id>',
+      'Show the requests in a trace as a tree, with their timings',
+      (yargs) => {
+        return yargs
+          .positional('trace-id', {
+            type: 'string',
+            describe: 'The trace, the first id after the module in log lines',
+            demand: true,
+          })
+          .option('json', {
+            type: 'boolean',
+            description: 'Print the spans as JSON',
+            demand: false,
+            default: false,
+          });
+      },
+      (argv) => {
+        showTrace(argv);
+      },
+    )
+    .command(
+      'ipc <action> [channel]',
+      'Inspect IPC message contracts, or replay the replies a module has sent to a stream',
+      (yargs) => {
+        return yargs
+          .positional('action', {
+            type: 'string',
+            describe: 'What to do',
+            choices: ['schemas', 'replay'],
+            demand: true,
+          })
+          .positional('channel', {
+            type: 'string',
+            describe:
+              'schemas: only this channel, ie downloadManager.checkForUpdate. replay: the stream, ie cli.<requestId>',
+            demand: false,
+          })
+          .option('module', {
+            type: 'string',
+            description: 'replay: the module that sent the replies',
+            demand: false,
+            default: 'downloadManager',
+          })
+          .option('from', {
+            type: 'number',
+            description: 'replay: only replies from this sequence number on',
+            demand: false,
+            default: 0,
+          })
+          .option('last', {
+            type: 'number',
+            description: 'replay: only the last this many replies, 0 for all of them',
+            demand: false,
+            default: 0,
+          })
+          .option('json', {
+            type: 'boolean',
+            description: 'Print the contracts or replies as JSON',
+            demand: false,
+            default: false,
+          });
+      },
+      (argv) => {
+        if (argv['action'] === 'replay') ipcReplay(argv);
+        else ipcSchemas(argv);
+      },
+    )
     .command(
       'downloadGameConfig <instance-id> <repo-url> <layer-ident>',
       'Download game configuration from a git repo',
@@ -199,39 +584,38 @@ ipc.on('start', () => {
 });
 
 /**
- * Send a message out on the IPC
- * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ * The channel to send a request to, on --host if it was given
+ * @param {String} channel - the channel, ie 'downloadManager.listQueue'
+ * @returns {String} the channel, ie '_host.node2.downloadManager.listQueue' with --host node2
  */
-function sendMessage(argv) {
-  const requestId = crypto.randomUUID();
-  const targetChannel = argv.channel;
-  const msg = {
-    requestId: requestId,
-    timestamp: Date.now(),
-    message: argv.message,
-    replyTo: `${moduleIdent}.${requestId}`,
-  };
-
-  // Send out the message
-  log.info('Sending message');
-  ipc.publish(targetChannel, JSON.stringify(msg));
-
-  // Wait for replies
-  log.info('Waiting for replies');
-  setTimeout(() => {
-    exit(moduleIdent, ipc);
-  }, 10000);
+function onHost(channel) {
+  return targetHost ? hostTopic(targetHost, channel) : channel;
+}
 
-  ipc.subscribe(msg.replyTo, (data) => {
-    log.info('Message reply:', JSON.stringify(JSON.parse(data.toString()), null, 2));
-  });
+/**
+ * Send a message out on the IPC, and print whatever comes back until it goes quiet for 10 seconds
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+async function sendMessage(argv) {
+  log.info('Sending message, waiting for replies');
+  try {
+    const reply = await ipc
+      .request(argv.channel, { message: argv.message }, { timeout: 10 })
+      .on('reply', (subchannel, message) => {
+        if (subchannel) log.info(`Message reply on ${subchannel}:`, JSON.stringify(message, null, 2));
+      });
+    log.info('Message reply:', JSON.stringify(reply, null, 2));
+  } catch (error) {
+    if (error.subchannel !== 'timeout') log.error('Message failed:', error.message);
+  }
+  exit(moduleIdent, ipc);
 }
 
 /**
  * Download a game based on cli params
  * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
  */
-function downloadGame(argv) {
+async function downloadGame(argv) {
   if (debug) log.debug(argv);
   const gameId = argv.game || '';
 
@@ -244,221 +628,825 @@ function downloadGame(argv) {
   const serverFilesBaseDir = path.resolve(serverFilesRootDir, 'base', gameId);
   const steamCmdDir = path.resolve(serverFilesRootDir, 'steamcmd');
 
-  const requestId = crypto.randomUUID();
   const request = {
-    requestId: requestId,
-    replyTo: `${moduleIdent}.${requestId}`,
     gameId: gameId,
     downloadForce: argv['force'] || false,
     validate: argv['validate'] || false,
     steamCmdForce: argv['steamcmd-clean'] || false,
     steamCmdDir: steamCmdDir,
     downloadDir: serverFilesBaseDir,
-    anonymous: argv['username'] ? false : true,
-    username: argv['password'] || '',
-    password: argv['password'] || '',
+    credentialProfile: argv['credential-profile'] || '',
     serverFilesForce: argv['clean'] || false,
-    steamcmdMultiFactorEnabled: false,
+    steamcmdMultiFactorEnabled: argv['two-factor'] || false,
+    betaBranch: argv['beta'] || '',
+    priority: argv['priority'] || 0,
+    timeout: argv['timeout'] || 0,
   };
 
   log.info(`Sending request for ${request.gameId} to the download manager`);
-  ipc.publish(`downloadManager.downloadUpdateGame`, JSON.stringify(request));
+  try {
+    // No reply timeout, it can sit in the download queue for a while and downloadManager watches for stalls itself
+    const status = await ipc
+      .request(onHost('downloadManager.downloadUpdateGame'), request, { timeout: 0, followNack: true })
+      // Waiting in the download queue
+      .on('queued', (queued) => {
+        log.info(`Download queued as job ${queued.jobId}, position ${queued.position}`);
+      })
+      .on('ack', (ack) => {
+        if (debug) log.debug(`Download manager ACK request for ${request.gameId}:`, ack);
+      })
+      // Someone else already asked for it, we follow theirs (and catch up on what it's sent so far)
+      .on('nack', (nack) => {
+        log.warn(`Download appears to be in process, following its output on ${nack.subscribeTo}`);
+      })
+      // Progress messages
+      .on('progress', (progress) => {
+        if (debug) log.debug(progress);
 
-  // Error messages
-  ipc.subscribe(`${moduleIdent}.${request.requestId}.error`, (error) => {
-    error = JSON.parse(error);
-    log.error(`Error while downloading ${request.gameId}:`, error);
-    exit(moduleIdent, ipc, 1);
-  });
+        // If debug is disabled, draw a progress bar for cli display
+        if (!debug && !steamcmdDebug) showProgress(progress.line);
+      })
+      // Retry notices
+      .on('retry', (retry) => {
+        endProgress();
+        log.warn(
+          `Download failed (${retry.reason}), retrying in ${retry.delaySeconds}s (attempt ${retry.attempt} of ${retry.maxAttempts})`,
+        );
+      })
+      // Raw download output
+      .on('output', (output) => {
+        const logLine = JSON.parse(output.line);
+        if (steamcmdDebug) log.debug(`[${logLine.timestamp}] ${logLine.line}`);
+      })
+      // Steam guard code requests
+      .on('twoFactorRequired', async (twoFactorRequest) => {
+        endProgress();
+        const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const code = await prompt.question(`Steam guard code (attempt ${twoFactorRequest.attempt}): `);
+        prompt.close();
+        ipc.publish(twoFactorRequest.submitTo, JSON.stringify({ code: code.trim(), timestamp: Date.now() }));
+      });
 
-  ipc.subscribe(`${moduleIdent}.${request.requestId}.ack`, async (data) => {
-    const ack = JSON.parse(data);
-    if (debug) log.info(`Download manager ACK request for ${request.gameId}:`);
-    // eslint-disable-next-line no-prototype-builtins
-    const subscribeTo = ack.hasOwnProperty('subscribeTo') ? ack.subscribeTo : `${moduleIdent}.${request.requestId}`;
-    // Subscribe to the download progress channels
-
-    // Progress messages
-    ipc.subscribe(`${subscribeTo}.progress`, (progress) => {
-      progress = JSON.parse(progress);
-      if (debug) log.debug(progress);
-
-      // If debug is disabled, prettyprint the progress for cli display
-      if (!debug && !steamcmdDebug) {
-        var downloadStage = '';
-        progress.line.downloadStage === 'steamcmd_download' ? (downloadStage = 'Updating Steamcmd') : null;
-        progress.line.downloadStage === 'appid_download' ? (downloadStage = 'Updating Application') : null;
-        const downloadState = progress.line.downloadState;
-        const downloadProgress = progress.line.downloadProgress;
-        const downloadRx = progress.line.downloadProgressReceived;
-        const downloadTotal = progress.line.downloadProgressTotal;
-        log.info(`${downloadStage} - ${downloadState} - ${downloadProgress}% [${downloadRx} / ${downloadTotal}]`);
-      }
-    });
+    // Download completed / failed / canceled / etc
+    endProgress();
+    log.info(`Download status update for ${request.gameId}:`, status);
+    if (status.status === 'completed') {
+      exit(moduleIdent, ipc, 0);
+    } else if (status.status === 'stalled') {
+      log.error(`Download of ${request.gameId} stalled after ${status.attempts} attempts: ${status.reason}`);
+      exit(moduleIdent, ipc, 8);
+    } else {
+      // failed, canceled, anything else it finished up as
+      log.error(`Download of ${request.gameId} ${status.status}${status.reason ? `: ${status.reason}` : ''}`);
+      exit(moduleIdent, ipc, 1);
+    }
+  } catch (error) {
+    endProgress();
+    if (error.subchannel !== 'nack') {
+      log.error(`Error while downloading ${request.gameId}:`, error.message);
+      exit(moduleIdent, ipc, 1);
+      return;
+    }
 
-    // Raw download output
-    ipc.subscribe(`${subscribeTo}.output`, (output) => {
-      output = JSON.parse(output);
-      const logLine = JSON.parse(output.line);
-      if (steamcmdDebug) log.debug(`[${logLine.timestamp}] ${logLine.line}`);
-    });
+    // Friendly display of the reason for the nack
+    const nack = error.reply;
+    if (nack.alreadyMounted) {
+      log.error(`Download manager NACK request for ${request.gameId}: ${nack.reason}`);
+      exit(moduleIdent, ipc, 6);
+    } else if (nack.reason === 'insufficient disk space') {
+      const required = formatBytes(nack.requiredBytes);
+      const available = formatBytes(nack.availableBytes);
+      log.error(
+        `Download manager NACK request for ${request.gameId}: ${nack.reason} (${required} required, ${available} available in ${nack.downloadDir})`,
+      );
+      exit(moduleIdent, ipc, 7);
+    } else {
+      log.error('Received NACK for unknown reason, exiting');
+      log.error(nack);
+      exit(moduleIdent, ipc, 3);
+    }
+  }
+}
 
-    // Subscribe to finalStatus messages - download completed / failed / canceled / etc
-    ipc.subscribe(`${subscribeTo}.finalStatus`, (status) => {
-      status = JSON.parse(status);
-      log.info(`Download status update for ${request.gameId}:`, status);
-      if (status.status === 'completed') {
-        exit(moduleIdent, ipc, 0);
-      }
-    });
-  });
+/**
+ * Download workshop items based on cli params
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+async function downloadWorkshop(argv) {
+  if (debug) log.debug(argv);
+  const gameId = argv.game || '';
 
-  ipc.subscribe(`${request.replyTo}.nack`, (nack) => {
-    nack = JSON.parse(nack);
+  if (!gameId || gameId === '') {
+    throw new Error('gameId required!');
+  }
 
-    // Friendly display of the reason for the nack
-    var displayNack = '';
-    nack instanceof Error ? (displayNack = nack.message) : (displayNack = nack.reason);
-
-    // If nack.newRequestId is a string, try subscribing to it for process output
-    // eslint-disable-next-line no-prototype-builtins
-    const subscribeTo = nack.hasOwnProperty('subscribeTo') ? nack.subscribeTo : false;
-    if (nack.alreadyRequested && subscribeTo) {
-      log.warn(`Download appears to be in process, subscribing to output on ${subscribeTo}`);
-
-      // Subscribe to the download progress channels
-      // Error messages
-      ipc.subscribe(`${subscribeTo}.error`, (error) => {
-        error = JSON.parse(error);
-        log.error(`Error while downloading ${request.gameId}:`, error);
-        exit(moduleIdent, ipc, 1);
-      });
+  const serverFilesRootDir = path.resolve(argv['root-directory'] || `/opt/gsm/`);
+  const workshopDir = path.resolve(serverFilesRootDir, 'workshop', gameId);
+  const steamCmdDir = path.resolve(serverFilesRootDir, 'steamcmd');
 
-      // Progress messages
-      ipc.subscribe(`${subscribeTo}.progress`, (progress) => {
-        progress = JSON.parse(progress);
-        if (debug) log.debug(progress);
+  const request = {
+    gameId: gameId,
+    itemIds: argv['itemIds'].map(String),
+    steamCmdForce: argv['steamcmd-clean'] || false,
+    steamCmdDir: steamCmdDir,
+    downloadDir: workshopDir,
+    credentialProfile: argv['credential-profile'] || '',
+    steamcmdMultiFactorEnabled: argv['two-factor'] || false,
+    priority: argv['priority'] || 0,
+    timeout: argv['timeout'] || 0,
+  };
 
-        // If debug is disabled, prettyprint the progress for cli display
-        if (!debug && !steamcmdDebug) {
-          var downloadStage = '';
-          progress.line.downloadStage === 'steamcmd_download' ? (downloadStage = 'Updating Steamcmd') : null;
-          progress.line.downloadStage === 'appid_download' ? (downloadStage = 'Updating Application') : null;
-          const downloadState = progress.line.downloadState;
-          const downloadProgress = progress.line.downloadProgress;
-          const downloadRx = progress.line.downloadProgressReceived;
-          const downloadTotal = progress.line.downloadProgressTotal;
-          log.info(`${downloadStage} - ${downloadState} - ${downloadProgress}% [${downloadRx} / ${downloadTotal}]`);
+  log.info(`Sending workshop request for ${request.gameId} to the download manager:`, request.itemIds);
+  try {
+    // No reply timeout, same as downloadGame
+    const status = await ipc
+      .request(onHost('downloadManager.downloadWorkshopItems'), request, { timeout: 0, followNack: true })
+      .on('queued', (queued) => {
+        log.info(`Workshop download queued as job ${queued.jobId}, position ${queued.position}`);
+      })
+      .on('ack', (ack) => {
+        if (debug) log.debug(`Download manager ACK workshop request for ${request.gameId}:`, ack);
+      })
+      .on('nack', (nack) => {
+        log.warn(`Workshop download appears to be in process, following its output on ${nack.subscribeTo}`);
+      })
+      // Progress messages, one per item started/finished
+      .on('progress', (progress) => {
+        if (debug) log.debug(progress);
+        if (progress.line.downloadStage === 'workshop_download') {
+          log.info(`Workshop item ${progress.line.itemId} - ${progress.line.downloadState}`);
         }
-      });
-
+      })
+      // Retry notices
+      .on('retry', (retry) => {
+        log.warn(
+          `Download failed (${retry.reason}), retrying in ${retry.delaySeconds}s (attempt ${retry.attempt} of ${retry.maxAttempts})`,
+        );
+      })
       // Raw download output
-      ipc.subscribe(`${subscribeTo}.output`, (output) => {
-        output = JSON.parse(output);
+      .on('output', (output) => {
         const logLine = JSON.parse(output.line);
         if (steamcmdDebug) log.debug(`[${logLine.timestamp}] ${logLine.line}`);
+      })
+      // Steam guard code requests
+      .on('twoFactorRequired', async (twoFactorRequest) => {
+        const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const code = await prompt.question(`Steam guard code (attempt ${twoFactorRequest.attempt}): `);
+        prompt.close();
+        ipc.publish(twoFactorRequest.submitTo, JSON.stringify({ code: code.trim(), timestamp: Date.now() }));
       });
 
-      // Subscribe to finalStatus messages - download completed / failed / canceled / etc
-      ipc.subscribe(`${subscribeTo}.finalStatus`, (status) => {
-        status = JSON.parse(status);
-        log.info(`Download status update for ${request.gameId}:`, status);
-        if (status.reason === 'completed') {
-          exit(moduleIdent, ipc, 0);
-        }
+    // Completed / failed / canceled
+    if (debug) log.debug(status);
+    Object.keys(status.items || {}).forEach((itemId) => {
+      // eslint-disable-next-line security/detect-object-injection
+      const item = status.items[itemId];
+      const updated = item.timeUpdated ? new Date(item.timeUpdated * 1000).toISOString() : 'not installed';
+      log.info(`Workshop item ${itemId} - time_updated ${updated}`);
+    });
+    log.info(`Workshop download for ${request.gameId} ${status.status}`);
+    exit(moduleIdent, ipc, status.status === 'completed' ? 0 : 1);
+  } catch (error) {
+    if (error.subchannel === 'nack') {
+      log.error(`Download manager NACK workshop request for ${request.gameId}:`, error.message);
+      exit(moduleIdent, ipc, 3);
+    } else {
+      log.error(`Error while downloading workshop items for ${request.gameId}:`, error.message);
+      exit(moduleIdent, ipc, 1);
+    }
+  }
+}
+
+/**
+ * Ask downloadManager whether an update is available \
+ * Exits 0 when up to date, 10 when an update is available, anything else on error
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+async function checkUpdate(argv) {
+  const gameId = argv.game || '';
+
+  if (!gameId || gameId === '') {
+    throw new Error('gameId required!');
+  }
+
+  const serverFilesRootDir = path.resolve(argv['root-directory'] || `/opt/gsm/`);
+
+  const request = {
+    gameId: gameId,
+    steamCmdDir: path.resolve(serverFilesRootDir, 'steamcmd'),
+    downloadDir: path.resolve(serverFilesRootDir, 'base', gameId),
+    betaBranch: argv['beta'] || '',
+    credentialProfile: argv['credential-profile'] || '',
+    steamcmdMultiFactorEnabled: argv['two-factor'] || false,
+  };
+
+  log.info(`Checking ${gameId} for updates`);
+  try {
+    // steamcmd can take a while to say anything
+    const status = await ipc
+      .request(onHost('downloadManager.checkForUpdate'), request, { timeout: 300 })
+      // Steam guard code requests, same as downloadGame
+      .on('twoFactorRequired', async (twoFactorRequest) => {
+        const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const code = await prompt.question(`Steam guard code (attempt ${twoFactorRequest.attempt}): `);
+        prompt.close();
+        ipc.publish(twoFactorRequest.submitTo, JSON.stringify({ code: code.trim(), timestamp: Date.now() }));
       });
-    } else if (nack.alreadyMounted) {
-      log.error(`Download manager NACK request for ${request.gameId}: ${displayNack}`);
-      exit(moduleIdent, ipc, 6);
+    if (debug) log.debug(status);
+    if (status.updateAvailable) {
+      log.info(
+        `Update available for ${gameId}: ${status.installedBuildId || 'not installed'} -> ${status.remoteBuildId}`,
+      );
+      exit(moduleIdent, ipc, 10);
     } else {
-      // If we don't get the channel, exit
-      log.error('Received NACK for unknown reason, exiting');
-      log.error(nack);
+      log.info(`${gameId} is up to date (buildid ${status.installedBuildId})`);
+      exit(moduleIdent, ipc, 0);
+    }
+  } catch (error) {
+    if (error.subchannel === 'nack') {
+      log.error(`Download manager NACK update check for ${gameId}: ${error.message}`);
       exit(moduleIdent, ipc, 3);
+    } else {
+      log.error(`Error while checking ${gameId} for updates:`, error.message);
+      exit(moduleIdent, ipc, 1);
     }
-  });
+  }
 }
 
 /**
- * Cancel a game download
+ * Roll a game back to an older build
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
  */
-function cancelDownload(argv) {
-  // First we need to list running downloads
-  const downloadListRequestRequestId = crypto.randomUUID();
-  const downloadListRequest = {
-    requestId: downloadListRequestRequestId,
-    replyTo: `${moduleIdent}.${downloadListRequestRequestId}`,
-    timestamp: Date.now(),
+async function rollback(argv) {
+  const gameId = argv.game || '';
+
+  if (!gameId || gameId === '') {
+    throw new Error('gameId required!');
+  }
+
+  const serverFilesRootDir = path.resolve(argv['root-directory'] || `/opt/gsm/`);
+
+  const request = {
+    gameId: gameId,
+    downloadDir: path.resolve(serverFilesRootDir, 'base', gameId),
+    betaBranch: argv['beta'] || '',
+    buildId: argv['buildid'] ? String(argv['buildid']) : '',
+    timeout: argv['timeout'],
   };
 
-  ipc.subscribe(downloadListRequest.replyTo, (reply) => {
-    reply = JSON.parse(reply);
-    const runningDownloads = reply.runningDownloads;
-    if (runningDownloads.length === 0) {
-      log.info('No downloads in progress (at all)');
-      return;
+  log.info(`Rolling back ${gameId}${request.buildId ? ` to build ${request.buildId}` : ''}`);
+  try {
+    // Give it as long as it'll wait for the mounts to clear, plus the download lock
+    const status = await ipc.request(onHost('downloadManager.rollback'), request, {
+      timeout: (argv['timeout'] || 30) + 30,
+    });
+    if (debug) log.debug(status);
+    log.info(`${gameId} rolled back to build ${status.buildId} (was ${status.previousBuildId})`);
+    status.builds.forEach((build) => {
+      const current = build.current ? ' (current)' : '';
+      const pinned = build.pinnedBy.length > 0 ? ` - pinned by ${build.pinnedBy.join(', ')}` : '';
+      log.info(`${build.buildId}${current} - installed ${build.installedAt || 'unknown'}${pinned}`);
+    });
+    exit(moduleIdent, ipc, 0);
+  } catch (error) {
+    if (error.subchannel === 'nack') {
+      log.error(`Download manager NACK rollback for ${gameId}: ${error.message}`);
+      exit(moduleIdent, ipc, 3);
+    } else {
+      log.error(`Unable to roll back ${gameId}:`, error.message);
+      exit(moduleIdent, ipc, 1);
     }
+  }
+}
 
-    Object.keys(runningDownloads).forEach((key) => {
-      // eslint-disable-next-line security/detect-object-injection
-      const listItem = runningDownloads[key];
-      if (debug) log.debug(listItem);
-
-      log.info(`Download in progress: ${listItem.gameId} ${listItem.progressSnapshot.downloadProgress}%`);
-
-      if (key === argv['game']) {
-        const requestIdToCancel = listItem.requestId;
-        const gameIdToCancel = listItem.gameId;
-
-        const downloadCancelRequestRequestId = crypto.randomUUID();
-        const downloadCancelRequest = {
-          requestId: downloadCancelRequestRequestId,
-          replyTo: `${moduleIdent}.${downloadCancelRequestRequestId}`,
-          timestamp: Date.now(),
-          requestIdToCancel: requestIdToCancel,
-          gameIdToCancel: gameIdToCancel,
-          command: 'cancel',
-          cleanup: argv['cleanup'] || false,
+/**
+ * Submit a steam guard code to a download waiting on one
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+function submitSteamGuardCode(argv) {
+  log.info(`Submitting steam guard code to ${argv['submit-to']}`);
+  ipc.publish(argv['submit-to'], JSON.stringify({ code: String(argv['code']).trim(), timestamp: Date.now() }), () => {
+    exit(moduleIdent, ipc, 0);
+  });
+}
+
+/**
+ * Manage credential profiles \
+ * add/list/remove work on the credentials file directly, so they need the same CREDENTIALS_FILE and \
+ * CREDENTIALS_KEY_FILE/CREDENTIALS_PASSPHRASE as downloadManager. test asks downloadManager to login with a profile.
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+async function credentials(argv) {
+  const name = argv['name'] || '';
+  if (argv['action'] !== 'list' && !name) {
+    log.error(`credentials ${argv['action']} needs a profile name`);
+    exit(moduleIdent, ipc, 1);
+    return;
+  }
+
+  try {
+    switch (argv['action']) {
+      case 'add': {
+        const profile = {
+          username: argv['username'] || (await promptSecret('Steam username: ', false)),
+          password: await promptSecret('Steam password: '),
+          twoFactorSecret: argv['two-factor-secret'] ? await promptSecret('Steam guard shared secret (base64): ') : '',
+          betaPassword: argv['beta-password'] ? await promptSecret('Beta branch password: ') : '',
+          allowedAppIds: argv['allowed-appids'].map(String),
         };
-        ipc.subscribe(`${downloadCancelRequest.replyTo}.finalStatus`, (reply) => {
-          reply = JSON.parse(reply);
-          if (debug) log.debug('cancelDownload request reply', reply);
-          if (reply.status === 'canceled') {
-            log.info(`Download request for ${argv['game']} canceled successfully`);
-            exit(moduleIdent, ipc, 0);
-          }
+        const replaced = saveCredentialProfile(name, profile);
+        log.info(`Credential profile ${name} ${replaced ? 'replaced' : 'added'}`);
+        break;
+      }
+      case 'list': {
+        const profiles = listCredentialProfiles();
+        if (profiles.length === 0) log.info('No credential profiles');
+        profiles.forEach((profile) => {
+          const appids = profile.allowedAppIds.length > 0 ? profile.allowedAppIds.join(', ') : 'any';
+          const extras = [profile.steamGuard ? 'steam guard secret' : '', profile.privateBeta ? 'beta password' : '']
+            .filter(Boolean)
+            .join(', ');
+          log.info(`${profile.name} - ${profile.username} - appids: ${appids}${extras ? ` - ${extras}` : ''}`);
         });
+        break;
+      }
+      case 'remove':
+        removeCredentialProfile(name);
+        log.info(`Credential profile ${name} removed`);
+        break;
+      case 'test':
+        testCredentials(name, argv);
+        return;
+    }
+  } catch (error) {
+    log.error(`Unable to ${argv['action']} credential profiles:`, error.message);
+    exit(moduleIdent, ipc, 1);
+    return;
+  }
+  exit(moduleIdent, ipc, 0);
+}
+
+/**
+ * Print the contracts IPC requests and replies are checked against
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+function ipcSchemas(argv) {
+  const schemas = listSchemas().filter((schema) => {
+    return !argv['channel'] || schema.channel === argv['channel'];
+  });
+  if (schemas.length === 0) {
+    log.error(`No contract for ${argv['channel']}`);
+    exit(moduleIdent, ipc, 1);
+    return;
+  }
+
+  if (argv['json']) {
+    process.stdout.write(`${JSON.stringify({ envelope: envelopeFields, schemas: schemas }, null, 2)}\n`);
+  } else {
+    log.info(`Every request: ${describeFields(envelopeFields.request)}`);
+    log.info(`Every reply: ${describeFields(envelopeFields.reply)}`);
+    schemas.forEach((schema) => {
+      log.info(`${schema.channel} v${schema.version} - ${schema.description}`);
+      log.info(`  request: ${describeFields(schema.request)}`);
+      Object.entries(schema.replies).forEach(([subchannel, fields]) => {
+        log.info(`  ${subchannel || 'reply'}: ${describeFields(fields)}`);
+      });
+    });
+  }
+  exit(moduleIdent, ipc, 0);
+}
+
+/**
+ * Print the replies a module has kept for a stream
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+async function ipcReplay(argv) {
+  const stream = argv['channel'] || '';
+  if (!stream) {
+    log.error('ipc replay needs a stream, ie cli.<requestId>');
+    exit(moduleIdent, ipc, 1);
+    return;
+  }
 
-        log.info(`Sending download cancel request for ${argv['game']}`);
-        if (debug) log.debug(`sending req to ${reply.moduleIdent}.cancelDownload`);
-        ipc.publish(`${reply.moduleIdent}.cancelDownload`, JSON.stringify(downloadCancelRequest));
+  try {
+    const history = await ipc.replay(onHost(argv['module']), stream, { fromSeq: argv['from'], last: argv['last'] });
+    if (argv['json']) {
+      process.stdout.write(`${JSON.stringify(history, null, 2)}\n`);
+    } else {
+      if (history.entries.length === 0) log.info(`${argv['module']} has nothing kept for ${stream}`);
+      if (argv['from'] && history.firstSeq > argv['from']) {
+        log.warn(`Replies before #${history.firstSeq} are no longer kept`);
       }
+      history.entries.forEach((entry) => {
+        const sent = new Date(entry.timestamp).toISOString();
+        log.info(`#${entry.seq} ${sent} ${entry.subchannel || 'reply'}: ${JSON.stringify(entry.message)}`);
+      });
+    }
+    exit(moduleIdent, ipc, 0);
+  } catch (error) {
+    log.error(`Unable to replay ${stream}:`, error.message);
+    exit(moduleIdent, ipc, 1);
+  }
+}
+
+/**
+ * Describe a module's registry entry on one line
+ * @param {Object} module - the entry, as registry.list and registry.watch have it
+ * @returns {String} ie 'downloadManager - ready - pid 1234 on node1 - v0.4.20 - 7 channels'
+ */
+function describeModule(module) {
+  return `${module.moduleIdent} - ${module.state} - pid ${module.pid} on ${module.host} - v${module.version} - ${module.channels.length} channels`;
+}
+
+/**
+ * Ask the registry which modules are running
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+async function listModules(argv) {
+  const expected = argv['expect'].map(String);
+  try {
+    const list = await ipc.registry.list({ expected: expected, channel: onHost('registry.list') });
+    if (argv['json']) {
+      process.stdout.write(`${JSON.stringify(list, null, 2)}\n`);
+    } else {
+      if (list.modules.length === 0) log.info('No modules registered');
+      list.modules.forEach((module) => {
+        log.info(describeModule(module));
+        if (debug) log.debug(`  ${module.channels.join(', ')}`);
+      });
+      list.duplicates.forEach((duplicate) => {
+        log.warn(
+          `${duplicate.moduleIdent} is running more than once on ${duplicate.host}: ${duplicate.pids.join(', ')}`,
+        );
+      });
+      if (list.missing.length > 0) log.warn(`Missing: ${list.missing.join(', ')}`);
+    }
+    exit(moduleIdent, ipc, list.missing.length > 0 || list.duplicates.length > 0 ? 1 : 0);
+  } catch (error) {
+    log.error('Unable to list modules, is the registry running?', error.message);
+    exit(moduleIdent, ipc, 1);
+  }
+}
+
+/**
+ * Print modules as they register, change state and go away, until interrupted
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+function watchModules(argv) {
+  if (targetHost) {
+    // Only requests and their replies go through the bridges
+    log.error("modules --watch only works on this host, use modules --host without it to list another's");
+    exit(moduleIdent, ipc, 1);
+    return;
+  }
+  log.info('Watching the registry, ctrl-c to stop');
+  ipc.registry.watch((change) => {
+    if (argv['json']) process.stdout.write(`${JSON.stringify(change)}\n`);
+    else log.info(`${change.event}: ${describeModule(change.module)}`);
+  });
+}
+
+/**
+ * Print the spans written for a trace on this host, each under the one it was part of
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+function showTrace(argv) {
+  const traceId = argv['trace-id'];
+  var spans;
+  try {
+    spans = readTrace(traceId);
+  } catch (error) {
+    log.error(`Unable to read trace ${traceId}:`, error.message);
+    exit(moduleIdent, ipc, 1);
+    return;
+  }
+  if (spans.length === 0) {
+    log.error(`Nothing in ${traceDir} for ${traceId}, it's from another host or expired`);
+    exit(moduleIdent, ipc, 1);
+    return;
+  }
+  if (argv['json']) {
+    process.stdout.write(`${JSON.stringify(spans, null, 2)}\n`);
+    exit(moduleIdent, ipc, 0);
+    return;
+  }
+
+  // Spans whose parent we don't have (the start of the trace, or a request from another host) go at the top
+  const spanIds = new Set(
+    spans.map((span) => {
+      return span.spanId;
+    }),
+  );
+  const children = new Map();
+  const roots = [];
+  spans.forEach((span) => {
+    if (!span.parentSpanId || !spanIds.has(span.parentSpanId)) {
+      roots.push(span);
+      return;
+    }
+    if (!children.has(span.parentSpanId)) children.set(span.parentSpanId, []);
+    children.get(span.parentSpanId).push(span);
+  });
+
+  const origin = spans.at(0).start;
+  const render = (span, depth) => {
+    const offset = `+${span.start - origin}ms`;
+    const where = `${span.moduleIdent} (pid ${span.pid} on ${span.host})`;
+    log.info(`${'  '.repeat(depth)}${span.name} - ${where} - ${offset}, took ${span.duration}ms - ${span.status}`);
+    (children.get(span.spanId) || []).forEach((child) => {
+      render(child, depth + 1);
     });
+  };
+  roots.forEach((root) => {
+    render(root, 0);
   });
-  ipc.publish('downloadManager.listRunningDownloads', JSON.stringify(downloadListRequest));
+  if (
+    roots.some((root) => {
+      return root.parentSpanId;
+    })
+  ) {
+    log.warn('Some spans are part of ones that are on another host or never finished');
+  }
+  exit(moduleIdent, ipc, 0);
+}
+
+/**
+ * Describe a contract's fields on one line, optional ones are marked with a ?
+ * @param {Object} fields - field name => field spec
+ * @returns {String} ie 'gameId: string, priority?: number'
+ */
+function describeFields(fields) {
+  return Object.entries(fields)
+    .map(([field, spec]) => {
+      const type = [].concat(spec.type || 'any').join('|') + (spec.items ? `<${spec.items}>` : '');
+      const values = spec.enum ? ` (${spec.enum.join('|')})` : '';
+      const pattern = spec.pattern ? ` /${spec.pattern}/` : '';
+      return `${field}${spec.required ? '' : '?'}: ${type}${values}${pattern}`;
+    })
+    .join(', ');
+}
+
+/**
+ * Ask downloadManager to login with a credential profile
+ * @param {String} name - the profile
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+async function testCredentials(name, argv) {
+  const gameId = argv['game'] || '';
+  if (!gameId) {
+    log.error('credentials test needs a --game to login for');
+    exit(moduleIdent, ipc, 1);
+    return;
+  }
+
+  const serverFilesRootDir = path.resolve(argv['root-directory'] || `/opt/gsm/`);
+
+  const request = {
+    credentialProfile: name,
+    gameId: gameId,
+    steamCmdDir: path.resolve(serverFilesRootDir, 'steamcmd'),
+    steamcmdMultiFactorEnabled: argv['two-factor'] || false,
+  };
+
+  log.info(`Testing credential profile ${name} with ${gameId}`);
+  try {
+    // Long enough for someone to type in a steam guard code
+    const status = await ipc
+      .request(onHost('downloadManager.testCredentials'), request, { timeout: 300 })
+      .on('twoFactorRequired', async (twoFactorRequest) => {
+        const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const code = await prompt.question(`Steam guard code (attempt ${twoFactorRequest.attempt}): `);
+        prompt.close();
+        ipc.publish(twoFactorRequest.submitTo, JSON.stringify({ code: code.trim(), timestamp: Date.now() }));
+      });
+    if (debug) log.debug(status);
+    log.info(`Credential profile ${name} logged in as ${status.username} and can see appid ${status.appid}`);
+    exit(moduleIdent, ipc, 0);
+  } catch (error) {
+    if (error.subchannel === 'nack') {
+      log.error(`Download manager NACK credentials test for ${name}: ${error.message}`);
+      exit(moduleIdent, ipc, 3);
+    } else {
+      log.error(`Credential profile ${name} failed:`, error.message);
+      exit(moduleIdent, ipc, 1);
+    }
+  }
+}
+
+/**
+ * Prompt for something on the terminal, without echoing it back by default
+ * @param {String} question - the prompt
+ * @param {Boolean} hidden - true - don't echo what's typed
+ * @returns {Promise<String>} resolves with the answer
+ */
+async function promptSecret(question, hidden = true) {
+  process.stdout.write(question);
+  // Typing goes to a sink instead of the terminal
+  const output = hidden
+    ? new Stream.Writable({
+        write(chunk, encoding, callback) {
+          callback();
+        },
+      })
+    : process.stdout;
+  const prompt = readline.createInterface({ input: process.stdin, output: output, terminal: true });
+  const answer = await prompt.question('');
+  prompt.close();
+  if (hidden) process.stdout.write('\n');
+  return answer.trim();
+}
+
+/**
+ * Cancel a game download, running or still queued
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+async function cancelDownload(argv) {
+  const request = {
+    gameIdToCancel: argv['game'],
+    command: 'cancel',
+    cleanup: argv['cleanup'] || false,
+  };
+
+  log.info(`Sending download cancel request for ${argv['game']}`);
+  try {
+    // Long enough for steamcmd to notice, a stalled one gets killed after DOWNLOAD_STALL_KILL_GRACE
+    const status = await ipc.request(onHost('downloadManager.cancelDownload'), request, { timeout: 60 });
+    if (debug) log.debug('cancelDownload request reply', status);
+    log.info(`Download request for ${argv['game']} canceled successfully`);
+    if (status.cleanup === 'failed') {
+      log.error(`Unable to remove the incomplete files for ${argv['game']}:`, status.error);
+      exit(moduleIdent, ipc, 1);
+      return;
+    }
+    exit(moduleIdent, ipc, 0);
+  } catch (error) {
+    log.error(`Unable to cancel the download for ${argv['game']}:`, error.message);
+    exit(moduleIdent, ipc, 1);
+  }
 }
 
 /**
  * Ask downloadmanager for a list of running downloads
  */
-function listDownloads() {
-  const requestId = crypto.randomUUID();
+async function listDownloads() {
+  try {
+    const list = await ipc.request(onHost('downloadManager.listRunningDownloads'), {});
+    if (debug) log.debug(JSON.stringify(list, null, 2));
+
+    const downloads = Object.values(list.runningDownloads || {});
+    if (downloads.length === 0) {
+      log.info('No downloads in progress');
+    }
+    downloads.forEach((download) => {
+      const branch = download.betaBranch ? `@${download.betaBranch}` : '';
+      log.info(`${download.gameId}${branch} - ${download.downloadState} - ${download.downloadDir || ''}`);
+      if (download.progressSnapshot && download.progressSnapshot.downloadStage) {
+        log.info(`  ${renderProgress(download.progressSnapshot)}`);
+      }
+    });
+    exit(moduleIdent, ipc, 0);
+  } catch (error) {
+    log.error('Unable to list downloads:', error.message);
+    exit(moduleIdent, ipc, 1);
+  }
+}
+
+/**
+ * Ask downloadManager for the download queue
+ */
+async function listQueue() {
+  try {
+    const list = await ipc.request(onHost('downloadManager.listQueue'), {});
+    if (debug) log.debug(JSON.stringify(list, null, 2));
+
+    if (list.jobs.length === 0) {
+      log.info('Download queue is empty');
+    }
+    list.jobs.forEach((job) => {
+      const position = job.position ? ` #${job.position}` : '';
+      const outcome = job.result ? ` (${job.result.reason || job.result.status})` : job.error ? ` (${job.error})` : '';
+      log.info(`${job.jobId} ${job.type} ${job.key} - ${job.state}${position}${outcome} - priority ${job.priority}`);
+    });
+    exit(moduleIdent, ipc, 0);
+  } catch (error) {
+    log.error('Unable to list the download queue:', error.message);
+    exit(moduleIdent, ipc, 1);
+  }
+}
+
+/**
+ * Change the priority of a queued download job
+ * @param {Object} argv - argv as parsed by `yargs.parse(process.argv)`
+ */
+async function reprioritize(argv) {
   const request = {
-    requestId: requestId,
-    replyTo: `${moduleIdent}.${requestId}`,
-    timestamp: Date.now(),
+    jobId: argv['jobId'],
+    priority: argv['priority'],
   };
 
-  ipc.subscribe(request.replyTo, (list) => {
-    list = JSON.parse(list);
-    log.info(JSON.stringify(list, null, 2));
+  try {
+    const status = await ipc.request(onHost('downloadManager.reprioritize'), request);
+    log.info(`Job ${status.job.jobId} now has priority ${status.job.priority}, position ${status.job.position}`);
     exit(moduleIdent, ipc, 0);
-  });
+  } catch (error) {
+    log.error(`Unable to reprioritize ${request.jobId}: ${error.message}`);
+    exit(moduleIdent, ipc, 1);
+  }
+}
+
+// Friendly names for progress downloadStage values
+const downloadStageNames = {
+  steamcmd_download: 'Updating Steamcmd',
+  appid_download: 'Updating Application',
+  direct_download: 'Downloading Files',
+  workshop_download: 'Downloading Workshop Items',
+};
+
+// Whether a progress bar is currently drawn on the terminal
+var progressBarDrawn = false;
+
+/**
+ * Human readable byte counts
+ * @param {Number} bytes - the byte count
+ * @returns {String} e.g. 1.5 GiB, or ? if unknown
+ */
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined || isNaN(bytes)) return '?';
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  var value = Number(bytes);
+  var unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  // eslint-disable-next-line security/detect-object-injection
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Human readable durations
+ * @param {Number} seconds - the duration
+ * @returns {String} e.g. 1h 02m 03s, or ? if unknown
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined || isNaN(seconds)) return '?';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m ${String(secs).padStart(2, '0')}s`;
+  if (minutes > 0) return `${minutes}m ${String(secs).padStart(2, '0')}s`;
+  return `${secs}s`;
+}
+
+/**
+ * Render a downloadManager progress message as a one line progress bar
+ * @param {Object} progress - the progress message (progress.line from a .progress reply)
+ * @returns {String} the progress bar
+ */
+function renderProgress(progress) {
+  const width = 30;
+  const percent = parseFloat(progress.downloadProgress);
+  const filled = isNaN(percent) ? 0 : Math.round((Math.min(Math.max(percent, 0), 100) / 100) * width);
+  const bar = `[${'#'.repeat(filled)}${'-'.repeat(width - filled)}]`;
+  const stage = downloadStageNames[progress.downloadStage] || progress.downloadStage || '';
+  const received = formatBytes(parseFloat(progress.downloadProgressReceived));
+  const total = formatBytes(parseFloat(progress.downloadProgressTotal));
+  const rate = `${formatBytes(progress.bytesPerSecond)}/s`;
+  return [
+    `${stage} (${progress.downloadState})`,
+    bar,
+    isNaN(percent) ? '?%' : `${percent.toFixed(2)}%`,
+    `${received} / ${total}`,
+    rate,
+    `ETA ${formatDuration(progress.etaSeconds)}`,
+  ].join(' ');
+}
+
+/**
+ * Draw a progress bar, redrawn in place on a terminal, logged line by line otherwise
+ * @param {Object} progress - the progress message (progress.line from a .progress reply)
+ */
+function showProgress(progress) {
+  const line = renderProgress(progress);
+  if (process.stdout.isTTY) {
+    process.stdout.write(`\r${line.slice(0, process.stdout.columns - 1)}\x1b[K`);
+    progressBarDrawn = true;
+  } else {
+    log.info(line);
+  }
+}
 
-  ipc.publish('downloadManager.listRunningDownloads', JSON.stringify(request));
+/**
+ * Move off the progress bar line so regular log output doesn't overwrite it
+ */
+function endProgress() {
+  if (progressBarDrawn) {
+    process.stdout.write('\n');
+    progressBarDrawn = false;
+  }
 }
 
-function downloadGameConfig(argv) {
+async function downloadGameConfig(argv) {
   if (debug) log.debug(argv);
 
   const instanceId = argv['instance-id'] || false;
@@ -482,10 +1470,7 @@ function downloadGameConfig(argv) {
 
   if (debug) log.debug(`Resolved repoDir to ${repoDir}`);
 
-  const requestId = crypto.randomUUID();
   const request = {
-    requestId: requestId,
-    replyTo: `${moduleIdent}.${requestId}`,
     instanceId: instanceId,
     repoUrl: repoUrl,
     repoDir: repoDir,
@@ -494,29 +1479,25 @@ function downloadGameConfig(argv) {
   };
 
   log.info(`Sending request to download config for ${request.instanceId} to the config manager`);
-  ipc.publish(`configManager.downloadUpdateRepo`, JSON.stringify(request));
-
-  ipc.subscribe(`${moduleIdent}.${request.requestId}.ack`, async (data) => {
-    const ack = JSON.parse(data);
-    if (debug) log.info(`Config manager ACK request for ${request.gameId}:`);
-    // eslint-disable-next-line no-prototype-builtins
-    const subscribeTo = ack.hasOwnProperty('subscribeTo') ? ack.subscribeTo : false;
-    if (subscribeTo) {
-      // Subscribe to the download progress channels
-      // Error messages
-      ipc.subscribe(`${subscribeTo}.error`, (message) => {
-        const error = JSON.parse(message);
-        log.error(`Error while downloading config for ${request.instanceId}: ${error}`);
+  try {
+    // git can go quiet for a while on a big clone
+    const status = await ipc
+      .request(onHost('configManager.downloadUpdateRepo'), request, { timeout: 300, followNack: true })
+      .on('ack', (ack) => {
+        if (debug) log.debug(`Config manager ACK request for ${request.instanceId}:`, ack);
+      })
+      .on('nack', (nack) => {
+        log.warn(`Config download for ${request.instanceId} already in progress, following ${nack.subscribeTo}`);
+      })
+      .on('output', (output) => {
+        if (debug) log.debug(output.line);
       });
 
-      // Subscribe to finalStatus messages - download completed / failed / canceled / etc
-      ipc.subscribe(`${subscribeTo}.finalStatus`, (status) => {
-        status = JSON.parse(status);
-        log.info(`Config download status update for ${request.instanceId}:`, status.message.status);
-        if (status.message.status === 'completed') {
-          exit(moduleIdent, ipc, 0);
-        }
-      });
-    }
-  });
+    // Download completed / failed / etc
+    log.info(`Config download status update for ${request.instanceId}:`, status.status);
+    exit(moduleIdent, ipc, status.status === 'completed' ? 0 : 1);
+  } catch (error) {
+    log.error(`Error while downloading config for ${request.instanceId}: ${error.message}`);
+    exit(moduleIdent, ipc, error.subchannel === 'nack' ? 3 : 1);
+  }
 }
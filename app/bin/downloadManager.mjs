@@ -4,14 +4,50 @@
 
 // Our libs
 import { setupIpc, setPingReply, sendRequestReply } from '../lib/ipc.mjs';
-import { releaseLock, spinLock, spinClear } from '../lib/lock.mjs';
+import { releaseLock, spinLock, spinClear, listLocks, lockOwner, isOrphanedLock } from '../lib/lock.mjs';
 import { setupTerminationSignalHandlers } from '../lib/exitHandlers.mjs';
 import { setupLog, isoTimestamp } from '../lib/log.mjs';
-import { steamCmdDownloadSelf, steamCmdDownloadAppid } from '../lib/steamcmd.mjs';
+import { currentTrace, messageTrace, runWithTrace } from '../lib/traceContext.mjs';
+import {
+  steamCmdDownloadSelf,
+  steamCmdDownloadAppid,
+  steamCmdDownloadWorkshopItems,
+  steamCmdGetAppInfo,
+  steamCmdGetRemoteBuildId,
+  readAppManifest,
+  estimateAppInstallSize,
+  steamCmdRetryDefaults,
+} from '../lib/steamcmd.mjs';
+import { directDownload } from '../lib/directDownload.mjs';
+import { getFreeSpace, getDirectorySize, canReflink } from '../lib/diskSpace.mjs';
+import { createJobQueue, readStateFile, writeStateFile } from '../lib/jobQueue.mjs';
+import { snapshotDirectory, diffSnapshots } from '../lib/fileSnapshot.mjs';
+import {
+  markDirty,
+  clearDirty,
+  readDirty,
+  stagingBuildDir,
+  buildDir,
+  currentBuild,
+  currentBuildPath,
+  listBuilds,
+  setCurrentBuild,
+  migrateLegacyInstall,
+  prepareStagingBuild,
+  promoteStagingBuild,
+  pruneBuilds,
+  pinBuild,
+  unpinBuild,
+  resolveBuildDir,
+  safeName,
+} from '../lib/baseDir.mjs';
+import { loadCredentialProfile } from '../lib/credentials.mjs';
+import { redact, registerSecret } from '../lib/redact.mjs';
 import { getDirName } from '../lib/dirname.mjs';
 import { parseBool } from '../lib/parseBool.mjs';
 
 // Nodejs stdlib
+import { default as crypto } from 'node:crypto';
 import { default as fs } from 'node:fs';
 import { default as Stream } from 'node:stream';
 import { default as path } from 'node:path';
@@ -23,7 +59,7 @@ const debug = parseBool(process.env.DEBUG) || false;
 
 const moduleIdent = 'downloadManager';
 
-const supportedGames = ['csgo'];
+const supportedGames = ['csgo', 'minecraft'];
 
 // Populate __dirname
 const __dirname = getDirName();
@@ -41,9 +77,15 @@ const ipc = await setupIpc(moduleIdent);
 // Setup our termination handlers for SIGTERM and SIGINT
 setupTerminationSignalHandlers(moduleIdent, ipc);
 
+// A downloadManager that was killed leaves its lockfile behind, don't wait on a dead process
+if (isOrphanedLock(moduleIdent)) await releaseLock(moduleIdent);
+
 // Create our lockfile (throws if it fails)
 await spinLock(moduleIdent, 30);
 
+// Set initial ping reply, we're ready once the download queue is running
+setPingReply(moduleIdent, ipc, 'init');
+
 //
 // End boilerplate
 
@@ -53,26 +95,351 @@ await spinLock(moduleIdent, 30);
 // Keep track of in-progress downloads
 const runningDownloads = {};
 
+// Seconds to wait for a requester to send a steam guard code
+const twoFactorCodeTimeout = parseInt(process.env.STEAMCMD_TWOFACTOR_CODE_TIMEOUT) || 120;
+
+// Seconds of progress history used to work out download rates
+const progressRateWindow = 30;
+
+// Seconds a stalled download gets to acknowledge a cancel before it's killed and abandoned
+const stallKillGrace = parseInt(process.env.DOWNLOAD_STALL_KILL_GRACE) || 30;
+
+// Requests waiting on their queued download, requestId => { reply, context, resolve } \
+// Jobs from before a restart and scheduled validations have nobody waiting, they reply with detachedReply
+const waitingRequests = new Map();
+
+// requestIds currently waiting on someone to send a steam guard code, these aren't stalled
+const awaitingTwoFactorCode = new Set();
+
+// steamcmd directories update checks and credential tests are running steamcmd in, path => replyTo \
+// Two steamcmds sharing a directory don't get along, downloads using one are in runningDownloads
+const steamCmdChecks = new Map();
+
+// How many old builds to keep for rollbacks, on top of the current and any pinned builds
+const buildRetention = parseInt(process.env.BASE_BUILD_RETENTION) || 2;
+
+// Seconds between looks for installed bases that are due a scheduled validation
+const validationCheckInterval = parseInt(process.env.VALIDATION_CHECK_INTERVAL) || 300;
+
+// Queue priority for scheduled validations, anything someone asked for goes first
+const validationPriority = parseInt(process.env.VALIDATION_PRIORITY) || -10;
+
+// Installed bases (keyed by base directory) and when they were last validated, survives restarts
+const installedBases = loadInstalledBases();
+
+// How many downloads may run at once
+const downloadConcurrency = parseInt(process.env.DOWNLOAD_CONCURRENCY) || 1;
+
+// Download jobs waiting/running/finished, survives restarts
+const downloadQueue = createJobQueue({
+  name: 'downloadQueue',
+  concurrency: downloadConcurrency,
+  historyLength: 100,
+  runJob: runDownloadJob,
+  // Two steamcmds sharing a directory don't get along, however many downloads may run at once
+  resources: (job) => {
+    return job.request.steamCmdDir ? [`steamCmdDir:${path.resolve(job.request.steamCmdDir)}`] : [];
+  },
+  onInterrupted: recoverInterruptedJob,
+});
+
 //
 // Start logic
 
-// Tell everyone we're alive
-ipc.on('start', () => {
+// Tell everyone we're alive, once we can take downloads \
+// That's all our state says, how each download went is in its replies and the queue, not in whether we're ready
+ipc.on('start', async () => {
+  // Clean up after a previous run that didn't get to, then pick up where it left off
+  await releaseOrphanedDownloadLocks();
+  await downloadQueue.start();
   setPingReply(moduleIdent, ipc, 'ready');
+  // Then keep an eye out for installs due a validation pass
+  setInterval(scheduleValidations, validationCheckInterval * 1000);
 });
 
-// downloadUpdateGame requests
-ipc.subscribe('downloadManager.downloadUpdateGame', downloadUpdateGame);
+// downloadUpdateGame requests, answered once the queued job has run
+ipc.handle('downloadManager.downloadUpdateGame', (request, reply) => {
+  return queueDownload('downloadUpdateGame', request, reply);
+});
+// downloadWorkshopItems requests, ditto
+ipc.handle('downloadManager.downloadWorkshopItems', (request, reply) => {
+  return queueDownload('downloadWorkshopItems', request, reply);
+});
+// List the download queue
+ipc.subscribe('downloadManager.listQueue', listQueue);
+// Change the priority of a queued download
+ipc.handle('downloadManager.reprioritize', reprioritize);
+// checkForUpdate requests
+ipc.handle('downloadManager.checkForUpdate', checkForUpdate);
+// Point a game back at an older build
+ipc.handle('downloadManager.rollback', rollback);
+// Check a credential profile can login
+ipc.handle('downloadManager.testCredentials', testCredentials);
 // List running downloads
 ipc.subscribe('downloadManager.listRunningDownloads', listRunningDownloads);
 // Cancel download messages
-ipc.subscribe(`${moduleIdent}.cancelDownload`, cancelDownload);
+ipc.handle(`${moduleIdent}.cancelDownload`, cancelDownload);
 
 //
 // Functions
 
 /**
- * Deal with incoming downloadUpdateGame requests
+ * Deal with incoming download requests, checks them and adds them to the download queue \
+ * Replies with queued { jobId, position, priority, subscribeTo } straight away, then ack/nack/progress/etc \
+ * once the job runs. A request for a game that's already queued or running gets a nack pointing at that job.
+ * @param {String} type - downloadUpdateGame or downloadWorkshopItems
+ * @param {Object} request - the request as delivered by IPC, see downloadUpdateGame/downloadWorkshopItems
+ * @param {Object} reply - from handleRequests
+ * @returns {Promise<Object>} the job's final status, once it's run
+ */
+async function queueDownload(type, request, reply) {
+  if (debug) log.debug(`Incoming ${type} request:`, request);
+
+  // Verify caller provided a gameId and we support downloading it
+  if (!request.gameId) {
+    log.error(`${type} called without gameId, sending error`);
+    throw new Error('gameId required');
+  }
+  if (!supportedGames.includes(request.gameId)) {
+    log.error(`${type} called with unsupported gameId ${request.gameId}, sending error`);
+    throw new Error('gameId unsupported');
+  }
+  if (type === 'downloadWorkshopItems' && (!Array.isArray(request.itemIds) || request.itemIds.length === 0)) {
+    log.error('downloadWorkshopItems called without itemIds, sending error');
+    throw new Error('itemIds required');
+  }
+  if (request.betaBranch) {
+    try {
+      safeName(request.betaBranch, 'betaBranch');
+    } catch (error) {
+      log.error(`${type} called with ${error.message}, sending error`);
+      throw error;
+    }
+  }
+
+  // Base files and workshop items are tracked separately
+  const key = type === 'downloadWorkshopItems' ? `workshop-${request.gameId}` : request.gameId;
+
+  // Only one job per game at a time, point the caller at the existing one
+  const existing = downloadQueue.findActive(key);
+  if (existing) {
+    log.warn(`Download already ${existing.state} for ${key}, sending NACK`);
+    reply.nack('already requested', {
+      alreadyRequested: true,
+      alreadyMounted: null,
+      subscribeTo: existing.request.replyTo,
+      request: redact(existing.request),
+      jobId: existing.jobId,
+      state: existing.state,
+      position: existing.position,
+    });
+    return;
+  }
+
+  // The job replies to this request when it runs, and settles it when it's done
+  const finished = new Promise((resolve) => {
+    waitingRequests.set(request.requestId, { reply: reply, context: currentTrace(), resolve: resolve });
+  });
+  const job = downloadQueue.enqueue({ type: type, key: key, priority: request.priority, request: request });
+  log.info(`Queued ${type} for ${key} as job ${job.jobId}, position ${job.position}`);
+  reply.send('queued', {
+    jobId: job.jobId,
+    state: job.state,
+    position: job.position,
+    priority: job.priority,
+    subscribeTo: request.replyTo,
+  });
+  return await finished;
+}
+
+/**
+ * Run a job from the download queue \
+ * It replies to whoever's waiting on it, in the trace it was asked for in
+ * @param {Object} job - the queued job
+ * @returns {Promise<Object>} resolves with the final status of the download
+ */
+async function runDownloadJob(job) {
+  // The runners fill in bits of the request as they go, keep the journaled copy as it was asked for
+  const request = Object.assign({}, job.request);
+  const waiting = waitingRequests.get(request.requestId);
+  waitingRequests.delete(request.requestId);
+  const reply = waiting ? waiting.reply : detachedReply(request);
+
+  const outcome = runWithTrace(waiting ? waiting.context : messageTrace(request), async () => {
+    switch (job.type) {
+      case 'downloadUpdateGame':
+        return await downloadUpdateGame(request, reply);
+      case 'downloadWorkshopItems':
+        return await downloadWorkshopItems(request, reply);
+      default:
+        throw new Error(`unknown job type ${job.type}`);
+    }
+  });
+  if (waiting) waiting.resolve(outcome);
+  return await outcome;
+}
+
+/**
+ * Reply to a queued request nobody's waiting on, ie one from before a restart \
+ * Same as the reply handleRequests hands out, anyone following request.replyTo still gets everything
+ * @param {Object} request - the queued request
+ * @returns {Object} { ack, nack, progress, output, send, signal }
+ */
+function detachedReply(request) {
+  const send = (subchannel, message = {}) => {
+    sendRequestReply(moduleIdent, ipc, subchannel, message, request);
+  };
+  return {
+    ack(message = {}) {
+      send('ack', Object.assign({ subscribeTo: request.replyTo }, message));
+    },
+    nack(reason, message = {}) {
+      send('nack', Object.assign({ reason: reason }, message));
+    },
+    progress(progress) {
+      send('progress', { line: progress });
+    },
+    output(line) {
+      send('output', { line: line });
+    },
+    send: send,
+    signal: new AbortController().signal,
+  };
+}
+
+/**
+ * Get an interrupted job ready to run again, called by the queue at startup \
+ * The build it was writing to is marked dirty (if it wasn't already) and it's re-run with validate enabled
+ * @param {Object} job - the job as found in the queue journal
+ * @returns {Promise<Void>}
+ */
+async function recoverInterruptedJob(job) {
+  const request = job.request;
+  const recovery = {
+    action: 'requeued',
+    jobId: job.jobId,
+    type: job.type,
+    gameId: request.gameId,
+    dirtyDir: null,
+    validate: false,
+  };
+
+  if (job.type === 'downloadUpdateGame') {
+    // Work out where it was writing to, same as downloadUpdateGame does
+    const gameInfo = await loadManifest(request.gameId);
+    const betaBranch = request.betaBranch || gameInfo.betaBranch || '';
+    const downloadDir = branchDownloadDir(request.downloadDir, betaBranch);
+    const dirtyDir = stagingBuildDir(downloadDir);
+    markDirty(dirtyDir, { reason: 'interrupted download', jobId: job.jobId });
+    recovery.dirtyDir = dirtyDir;
+
+    // And check every file on the way back up
+    request.validate = true;
+    recovery.validate = true;
+  }
+
+  publishRecovery(recovery);
+}
+
+/**
+ * Release download locks left behind by a previous downloadManager \
+ * We hold the downloadManager lock, so any download lock not held by a live process is an orphan
+ * @returns {Promise<Void>}
+ */
+async function releaseOrphanedDownloadLocks() {
+  for (const lockId of listLocks()) {
+    if (!/^download(Game|Workshop)-/.test(lockId)) continue;
+    const owner = lockOwner(lockId);
+    // Older locks don't record an owner
+    if (owner !== null && !isOrphanedLock(lockId)) continue;
+    await releaseLock(lockId);
+    publishRecovery({ action: 'lockReleased', lock: lockId, owner: owner });
+  }
+}
+
+/**
+ * Tell everyone about a recovery action on downloadManager.recovery
+ * @param {Object} recovery - what we did, recovery.action is 'lockReleased' or 'requeued'
+ * @returns {Void}
+ */
+function publishRecovery(recovery) {
+  log.warn('Recovery:', recovery);
+  recovery.moduleIdent = moduleIdent;
+  recovery.timestamp = Date.now();
+  ipc.publish(`${moduleIdent}.recovery`, JSON.stringify(recovery));
+}
+
+/**
+ * The parts of a job that are safe to hand out, no credentials
+ * @param {Object} job - the job as returned by the queue
+ * @returns {Object} the job summary
+ */
+function jobSummary(job) {
+  return {
+    jobId: job.jobId,
+    type: job.type,
+    key: job.key,
+    gameId: job.request.gameId,
+    itemIds: job.request.itemIds,
+    betaBranch: job.request.betaBranch || '',
+    downloadDir: job.request.downloadDir,
+    requestId: job.request.requestId,
+    subscribeTo: job.request.replyTo,
+    priority: job.priority,
+    state: job.state,
+    position: job.position,
+    queuedAt: job.queuedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    attempts: job.attempts,
+    interrupted: job.interrupted || false,
+    result: job.result ? { status: job.result.status, reason: job.result.reason } : null,
+    error: job.error,
+  };
+}
+
+/**
+ * Reply with the download queue: running, then queued in run order, then finished
+ * @param {String} ipcData - the request as delivered by IPC
+ * @param {String} ipcData.requestId - uuidv4 - requestId
+ * @param {String} ipcData.replyTo - channel to send the list to
+ * @returns {Void}
+ */
+async function listQueue(ipcData) {
+  const request = JSON.parse(ipcData);
+  const list = {
+    requestId: request.requestId,
+    moduleIdent: moduleIdent,
+    timestamp: Date.now(),
+    concurrency: downloadConcurrency,
+    jobs: downloadQueue.list().map(jobSummary),
+  };
+
+  await ipc.publish(`${request.replyTo}`, JSON.stringify(list));
+}
+
+/**
+ * Change the priority of a queued download \
+ * Replies with finalStatus { job } or error
+ * @param {Object} request - the request as delivered by IPC
+ * @param {String} request.jobId - the job to change
+ * @param {Number} request.priority - the new priority, higher runs first
+ * @returns {Object} the finalStatus
+ * @throws {Error} if the job doesn't exist or isn't queued any more
+ */
+function reprioritize(request) {
+  try {
+    const job = downloadQueue.reprioritize(request.jobId, request.priority);
+    log.info(`Job ${job.jobId} (${job.key}) now has priority ${job.priority}, position ${job.position}`);
+    return { job: jobSummary(job) };
+  } catch (error) {
+    log.error('Unable to reprioritize:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Run a queued downloadUpdateGame request
  * @param {Object.<String, Boolean>} request - the request as delivered by IPC
  * @param {String} request.requestId - uuidv4 - requestId
  * @param {String} request.replyTo - `${moduleIdent}.${requestId}`
@@ -82,27 +449,22 @@ ipc.subscribe(`${moduleIdent}.cancelDownload`, cancelDownload);
  * @param {String} request.steamCmdDir - '/opt/gsm/steamcmd'
  * @param {Boolean} request.serverFilesForce - false
  * @param {String} request.downloadDir - '/opt/gsm/csgo'
- * @param {Boolean} request.anonymous -  true
- * @param {String} request.username - ''
- * @param {String} request.password - ''
- * @param {Boolean} request.steamcmdMultiFactorEnabled - false
- * @returns {Void}
+ * @param {String} request.credentialProfile - '' - credential profile to login with, anonymous if empty
+ * @param {Boolean} request.steamcmdMultiFactorEnabled - false - codes are requested over ipc unless the profile has a
+ * twoFactorSecret
+ * @param {Number} request.twoFactorMaxAttempts - 3
+ * @param {String} request.betaBranch - '' - overrides manifest.betaBranch, installed to `${downloadDir}@${betaBranch}`
+ * @param {Number} request.priority - 0 - queue priority, higher runs first
+ * @param {Number} request.timeout - 0 - seconds without output or progress before the download counts as stalled, 0 to disable
+ * @param {String} request.instanceId - '' - instance asking, its pin is updated and finalStatus.mountDir is its build,
+ * null (with finalStatus.mountError saying why) if that build is dirty
+ * @param {String} request.pinBuildId - '' - pin instanceId to this build, empty to follow the current build
+ * @param {Boolean} request.scheduled - false - set on validations queued by scheduleValidations
+ * @param {Object} reply - from handleRequests, or detachedReply
+ * @returns {Promise<Object>} resolves with the final status, { status: 'failed', reason } if it never got going
  */
-async function downloadUpdateGame(ipcData) {
-  const request = JSON.parse(ipcData);
-  if (debug) log.debug('Incoming downloadUpdateGame request:', request);
-
-  // Verify caller provided an appid and we support downloading it
-  if (!request.gameId) {
-    log.error('handleIncomingRequest called without gameId, sending error');
-    sendRequestReply(moduleIdent, ipc, 'error', { error: new Error('gameId required') }, request);
-    return;
-  }
-  if (!supportedGames.includes(request.gameId)) {
-    log.error('invalid appid requested');
-    sendRequestReply(moduleIdent, ipc, 'error', { error: new Error('gameId unsupported') }, request);
-    return;
-  }
+async function downloadUpdateGame(request, reply) {
+  if (debug) log.debug('Starting downloadUpdateGame request:', request);
 
   // Used below
   // Global "we're downloading stuff" lock
@@ -113,58 +475,56 @@ async function downloadUpdateGame(ipcData) {
   // Early status message - our runningDownloads object doesn't exist yet
   var earlyState = 'checking locks';
 
-  // Load the gameInfo manifest
+  // Only ever release the lock if it's ours, rollback takes the same one
+  var lockAcquired = false;
+  const unlock = async () => {
+    if (!lockAcquired) return;
+    lockAcquired = false;
+    await releaseLock(globalLockId);
+  };
+
+  // Load the gameInfo manifest, and the login to use with it
+  const requestedDownloadDir = request.downloadDir;
   try {
     var gameInfo = await loadManifest(request.gameId);
+    resolveCredentials(request, gameInfo.downloadId);
+
+    // Work out which branch we're installing, the request overrides the manifest
+    var betaBranch = request.betaBranch || gameInfo.betaBranch || '';
+    // Each branch gets its own base directory so they don't clobber each other
+    request.downloadDir = branchDownloadDir(request.downloadDir, betaBranch);
   } catch (error) {
-    // Tell the requester we errored out
-    sendRequestReply(moduleIdent, ipc, 'error', { error: error.message }, request);
-    // And unlock
-    await releaseLock(globalLockId);
-    return;
+    // Tell the requester we errored out, we haven't locked anything yet
+    reply.send('error', { error: error.message });
+    return { status: 'failed', reason: error.message };
   }
+  const betaPassword = request.betaPassword || (betaBranch === gameInfo.betaBranch ? gameInfo.betaPassword : '') || '';
+  registerSecret(betaPassword);
 
-  if (request.gameId in runningDownloads) {
-    // If so, send the NACK along with the channel id they can sub to for progress messages
-    log.warn(`Download appears to be in progress for ${request.gameId}, sending NACK`);
-    // Tell the caller it's already running along with the channel to watch for progress
-    sendRequestReply(
-      moduleIdent,
-      ipc,
-      'nack',
-      {
-        alreadyRequested: true,
-        alreadyMounted: null,
-        reason: 'already requested',
-        subscribeTo: runningDownloads[request.gameId].request.replyTo,
-        requestId: runningDownloads[request.gameId].request.requestId,
-        request: runningDownloads[request.gameId].request,
-      },
-      request,
-    );
-    return;
-  } else {
-    // Create the status tracking object
-    runningDownloads[request.gameId] = {
-      request: request,
-      gameId: request.gameId,
-      downloadId: gameInfo.downloadId,
-      downloadLocked: true,
-      downloadState: earlyState,
-      lastLog: [],
-      progressSnapshot: {},
-      error: null,
-    };
-  }
+  // Create the status tracking object, the queue makes sure there's only one per gameId
+  runningDownloads[request.gameId] = {
+    request: request,
+    gameId: request.gameId,
+    downloadId: gameInfo.downloadId,
+    betaBranch: betaBranch,
+    downloadDir: request.downloadDir,
+    steamCmdDir: gameInfo.downloadType === 'steamcmd' ? path.resolve(request.steamCmdDir) : null,
+    downloadLocked: true,
+    downloadState: earlyState,
+    lastLog: [],
+    progressSnapshot: {},
+    error: null,
+  };
 
   // First acquire a config download lock for the instance
   try {
     await spinLock(globalLockId, 30);
+    lockAcquired = true;
   } catch (error) {
     log.error(`Error while spinLocking on ${globalLockId}`, error);
     delete runningDownloads[request.gameId];
-    sendRequestReply(moduleIdent, ipc, 'error', { error: error.message }, request);
-    return;
+    reply.send('error', { error: error.message });
+    return { status: 'failed', reason: error.message };
   }
 
   // Check to see if any 'baseMount-${gameId}-.* files exist in the lockpath
@@ -176,191 +536,1052 @@ async function downloadUpdateGame(ipcData) {
   } catch (error) {
     // We keep globalLockId active - manual cleanup may be required on an unknown error condition
     log.error(`Error while spinClearing on ${baseMountLockCheckPattern}`, error);
-    sendRequestReply(moduleIdent, ipc, 'error', { error: error.message }, request);
+    reply.send('error', { error: error.message });
     delete runningDownloads[request.gameId];
-    await releaseLock(globalLockId);
-    return;
+    await unlock();
+    return { status: 'failed', reason: error.message };
+  }
+
+  // Base files used to be updated in place, move those into builds/ the first time we see them
+  try {
+    const legacyInstall =
+      gameInfo.downloadType === 'steamcmd' ? readAppManifest(request.downloadDir, gameInfo.downloadId) : null;
+    migrateLegacyInstall(request.downloadDir, legacyInstall ? legacyInstall.buildId : null);
+  } catch (error) {
+    log.error(`Unable to migrate ${request.downloadDir} to versioned builds:`, error);
+    reply.send('error', { error: error.message });
+    delete runningDownloads[request.gameId];
+    await unlock();
+    return { status: 'failed', reason: error.message };
   }
 
   // Log current status
   runningDownloads[request.gameId].downloadState = 'preparing';
 
-  // We don't support multifactor (yet)
-  // TODO multifactor auth
-  if (request.steamcmdMultiFactorEnabled) {
-    log.error('multifactor auth not supported');
-    sendRequestReply(moduleIdent, ipc, 'error', { error: 'multifactor auth not supported' }, request);
+  // Prepare a variable to hold our download result
+  var result = false;
+
+  // Setup our output/progress/command sinks
+  setupDownloadSinks(request.gameId, reply);
+
+  // Then ack the request
+  reply.send('ack', {
+    subscribeTo: request.replyTo,
+    requestId: request.requestId,
+    betaBranch: betaBranch,
+    downloadDir: request.downloadDir,
+  });
+
+  // Anything from here on may run steamcmd, let update checks and credential tests using its directory finish first
+  if (gameInfo.downloadType === 'steamcmd') await waitSteamCmdChecks(request.steamCmdDir);
+
+  // Make sure it'll fit before we start
+  runningDownloads[request.gameId].downloadState = 'checking disk space';
+  const diskSpace = await checkDiskSpace(gameInfo, request, betaBranch);
+  if (diskSpace.interrupted) {
+    log.warn(`Download of ${request.gameId} ${diskSpace.interrupted.status} while checking disk space`);
+    result = diskSpace.interrupted;
+    reply.send('finalStatus', result);
     delete runningDownloads[request.gameId];
+    await unlock();
+    return result;
+  }
+  if (!diskSpace.sufficient) {
+    log.error(
+      `Not enough disk space to download ${request.gameId}: ${diskSpace.requiredBytes} bytes required, ${diskSpace.availableBytes} available`,
+    );
+    reply.send('nack', {
+      alreadyRequested: false,
+      alreadyMounted: null,
+      reason: 'insufficient disk space',
+      requiredBytes: diskSpace.requiredBytes,
+      availableBytes: diskSpace.availableBytes,
+      downloadDir: request.downloadDir,
+    });
+    delete runningDownloads[request.gameId];
+    await unlock();
+    return { status: 'failed', reason: 'insufficient disk space' };
+  }
+
+  runningDownloads[request.gameId].downloadState = 'preparing';
+
+  // Downloads go to a staging copy of the current build, instances keep using theirs until it's complete \
+  // It's flagged as unsafe to use until then, a crash leaves it flagged
+  var stagingDir = stagingBuildDir(request.downloadDir);
+  // What the files looked like before a validate, to see what steamcmd had to fetch again
+  var validationSnapshot = null;
+  const prepareStaging = async () => {
+    const staging = await prepareStagingBuild(request.downloadDir);
+    if (staging.copiedFrom) log.info(`Staged a copy of build ${staging.copiedFrom} in ${staging.dir}`);
+    markDirty(staging.dir, { reason: 'download in progress', requestId: request.requestId });
+    if (request.validate) validationSnapshot = await snapshotDirectory(staging.dir, { exclude: ['steamapps'] });
+  };
+  try {
+    switch (gameInfo.downloadType) {
+      case 'steamcmd':
+        await prepareStaging();
+
+        // Watched for stalls, a stalled attempt is canceled and started over
+        result = await runWithStallWatchdog(request.gameId, request.timeout, gameInfo.steamcmdRetry, async () => {
+          // Make sure steamcmd itself is downloaded
+          await steamCmdDownloadSelf(
+            {
+              force: request.steamCmdForce,
+              steamCmdDir: request.steamCmdDir,
+              steamcmdMultiFactorEnabled: request.steamcmdMultiFactorEnabled,
+            },
+            runningDownloads[request.gameId].progressSink,
+          );
+
+          // Then download/update the game
+          return await steamCmdDownloadAppid(
+            {
+              appid: gameInfo.downloadId, // steam appid
+              serverFilesForce: request.serverFilesForce, // rm -rf server files before download
+              validate: request.validate, // validate files after download
+              anonymous: request.anonymous, // login anon
+              username: request.username, // login username
+              password: request.password, // login pass
+              steamCmdDir: request.steamCmdDir, // dir to save/access steamcmd
+              downloadDir: stagingDir, // dir to save server files
+              steamcmdMultiFactorEnabled: request.steamcmdMultiFactorEnabled, // steam guard enabled
+              twoFactorSecret: request.twoFactorSecret, // generate codes locally if provided
+              twoFactorCodeProvider: (attempt) => {
+                // Otherwise ask the requester for a code
+                return requestTwoFactorCode(request, reply, attempt);
+              },
+              twoFactorMaxAttempts: request.twoFactorMaxAttempts || 3,
+              retry: gameInfo.steamcmdRetry, // retry/backoff overrides from the manifest
+              betaBranch: betaBranch, // steam beta branch
+              betaPassword: betaPassword, // and its password
+            },
+            // Passing through a Stream.Writable for steamcmd stdout and progress indication
+            runningDownloads[request.gameId].outputSink,
+            runningDownloads[request.gameId].progressSink,
+            // And another for commands
+            runningDownloads[request.gameId].commandSink,
+          );
+        });
+        break;
+
+      case 'direct':
+        await prepareStaging();
+
+        // Fetch, verify and unpack the files listed in the manifest
+        result = await runWithStallWatchdog(request.gameId, request.timeout, gameInfo.steamcmdRetry, async () => {
+          return await directDownload(
+            {
+              files: gameInfo.downloadFiles, // urls, checksums, formats
+              serverFilesForce: request.serverFilesForce, // rm -rf server files before download
+              downloadDir: stagingDir, // dir to save server files
+            },
+            runningDownloads[request.gameId].outputSink,
+            runningDownloads[request.gameId].progressSink,
+            runningDownloads[request.gameId].commandSink,
+          );
+        });
+        break;
+
+      default:
+        // We don't know how to download this!
+        // Tell the orig. caller we errored out
+        reply.send('error', { error: 'unsupported request' });
+        // Unlock and return
+        await unlock();
+        // Remove the status object
+        delete runningDownloads[request.gameId];
+        return { status: 'failed', reason: 'unsupported request' };
+    }
+
+    // Flag that we're unlocked
+    runningDownloads[request.gameId].downloadLocked = false;
+    // And a final state update
+    runningDownloads[request.gameId].downloadState = result.status;
+
+    // Only a completed download becomes a build, and the current one
+    if (result.status === 'completed') {
+      clearDirty(stagingDir);
+      const promoted = promoteStagingBuild(request.downloadDir, stagedBuildId(gameInfo, stagingDir, result), {
+        requestId: request.requestId,
+        betaBranch: betaBranch,
+      });
+      log.info(`Installed ${request.gameId} build ${promoted.buildId} (was ${promoted.previousBuildId})`);
+      result.buildId = promoted.buildId;
+      result.previousBuildId = promoted.previousBuildId;
+      stagingDir = promoted.dir;
+
+      // Pin (or unpin) the requesting instance before pruning, so its build is kept
+      if (request.instanceId && request.pinBuildId) {
+        pinBuild(request.downloadDir, request.instanceId, request.pinBuildId);
+      } else if (request.instanceId) {
+        unpinBuild(request.downloadDir, request.instanceId);
+      }
+      result.prunedBuilds = pruneBuilds(request.downloadDir, buildRetention);
+    }
+
+    // Let the caller know where it ended up, what to mount, and how big it is now
+    result.betaBranch = betaBranch;
+    result.downloadDir = request.downloadDir;
+    result.buildDir = stagingDir;
+    try {
+      result.mountDir = resolveBuildDir(request.downloadDir, request.instanceId);
+    } catch (error) {
+      // Nothing the instance can safely mount, it has to know that rather than mount it anyway
+      log.error(`No mountable build for ${request.instanceId || request.gameId}:`, error.message);
+      result.mountDir = null;
+      result.mountError = error.message;
+    }
+    result.sizeOnDisk = await getDirectorySize(stagingDir);
+    result.dirty = readDirty(stagingDir) !== null;
+
+    // Remember it so it can be validated later, and report on this validation if it was one
+    if (result.status === 'completed') {
+      recordInstalledBase(Object.assign({}, request, { downloadDir: requestedDownloadDir }), result);
+    }
+    if (validationSnapshot) result.validation = await reportValidation(request, result, validationSnapshot, stagingDir);
+
+    // Send a final reply to the request
+    reply.send('finalStatus', result);
+
+    // Unsubscribe from cancel requests
+    ipc.unsubscribe(`${moduleIdent}.${request.requestId}.cancelDownload`);
+
+    // Pull our in-progress download from our tracking object
+    runningDownloads[request.gameId].downloadLocked = false;
+
+    // And unlock
+    await unlock();
+    delete runningDownloads[request.gameId];
+    return result;
+  } catch (error) {
+    if (error != null) {
+      // Log and reply with the error
+      log.error(`Error while downloading ${request.gameId}:`, error);
+      ipc.unsubscribe(`${moduleIdent}.${request.requestId}.cancelDownload`);
+      // Structured steamcmd error if we have one
+      const steamcmdError = error.failure ? error.failure.error : null;
+      runningDownloads[request.gameId].downloadState = 'failed';
+      runningDownloads[request.gameId].error = steamcmdError || { message: error.message || error.reason };
+      reply.send('error', {
+        error: error.message || error.reason,
+        code: steamcmdError ? steamcmdError.code : null,
+        category: steamcmdError ? steamcmdError.category : null,
+        steamcmdError: steamcmdError,
+        errors: error.errors || [],
+        exitCode: error.exitCode,
+        attempts: error.attempts,
+      });
+      // Unlock and return
+      await unlock();
+      delete runningDownloads[request.gameId];
+      return { status: 'failed', reason: error.message || error.reason };
+    } else {
+      // Some other non-error, ignore it (steamcmd is good at this)
+      log.error('Unknown error from steamcmd!', error);
+      return { status: 'failed', reason: 'unknown error' };
+    }
+  }
+}
+
+/**
+ * Run a queued downloadWorkshopItems request \
+ * Same queued/ack/nack/progress/output/finalStatus protocol as downloadUpdateGame
+ * @param {Object.<String, Boolean>} request - the request as delivered by IPC
+ * @param {String} request.requestId - uuidv4 - requestId
+ * @param {String} request.replyTo - `${moduleIdent}.${requestId}`
+ * @param {String} request.gameId - 'csgo'
+ * @param {String[]} request.itemIds - ['123456789']
+ * @param {Boolean} request.steamCmdForce - false
+ * @param {String} request.steamCmdDir - '/opt/gsm/steamcmd'
+ * @param {String} request.downloadDir - '/opt/gsm/workshop/csgo'
+ * @param {String} request.credentialProfile - '' - credential profile to login with, anonymous if empty
+ * @param {Boolean} request.steamcmdMultiFactorEnabled - false
+ * @param {Number} request.priority - 0 - queue priority, higher runs first
+ * @param {Number} request.timeout - 0 - seconds without output or progress before the download counts as stalled, 0 to disable
+ * @param {Object} reply - from handleRequests, or detachedReply
+ * @returns {Promise<Object>} resolves with the final status, { status: 'failed', reason } on error
+ */
+async function downloadWorkshopItems(request, reply) {
+  if (debug) log.debug('Starting downloadWorkshopItems request:', request);
+
+  // Load the gameInfo manifest, and the login to use with it
+  try {
+    var gameInfo = await loadManifest(request.gameId);
+    resolveCredentials(request, gameInfo.workshopAppId);
+  } catch (error) {
+    reply.send('error', { error: error.message });
+    return { status: 'failed', reason: error.message };
+  }
+  if (!gameInfo.workshopAppId) {
+    log.error(`${request.gameId} manifest has no workshopAppId, sending error`);
+    reply.send('error', { error: 'workshop unsupported' });
+    return { status: 'failed', reason: 'workshop unsupported' };
+  }
+
+  // Workshop downloads are tracked separately from base file downloads
+  const downloadKey = `workshop-${request.gameId}`;
+  // Global "we're downloading workshop stuff" lock
+  const globalLockId = `downloadWorkshop-${request.gameId}`;
+  // Pattern to check for spinClear below
+  const workshopMountLockCheckPattern = `^workshopMount-${request.gameId}-.*$`;
+
+  // Create the status tracking object, the queue makes sure there's only one per gameId
+  // eslint-disable-next-line security/detect-object-injection
+  runningDownloads[downloadKey] = {
+    request: request,
+    gameId: request.gameId,
+    downloadId: gameInfo.workshopAppId,
+    itemIds: request.itemIds,
+    downloadDir: request.downloadDir,
+    steamCmdDir: path.resolve(request.steamCmdDir),
+    downloadLocked: true,
+    downloadState: 'checking locks',
+    lastLog: [],
+    progressSnapshot: {},
+    error: null,
+  };
+
+  // Lock, and make sure nobody has workshop files mounted
+  try {
+    await spinLock(globalLockId, 30);
+  } catch (error) {
+    log.error(`Error while spinLocking on ${globalLockId}`, error);
+    // eslint-disable-next-line security/detect-object-injection
+    delete runningDownloads[downloadKey];
+    reply.send('error', { error: error.message });
+    return { status: 'failed', reason: error.message };
+  }
+  try {
+    await spinClear(workshopMountLockCheckPattern, 30);
+  } catch (error) {
+    log.error(`Error while spinClearing on ${workshopMountLockCheckPattern}`, error);
+    reply.send('error', { error: error.message });
+    // eslint-disable-next-line security/detect-object-injection
+    delete runningDownloads[downloadKey];
     await releaseLock(globalLockId);
+    return { status: 'failed', reason: error.message };
+  }
+
+  // eslint-disable-next-line security/detect-object-injection
+  runningDownloads[downloadKey].downloadState = 'preparing';
+
+  // Setup our output/progress/command sinks
+  setupDownloadSinks(downloadKey, reply);
+
+  // Then ack the request
+  reply.send('ack', {
+    subscribeTo: request.replyTo,
+    requestId: request.requestId,
+    downloadDir: request.downloadDir,
+  });
+
+  // Where we ended up, for the queue
+  var outcome;
+  try {
+    await waitSteamCmdChecks(request.steamCmdDir);
+    // Watched for stalls, same as base file downloads
+    const result = await runWithStallWatchdog(downloadKey, request.timeout, gameInfo.steamcmdRetry, async () => {
+      // Make sure steamcmd itself is downloaded
+      await steamCmdDownloadSelf(
+        {
+          force: request.steamCmdForce,
+          steamCmdDir: request.steamCmdDir,
+        },
+        // eslint-disable-next-line security/detect-object-injection
+        runningDownloads[downloadKey].progressSink,
+      );
+
+      // Then download/update the items
+      return await steamCmdDownloadWorkshopItems(
+        {
+          appid: gameInfo.workshopAppId, // the game's appid, not the dedicated server's
+          itemIds: request.itemIds,
+          anonymous: request.anonymous,
+          username: request.username,
+          password: request.password,
+          steamcmdMultiFactorEnabled: request.steamcmdMultiFactorEnabled,
+          twoFactorSecret: request.twoFactorSecret,
+          twoFactorCodeProvider: (attempt) => {
+            return requestTwoFactorCode(request, reply, attempt);
+          },
+          twoFactorMaxAttempts: request.twoFactorMaxAttempts || 3,
+          retry: gameInfo.steamcmdRetry,
+          steamCmdDir: request.steamCmdDir,
+          downloadDir: request.downloadDir,
+        },
+        // eslint-disable-next-line security/detect-object-injection
+        runningDownloads[downloadKey].outputSink,
+        // eslint-disable-next-line security/detect-object-injection
+        runningDownloads[downloadKey].progressSink,
+        // eslint-disable-next-line security/detect-object-injection
+        runningDownloads[downloadKey].commandSink,
+      );
+    });
+
+    // Record the installed item versions
+    // eslint-disable-next-line security/detect-object-injection
+    runningDownloads[downloadKey].downloadState = result.status;
+    // eslint-disable-next-line security/detect-object-injection
+    runningDownloads[downloadKey].items = result.items;
+    if (result.items) {
+      Object.keys(result.items).forEach((itemId) => {
+        // eslint-disable-next-line security/detect-object-injection
+        const item = result.items[itemId];
+        log.info(`Workshop item ${itemId} installed, time_updated ${item.timeUpdated}`);
+      });
+    }
+
+    // Send a final reply to the request
+    reply.send('finalStatus', result);
+    outcome = result;
+  } catch (error) {
+    log.error('Error while downloading workshop items:', error);
+    const steamcmdError = error.failure ? error.failure.error : null;
+    reply.send('error', {
+      error: error.message || error.reason,
+      code: steamcmdError ? steamcmdError.code : null,
+      category: steamcmdError ? steamcmdError.category : null,
+      steamcmdError: steamcmdError,
+      errors: error.errors || [],
+      exitCode: error.exitCode,
+      attempts: error.attempts,
+    });
+    outcome = { status: 'failed', reason: error.message || error.reason };
+  }
+
+  // Unlock and clean up
+  await releaseLock(globalLockId);
+  // eslint-disable-next-line security/detect-object-injection
+  delete runningDownloads[downloadKey];
+  return outcome;
+}
+
+/**
+ * Compare the installed buildid with the one on steam, without downloading anything \
+ * Replies with ack, then finalStatus { installedBuildId, remoteBuildId, updateAvailable } or error
+ * @param {Object.<String, Boolean>} request - the request as delivered by IPC
+ * @param {String} request.gameId - 'csgo'
+ * @param {String} request.steamCmdDir - '/opt/gsm/steamcmd'
+ * @param {String} request.downloadDir - '/opt/gsm/base/csgo'
+ * @param {String} request.betaBranch - '' - overrides manifest.betaBranch
+ * @param {String} request.credentialProfile - '' - credential profile to login with, anonymous if empty
+ * @param {Object} reply - from handleRequests
+ * @returns {Promise<Object>} the finalStatus
+ */
+async function checkForUpdate(request, reply) {
+  if (debug) log.debug('Incoming checkForUpdate request:', request);
+
+  if (!request.gameId || !supportedGames.includes(request.gameId)) {
+    log.error('checkForUpdate called without a supported gameId, sending error');
+    throw new Error('gameId unsupported');
+  }
+
+  // Load the gameInfo manifest, and the login to use with it
+  const gameInfo = await loadManifest(request.gameId);
+  resolveCredentials(request, gameInfo.downloadId);
+  if (gameInfo.downloadType !== 'steamcmd') throw new Error('update checks require a steamcmd manifest');
+  const betaBranch = request.betaBranch || gameInfo.betaBranch || '';
+  const downloadDir = branchDownloadDir(request.downloadDir, betaBranch);
+
+  // Two steamcmds sharing a directory don't get along
+  const busy = steamCmdDirUser(request.steamCmdDir);
+  if (busy) {
+    log.warn(`steamcmd in ${request.steamCmdDir} is busy with ${busy.what}, sending NACK for update check`);
+    reply.nack('download in progress', { alreadyRequested: false, subscribeTo: busy.replyTo });
     return;
   }
+  steamCmdChecks.set(path.resolve(request.steamCmdDir), request.replyTo);
 
-  // Prepare a variable to hold our download result
-  var result = false;
+  reply.ack();
+
+  // Throwaway sinks, we only care about the result
+  const outputSink = new Stream.PassThrough({ end: false });
+  const progressSink = new Stream.PassThrough({ end: false });
+  const commandSink = new Stream.PassThrough({ end: false });
+  outputSink.on('data', (data) => {
+    reply.output(data.toString());
+  });
+
+  try {
+    // What we have, the current build or an install from before versioned builds
+    const installed = readAppManifest(
+      currentBuild(downloadDir) ? currentBuildPath(downloadDir) : downloadDir,
+      gameInfo.downloadId,
+    );
+
+    // What steam has
+    await steamCmdDownloadSelf({ steamCmdDir: request.steamCmdDir });
+    const remoteBuildId = await steamCmdGetRemoteBuildId(
+      {
+        appid: gameInfo.downloadId,
+        betaBranch: betaBranch,
+        anonymous: request.anonymous,
+        username: request.username,
+        password: request.password,
+        steamcmdMultiFactorEnabled: request.steamcmdMultiFactorEnabled,
+        twoFactorSecret: request.twoFactorSecret,
+        twoFactorCodeProvider: (attempt) => {
+          return requestTwoFactorCode(request, reply, attempt);
+        },
+        steamCmdDir: request.steamCmdDir,
+      },
+      outputSink,
+      progressSink,
+      commandSink,
+    );
+
+    const installedBuildId = installed ? installed.buildId : null;
+    const result = {
+      status: 'completed',
+      gameId: request.gameId,
+      betaBranch: betaBranch,
+      downloadDir: downloadDir,
+      installedBuildId: installedBuildId,
+      remoteBuildId: remoteBuildId,
+      // Not installed at all counts as an update
+      updateAvailable: installedBuildId !== remoteBuildId,
+    };
+    log.info(
+      `Update check for ${request.gameId}: installed ${installedBuildId}, remote ${remoteBuildId}` +
+        (result.updateAvailable ? ' - update available' : ' - up to date'),
+    );
+    return result;
+  } catch (error) {
+    log.error(`Error while checking for ${request.gameId} update:`, error);
+    throw new Error(error.message || error.reason);
+  } finally {
+    outputSink.removeAllListeners();
+    steamCmdChecks.delete(path.resolve(request.steamCmdDir));
+  }
+}
+
+/**
+ * Check a credential profile can login to steam and is allowed to use a game's appid, without downloading anything \
+ * Replies with ack, then finalStatus { credentialProfile, username, appid } or error, or nack if it's downloading
+ * @param {Object} request - the request as delivered by IPC
+ * @param {String} request.credentialProfile - the profile to test
+ * @param {String} request.gameId - 'csgo' - the game to test it with
+ * @param {String} request.steamCmdDir - '/opt/gsm/steamcmd'
+ * @param {Boolean} request.steamcmdMultiFactorEnabled - false - codes are requested over ipc unless the profile has a
+ * twoFactorSecret
+ * @param {Object} reply - from handleRequests
+ * @returns {Promise<Object>} the finalStatus
+ */
+async function testCredentials(request, reply) {
+  if (!request.credentialProfile) throw new Error('credentialProfile required');
+  if (!request.gameId || !supportedGames.includes(request.gameId)) {
+    log.error('testCredentials called without a supported gameId, sending error');
+    throw new Error('gameId unsupported');
+  }
+
+  // Load the gameInfo manifest, and the login to test with it
+  const gameInfo = await loadManifest(request.gameId);
+  if (gameInfo.downloadType !== 'steamcmd') throw new Error('testing credentials requires a steamcmd manifest');
+  resolveCredentials(request, gameInfo.downloadId);
+
+  // Two steamcmds sharing a directory don't get along
+  const busy = steamCmdDirUser(request.steamCmdDir);
+  if (busy) {
+    log.warn(`steamcmd in ${request.steamCmdDir} is busy with ${busy.what}, sending NACK for credentials test`);
+    reply.nack('download in progress', { alreadyRequested: false });
+    return;
+  }
+  steamCmdChecks.set(path.resolve(request.steamCmdDir), request.replyTo);
+
+  reply.ack();
+
+  // Throwaway sinks, we only care whether it logged in
+  const outputSink = new Stream.PassThrough({ end: false });
+  const progressSink = new Stream.PassThrough({ end: false });
+  const commandSink = new Stream.PassThrough({ end: false });
+  outputSink.on('data', (data) => {
+    reply.output(data.toString());
+  });
+
+  try {
+    await steamCmdDownloadSelf({ steamCmdDir: request.steamCmdDir });
+    // Fetching app info needs a working login, and tells us the account can see the app
+    await steamCmdGetAppInfo(
+      {
+        appid: gameInfo.downloadId,
+        anonymous: request.anonymous,
+        username: request.username,
+        password: request.password,
+        steamcmdMultiFactorEnabled: request.steamcmdMultiFactorEnabled,
+        twoFactorSecret: request.twoFactorSecret,
+        twoFactorCodeProvider: (attempt) => {
+          return requestTwoFactorCode(request, reply, attempt);
+        },
+        steamCmdDir: request.steamCmdDir,
+      },
+      outputSink,
+      progressSink,
+      commandSink,
+    );
+    log.info(`Credential profile ${request.credentialProfile} logged in for ${request.gameId}`);
+    return {
+      status: 'completed',
+      credentialProfile: request.credentialProfile,
+      username: request.username,
+      gameId: request.gameId,
+      appid: gameInfo.downloadId,
+    };
+  } catch (error) {
+    log.error(`Credential profile ${request.credentialProfile} failed to login:`, error);
+    throw new Error(error.message || error.reason);
+  } finally {
+    outputSink.removeAllListeners();
+    steamCmdChecks.delete(path.resolve(request.steamCmdDir));
+  }
+}
+
+/**
+ * Who's running steamcmd in a directory, if anyone: a download of any game, an update check or a credentials test
+ * @param {String} steamCmdDir - '/opt/gsm/steamcmd'
+ * @returns {Object|null} { what, replyTo } - what is using it and where its replies go, null if nothing is
+ */
+function steamCmdDirUser(steamCmdDir) {
+  const dir = path.resolve(steamCmdDir);
+  for (const [downloadKey, download] of Object.entries(runningDownloads)) {
+    if (download.steamCmdDir === dir) return { what: `the ${downloadKey} download`, replyTo: download.request.replyTo };
+  }
+  if (steamCmdChecks.has(dir)) return { what: 'another check', replyTo: steamCmdChecks.get(dir) };
+  return null;
+}
+
+/**
+ * Wait for update checks and credential tests using a steamcmd directory to finish, they're quick
+ * @param {String} steamCmdDir - '/opt/gsm/steamcmd'
+ * @returns {Promise<Void>} resolves once none are
+ */
+async function waitSteamCmdChecks(steamCmdDir) {
+  while (steamCmdChecks.has(path.resolve(steamCmdDir))) {
+    await new Promise((resolve) => {
+      setTimeout(resolve, 1000);
+    });
+  }
+}
+
+/**
+ * Move a game's current build pointer back to an older build \
+ * Takes the download lock and waits for every baseMount lock to clear first, same as a download would, \
+ * so nothing is mounted while current moves. Pinned instances aren't affected. \
+ * Replies with ack, then finalStatus { buildId, previousBuildId, builds } or error, or nack if it's downloading
+ * @param {Object} request - the request as delivered by IPC
+ * @param {String} request.gameId - 'csgo'
+ * @param {String} request.downloadDir - '/opt/gsm/base/csgo'
+ * @param {String} request.betaBranch - '' - overrides manifest.betaBranch
+ * @param {String} request.buildId - '' - build to roll back to, empty for the one installed before current
+ * @param {Number} request.timeout - 30 - seconds to wait for baseMount locks to clear
+ * @param {Object} reply - from handleRequests
+ * @returns {Promise<Object>} the finalStatus
+ */
+async function rollback(request, reply) {
+  if (debug) log.debug('Incoming rollback request:', request);
+
+  if (!request.gameId || !supportedGames.includes(request.gameId)) {
+    log.error('rollback called without a supported gameId, sending error');
+    throw new Error('gameId unsupported');
+  }
+
+  // Don't move current out from under a download, it's about to move it anyway
+  const activeJob = downloadQueue.findActive(request.gameId);
+  if (activeJob) {
+    log.warn(`Download ${activeJob.state} for ${request.gameId}, sending NACK for rollback`);
+    reply.nack('download in progress', { jobId: activeJob.jobId, state: activeJob.state });
+    return;
+  }
+
+  const gameInfo = await loadManifest(request.gameId);
+  const betaBranch = request.betaBranch || gameInfo.betaBranch || '';
+  const downloadDir = branchDownloadDir(request.downloadDir, betaBranch);
+  const globalLockId = `downloadGame-${request.gameId}`;
+  const baseMountLockCheckPattern = `^baseMount-${request.gameId}-.*$`;
+
+  reply.ack();
+
+  try {
+    await spinLock(globalLockId, 30);
+  } catch (error) {
+    log.error(`Error while spinLocking on ${globalLockId}`, error);
+    throw error;
+  }
+
+  try {
+    // Work out where we're going
+    const builds = listBuilds(downloadDir);
+    const current = builds.findIndex((build) => {
+      return build.current;
+    });
+    var target;
+    if (request.buildId) {
+      target = builds.find((build) => {
+        return build.buildId === String(request.buildId);
+      });
+      if (!target) throw new Error(`build ${request.buildId} is not installed in ${downloadDir}`);
+    } else {
+      // The one installed before current
+      target = current > 0 ? builds[current - 1] : null;
+      if (!target) throw new Error(`no build older than the current one in ${downloadDir}`);
+    }
+    if (target.current) throw new Error(`build ${target.buildId} is already current`);
+    if (readDirty(target.dir)) throw new Error(`build ${target.buildId} is dirty`);
+
+    // Only move it while nothing has base files mounted
+    log.info(`Rolling ${request.gameId} back to build ${target.buildId}, waiting for base mounts to clear`);
+    try {
+      await spinClear(baseMountLockCheckPattern, request.timeout || 30);
+    } catch (error) {
+      const mounts = listLocks().filter((lockId) => {
+        return lockId.startsWith(`baseMount-${request.gameId}-`);
+      });
+      throw new Error(`base files are still mounted (${mounts.join(', ')})`);
+    }
+    const previousBuildId = setCurrentBuild(downloadDir, target.buildId);
+
+    return {
+      status: 'completed',
+      gameId: request.gameId,
+      downloadDir: downloadDir,
+      buildId: target.buildId,
+      previousBuildId: previousBuildId,
+      builds: listBuilds(downloadDir),
+    };
+  } catch (error) {
+    log.error(`Unable to roll back ${request.gameId}:`, error.message);
+    throw error;
+  } finally {
+    await releaseLock(globalLockId);
+  }
+}
+
+/**
+ * Setup the output, progress and command sinks for a tracked download \
+ * Output and progress are forwarded to the requester, notices coming back up the command sink update our state
+ * @param {String} downloadKey - key in runningDownloads
+ * @param {Object} reply - the download's reply, from handleRequests or detachedReply
+ * @returns {Void}
+ */
+function setupDownloadSinks(downloadKey, reply) {
+  // eslint-disable-next-line security/detect-object-injection
+  const download = runningDownloads[downloadKey];
 
   // Setup an output stream to forward logs through
-  runningDownloads[request.gameId].outputSink = new Stream.PassThrough({ end: false });
+  download.outputSink = new Stream.PassThrough({ end: false });
   // And another for progress indicators
-  runningDownloads[request.gameId].progressSink = new Stream.PassThrough({ end: false });
+  download.progressSink = new Stream.PassThrough({ end: false });
   // This one is for sending commands down to the download controller
-  runningDownloads[request.gameId].commandSink = new Stream.PassThrough({ end: false });
+  download.commandSink = new Stream.PassThrough({ end: false });
 
   // When it receives something, forward it to ipc
-  runningDownloads[request.gameId].outputSink.on('data', (data) => {
+  download.outputSink.on('data', (data) => {
     const output = data.toString();
+    // Anything at all means it's not stalled
+    download.lastActivity = Date.now();
     // Add the line to lastLog
-    runningDownloads[request.gameId].lastLog.unshift(output);
+    download.lastLog.unshift(output);
     // Truncate lastLog
-    runningDownloads[request.gameId].lastLog.length = Math.min(runningDownloads[request.gameId].lastLog.length, 1000);
+    download.lastLog.length = Math.min(download.lastLog.length, 1000);
     // Tell the caller we have some output
-    sendRequestReply(moduleIdent, ipc, 'output', { line: output }, request);
+    reply.send('output', { line: output });
   });
 
   // Ditto for progress indicators
-  runningDownloads[request.gameId].progressSink.on('data', (data) => {
+  download.progressSink.on('data', (data) => {
     const progress = JSON.parse(data);
+    download.lastActivity = Date.now();
+    // Add rate/eta/timing info
+    addProgressTiming(download, progress);
     // Put a progress snapshot in runningDownloads
-    runningDownloads[request.gameId].progressSnapshot = progress;
+    download.progressSnapshot = progress;
+    // Workshop items that made it, cancel cleanup leaves these alone
+    if (progress.itemId && progress.downloadProgressReceived !== null) {
+      download.finishedItems = (download.finishedItems || []).concat(String(progress.itemId));
+    }
     // Update state
-    runningDownloads[request.gameId].downloadState = 'running';
+    download.downloadState = 'running';
     // Tell the caller we have progress
-    sendRequestReply(moduleIdent, ipc, 'progress', { line: progress }, request);
+    reply.send('progress', { line: progress });
   });
 
-  // Let everyone else know what we're doing
-  setPingReply(moduleIdent, ipc, 'downloading');
+  // And notices coming back up the command sink
+  download.commandSink.on('data', (data) => {
+    const notice = JSON.parse(data);
+    switch (notice.status) {
+      case 'retry':
+        // Update state
+        download.downloadState = 'retrying';
+        download.attempt = notice.attempt;
+        // Backing off isn't stalling
+        download.quietUntil = Date.now() + (notice.delaySeconds || 0) * 1000;
+        // Tell the caller we're trying again
+        reply.send('retry', notice);
+        break;
+      case 'steamcmdError':
+        // Keep the latest structured error around for listRunningDownloads
+        download.error = notice.error;
+        break;
+    }
+  });
+}
 
-  // Then ack the request
-  sendRequestReply(
-    moduleIdent,
-    ipc,
-    'ack',
-    {
-      subscribeTo: request.replyTo,
-      requestId: request.requestId,
-    },
-    request,
-  );
+/**
+ * Run a download under a no-progress watchdog \
+ * If nothing comes through the output or progress sinks for `timeout` seconds the download is canceled and started
+ * over, up to retry.maxAttempts times. One that ignores the cancel for stallKillGrace seconds is killed and abandoned,
+ * either way the caller gets control back and can release its locks.
+ * @param {String} downloadKey - key in runningDownloads, its sinks must already be set up
+ * @param {Number} timeout - seconds without output or progress before the download counts as stalled, 0 to disable
+ * @param {Object} retryOptions - overrides for steamCmdRetryDefaults, only maxAttempts is used
+ * @param {Function} startDownload - async () => result, starts the download from scratch
+ * @returns {Promise<Object>} resolves with the download result, or { status: 'stalled', ... } once out of attempts
+ */
+async function runWithStallWatchdog(downloadKey, timeout, retryOptions, startDownload) {
+  const stallSeconds = parseFloat(timeout) || 0;
+  if (stallSeconds <= 0) return await startDownload();
+
+  // eslint-disable-next-line security/detect-object-injection
+  const download = runningDownloads[downloadKey];
+  const maxAttempts = Object.assign({}, steamCmdRetryDefaults, retryOptions || {}).maxAttempts;
 
-  // Steamcmd, TODO: direct, etc?
-  switch (gameInfo.downloadType) {
-    case 'steamcmd':
+  for (let attempt = 1; ; attempt++) {
+    download.lastActivity = Date.now();
+    download.stalledAt = null;
+
+    // Resolves if the download won't even die when canceled
+    var watchdog;
+    const hung = new Promise((resolve) => {
+      watchdog = setInterval(() => {
+        const now = Date.now();
+        // Waiting on a person, or on a retry backoff, isn't stalling
+        if (awaitingTwoFactorCode.has(download.request.requestId) || now < (download.quietUntil || 0)) {
+          download.lastActivity = now;
+          return;
+        }
+        if (!download.stalledAt && now - download.lastActivity >= stallSeconds * 1000) {
+          log.warn(`No output or progress from ${downloadKey} for ${stallSeconds}s, canceling it`);
+          download.stalledAt = now;
+          download.downloadState = 'stalled';
+          download.commandSink.push(JSON.stringify({ command: 'cancel' }));
+        } else if (download.stalledAt && now - download.stalledAt >= stallKillGrace * 1000) {
+          log.error(`${downloadKey} ignored a cancel for ${stallKillGrace}s, killing it and moving on`);
+          download.commandSink.push(JSON.stringify({ command: 'kill' }));
+          resolve({ hung: true });
+        }
+      }, 1000);
+    });
+    // Errors are caught here so an abandoned download can't become an unhandled rejection later
+    const attemptDone = (async () => {
       try {
-        // Make sure steamcmd itself is downloaded
-        await steamCmdDownloadSelf({
-          force: request.steamCmdForce,
-          steamCmdDir: request.steamCmdDir,
-          steamcmdMultiFactorEnabled: request.steamcmdMultiFactorEnabled,
-        });
+        return { result: await startDownload() };
+      } catch (error) {
+        return { error: error };
+      }
+    })();
+    const outcome = await Promise.race([attemptDone, hung]);
+    clearInterval(watchdog);
+    if (outcome.error !== undefined) throw outcome.error;
 
-        // Then download/update the game
-        result = await steamCmdDownloadAppid(
-          {
-            appid: gameInfo.downloadId, // steam appid
-            serverFilesForce: request.serverFilesForce, // rm -rf server files before download
-            validate: request.validate, // validate files after download
-            anonymous: request.anonymous, // login anon
-            username: request.username, // login username
-            password: request.password, // login pass
-            steamCmdDir: request.steamCmdDir, // dir to save/access steamcmd
-            downloadDir: request.downloadDir, // dir to save server files
-            steamcmdMultiFactorEnabled: request.steamcmdMultiFactorEnabled, // TODO: 2fa
-          },
-          // Passing through a Stream.Writable for steamcmd stdout and progress indication
-          runningDownloads[request.gameId].outputSink,
-          runningDownloads[request.gameId].progressSink,
-          // And another for commands
-          runningDownloads[request.gameId].commandSink,
-        );
+    // Finished (or canceled by someone else) without our help
+    if (!download.stalledAt || (outcome.result && outcome.result.status !== 'canceled')) return outcome.result;
 
-        // Flag that we're unlocked
-        runningDownloads[request.gameId].downloadLocked = false;
-        // And a final state update
-        runningDownloads[request.gameId].downloadState = result.status;
+    const stalled = {
+      status: 'stalled',
+      reason: `no output or progress for ${stallSeconds}s`,
+      error: false,
+      attempts: attempt,
+      abandoned: outcome.hung === true,
+    };
+    // Never start another attempt alongside one we couldn't stop
+    if (outcome.hung || attempt >= maxAttempts) {
+      log.error(`${downloadKey} stalled after ${attempt} attempts, giving up`);
+      return stalled;
+    }
 
-        // Send a final reply to the request
-        sendRequestReply(moduleIdent, ipc, 'finalStatus', result, request);
+    // Otherwise go again, with the same retry notice steamcmd failures use
+    const line = `Download stalled (${stalled.reason}), retrying (attempt ${attempt + 1} of ${maxAttempts})`;
+    log.warn(line);
+    download.outputSink.push(JSON.stringify({ timestamp: isoTimestamp(), line: line }));
+    download.commandSink.push(
+      JSON.stringify({
+        timestamp: isoTimestamp(),
+        status: 'retry',
+        attempt: attempt + 1,
+        maxAttempts: maxAttempts,
+        delaySeconds: 0,
+        reason: 'stalled',
+      }),
+    );
+  }
+}
 
-        // Unsubscribe from cancel requests
-        ipc.unsubscribe(`${moduleIdent}.${request.requestId}.cancelDownload`);
+/**
+ * Add bytesPerSecond, etaSeconds, elapsedSeconds and stageStartedAt to a progress message \
+ * The rate is averaged over the last progressRateWindow seconds of progress for the current stage
+ * @param {Object} download - the runningDownloads entry
+ * @param {Object} progress - the progress message, modified in place
+ * @returns {Object} progress
+ */
+function addProgressTiming(download, progress) {
+  const now = Date.now();
+  const previous = download.progressSnapshot || {};
+  const received = parseFloat(progress.downloadProgressReceived);
+  const total = parseFloat(progress.downloadProgressTotal);
 
-        // Pull our in-progress download from our tracking object
-        runningDownloads[request.gameId].downloadLocked = false;
+  // New stage, start the clock again
+  if (!download.stageStartedAt || previous.downloadStage !== progress.downloadStage) {
+    download.stageStartedAt = now;
+    download.rateSamples = [];
+  }
 
-        // Tell everyone we're ready again
-        setPingReply(moduleIdent, ipc, 'ready');
+  // Counters restart when steamcmd moves from downloading to verifying etc, so do we
+  const samples = download.rateSamples;
+  if (
+    samples.length > 0 &&
+    (previous.downloadState !== progress.downloadState || received < samples[samples.length - 1].bytes)
+  ) {
+    samples.length = 0;
+  }
+  if (!isNaN(received)) samples.push({ time: now, bytes: received });
+  // Drop anything older than our window, but keep two samples so there's always a rate
+  while (samples.length > 2 && now - samples[0].time > progressRateWindow * 1000) {
+    samples.shift();
+  }
 
-        // And unlock
-        await releaseLock(globalLockId);
-        delete runningDownloads[request.gameId];
-        return;
-      } catch (error) {
-        if (error != null) {
-          // Log and reply with the error
-          log.error('Error while running steamcmd:', error);
-          ipc.unsubscribe(`${moduleIdent}.${request.requestId}.cancelDownload`);
-          sendRequestReply(moduleIdent, ipc, 'error', { error: error.message }, request);
-          setPingReply(moduleIdent, ipc, 'error');
-          // Unlock and return
-          await releaseLock(globalLockId);
-          runningDownloads[request.gameId] = {};
-          return;
-        } else {
-          // Some other non-error, ignore it (steamcmd is good at this)
-          log.error('Unknown error from steamcmd!', error);
-          return;
-        }
-      }
-    default:
-      // We don't know how to download this!
-      // Tell the orig. caller we errored out
-      sendRequestReply(moduleIdent, ipc, 'error', { error: new Error('unsupported request') }, request);
-      // Set our ping listener to error
-      setPingReply(moduleIdent, ipc, 'error - unsupported request');
-      // Unlock and return
-      await releaseLock(globalLockId);
-      // Blank out the status object
-      runningDownloads[request.gameId] = {};
-      return;
+  var bytesPerSecond = null;
+  if (samples.length >= 2) {
+    const seconds = (samples[samples.length - 1].time - samples[0].time) / 1000;
+    if (seconds > 0) bytesPerSecond = Math.round((samples[samples.length - 1].bytes - samples[0].bytes) / seconds);
   }
+
+  progress.bytesPerSecond = bytesPerSecond;
+  const remaining = total - received;
+  progress.etaSeconds =
+    bytesPerSecond > 0 && !isNaN(remaining) ? Math.round(Math.max(remaining, 0) / bytesPerSecond) : null;
+  progress.elapsedSeconds = Math.round((now - download.stageStartedAt) / 1000);
+  progress.stageStartedAt = new Date(download.stageStartedAt).toISOString();
+  return progress;
+}
+
+/**
+ * Fill in a request's steam login from its credential profile \
+ * Requests only ever name a profile, whatever raw credentials they carry are thrown away (they arrive redacted anyway)
+ * @param {Object} request - the request, changed in place
+ * @param {String} request.credentialProfile - '' - profile to login with, anonymous if empty
+ * @param {String|Number} appid - the appid the login is for, checked against the profile's allowedAppIds
+ * @returns {Object} the request, with anonymous/username/password/twoFactorSecret/betaPassword set
+ * @throws {Error} if the profile can't be loaded or isn't allowed to use appid
+ */
+function resolveCredentials(request, appid) {
+  request.username = '';
+  request.password = '';
+  request.twoFactorSecret = '';
+  request.betaPassword = '';
+  if (!request.credentialProfile) {
+    request.anonymous = true;
+    return request;
+  }
+
+  const profile = loadCredentialProfile(request.credentialProfile, appid);
+  log.info(`Using credential profile ${profile.name} for ${request.gameId}`);
+  request.anonymous = false;
+  request.username = profile.username;
+  request.password = profile.password;
+  request.twoFactorSecret = profile.twoFactorSecret;
+  request.steamcmdMultiFactorEnabled = request.steamcmdMultiFactorEnabled || Boolean(profile.twoFactorSecret);
+  request.betaPassword = profile.betaPassword;
+  return request;
+}
+
+/**
+ * Ask the original requester for a steam guard code \
+ * Sends a twoFactorRequired reply, the requester answers on submitTo with { code: 'XXXXX' }
+ * @param {Object} request - the downloadUpdateGame request
+ * @param {Object} reply - its reply, from handleRequests or detachedReply
+ * @param {Number} attempt - which attempt this is (starts at 1)
+ * @returns {Promise<String>} resolves with the code, rejects on timeout
+ */
+function requestTwoFactorCode(request, reply, attempt) {
+  return new Promise((resolve, reject) => {
+    const submitTo = `${moduleIdent}.${request.requestId}.twoFactorCode`;
+    // Hold off the stall watchdog while a person is typing in a code
+    awaitingTwoFactorCode.add(request.requestId);
+
+    // Don't wait forever, steamcmd won't either
+    const timeout = setTimeout(() => {
+      ipc.unsubscribe(submitTo);
+      awaitingTwoFactorCode.delete(request.requestId);
+      return reject(new Error('Timeout waiting for steam guard code'));
+    }, twoFactorCodeTimeout * 1000);
+
+    // Wait for the code
+    ipc.subscribe(submitTo, (data) => {
+      const reply = JSON.parse(data);
+      clearTimeout(timeout);
+      ipc.unsubscribe(submitTo);
+      awaitingTwoFactorCode.delete(request.requestId);
+      if (!reply.code) {
+        return reject(new Error('Empty steam guard code received'));
+      }
+      return resolve(String(reply.code).trim());
+    });
+
+    // Then ask for it
+    log.info(`Requesting steam guard code for ${request.gameId} on ${request.replyTo}`);
+    reply.send('twoFactorRequired', {
+      attempt: attempt,
+      submitTo: submitTo,
+      timeout: twoFactorCodeTimeout,
+    });
+  });
 }
 
 /**
- * List running downloads
+ * List running downloads \
+ * Sinks are left out and the requests are redacted, the resolved logins live in there
  * @param {Object} request - the request as delivered by IPC
  */
 async function listRunningDownloads(request) {
   request = JSON.parse(request);
+  const downloads = {};
+  for (const [downloadKey, download] of Object.entries(runningDownloads)) {
+    // eslint-disable-next-line no-unused-vars
+    const { outputSink, progressSink, commandSink, ...status } = download;
+    // eslint-disable-next-line security/detect-object-injection
+    downloads[downloadKey] = redact(status);
+  }
   const list = {
     requestId: request.requestId,
     moduleIdent: moduleIdent,
     timestamp: Date.now(),
-    runningDownloads: runningDownloads,
+    runningDownloads: downloads,
   };
 
   await ipc.publish(`${request.replyTo}`, JSON.stringify(list));
 }
 
-async function cancelDownload(data) {
-  const cancelRequest = JSON.parse(data);
-
+/**
+ * Cancel a running or queued download \
+ * A running one is told to stop and its requester gets the canceled finalStatus, a queued one never runs
+ * @param {Object} cancelRequest - the request as delivered by IPC
+ * @param {String} cancelRequest.gameIdToCancel - the download's key, its gameId or `workshop-${gameId}`
+ * @param {Boolean} cancelRequest.cleanup - false - remove whatever it hadn't finished downloading
+ * @returns {Promise<Object>} resolves with { status: 'canceled', error, cleanup, jobId } once it's stopped
+ * @throws {Error} if there's nothing to cancel
+ */
+async function cancelDownload(cancelRequest) {
   log.warn('cancelDownload request received:', cancelRequest);
-  // If the appid in the request is in our runningDownloads
-  // eslint-disable-next-line no-prototype-builtins
-  if (cancelRequest.gameIdToCancel in runningDownloads) {
-    log.warn(`Attempting to cancel download for ${cancelRequest.gameIdToCancel}`);
-    // Tell the download handler to cancel the request
-    runningDownloads[cancelRequest.gameIdToCancel].commandSink.push(
-      JSON.stringify({
-        command: 'cancel',
-      }),
-    );
+  const key = cancelRequest.gameIdToCancel;
+  // eslint-disable-next-line security/detect-object-injection
+  const download = runningDownloads[key];
 
-    // Listen for a response
-    runningDownloads[cancelRequest.gameIdToCancel].commandSink.on('data', (response) => {
-      response = JSON.parse(response);
-      // If it canceled okay
-      if (response.status === 'ackCanceled') {
+  // If it's running, tell the download handler to cancel it and wait for it to say it has
+  if (download && download.commandSink) {
+    log.warn(`Attempting to cancel download for ${key}`);
+    return await new Promise((resolve) => {
+      download.commandSink.on('data', (data) => {
+        const notice = JSON.parse(data);
+        if (notice.status !== 'ackCanceled') return;
         // Build response object
         const response = {
           status: 'canceled',
@@ -369,37 +1590,395 @@ async function cancelDownload(data) {
         // If cleanup is specified, rm the incomplete files
         if (cancelRequest.cleanup) {
           log.warn('cancelRequest.cleanup is true, removing incomplete files!');
-          // The actual rm
+          // The actual rm, only the unfinished staging build for base files, installed builds are left alone
+          const incompleteDirs = download.itemIds
+            ? incompleteWorkshopDirs(download)
+            : [stagingBuildDir(download.request.downloadDir)];
           try {
-            fs.rmSync(runningDownloads[cancelRequest.gameIdToCancel].request.downloadDir, {
-              recursive: true,
-              force: true,
+            incompleteDirs.forEach((incompleteDir) => {
+              // eslint-disable-next-line security/detect-non-literal-fs-filename
+              fs.rmSync(incompleteDir, {
+                recursive: true,
+                force: true,
+              });
             });
+            if (!download.itemIds) clearDirty(incompleteDirs.at(0));
             // Set status message
             response.cleanup = 'successful';
           } catch (error) {
             log.error(error);
-            response.error = error;
+            response.error = error.message;
             response.cleanup = 'failed';
           }
         }
-        // Tell the 3rd party who asked for the cancel that we did
-        sendRequestReply(moduleIdent, ipc, 'finalStatus', response, {
-          requestId: cancelRequest.requestId,
-          replyTo: cancelRequest.replyTo,
-        });
-        // Cleanup/Unsubscribe from further cancel requests
-        ipc.unsubscribe(`${moduleIdent}.${cancelRequest.requestId}.cancelDownload`);
         // Probably not necessary
-        runningDownloads[cancelRequest.gameIdToCancel].commandSink.removeAllListeners();
+        download.commandSink.removeAllListeners();
         // Zero out the runningDownloads object for this appid
-        runningDownloads[cancelRequest.gameIdToCancel] = {};
-        return;
+        // eslint-disable-next-line security/detect-object-injection
+        runningDownloads[key] = {};
+        return resolve(response);
+      });
+      download.commandSink.push(
+        JSON.stringify({
+          command: 'cancel',
+        }),
+      );
+    });
+  }
+
+  const job = downloadQueue.findActive(key);
+  if (!job) throw new Error(`no download for ${key} to cancel`);
+  if (job.state !== 'queued') throw new Error(`download for ${key} is still starting, try again in a moment`);
+
+  // Not started yet, just take it out of the queue
+  downloadQueue.remove(job.jobId, 'canceled');
+  log.warn(`Removed queued download ${job.jobId} for ${key}`);
+  const response = { status: 'canceled', reason: 'canceled', error: false, jobId: job.jobId };
+  // Tell the original requester it isn't happening
+  const waiting = waitingRequests.get(job.request.requestId);
+  if (waiting) {
+    waitingRequests.delete(job.request.requestId);
+    waiting.resolve(Object.assign({}, response));
+  } else {
+    sendRequestReply(moduleIdent, ipc, 'finalStatus', Object.assign({}, response), job.request);
+  }
+  // And whoever asked for the cancel
+  return response;
+}
+
+/**
+ * Where a canceled workshop download left the items it hadn't finished \
+ * steamcmd downloads an item under steamapps/workshop/downloads and moves it to steamapps/workshop/content once it's
+ * done, items installed earlier (and the ones this download finished) are left out
+ * @param {Object} download - the runningDownloads entry
+ * @returns {String[]} the directories to remove
+ */
+function incompleteWorkshopDirs(download) {
+  const workshopDir = path.resolve(download.request.downloadDir, 'steamapps', 'workshop');
+  return download.itemIds
+    .map(String)
+    .filter((itemId) => {
+      return /^\d+$/.test(itemId) && !(download.finishedItems || []).includes(itemId);
+    })
+    .flatMap((itemId) => {
+      return [
+        path.resolve(workshopDir, 'downloads', String(download.downloadId), itemId),
+        path.resolve(workshopDir, 'content', String(download.downloadId), itemId),
+      ];
+    });
+}
+
+/**
+ * Read the installed bases registry back in
+ * @returns {Object} installed bases keyed by base directory, empty if there aren't any yet
+ */
+function loadInstalledBases() {
+  try {
+    return readStateFile('installedBases') || {};
+  } catch (error) {
+    log.error('Unable to load installed bases, scheduled validations start from scratch:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Write the installed bases registry out
+ * @returns {Void}
+ */
+function saveInstalledBases() {
+  try {
+    writeStateFile('installedBases', installedBases);
+  } catch (error) {
+    log.error('Unable to save installed bases:', error.message);
+  }
+}
+
+/**
+ * Remember a completed base download, so scheduleValidations knows it's there and how to download it again
+ * @param {Object} request - the downloadUpdateGame request, with downloadDir as originally requested
+ * @param {Object} result - its final status
+ * @returns {Void}
+ */
+function recordInstalledBase(request, result) {
+  // Enough of the request to run it again, minus anything that only made sense the once
+  // The login is resolved from credentialProfile again each run, it never hits the disk
+  const stored = Object.assign({}, request);
+  const onceOnly = [
+    'requestId',
+    'replyTo',
+    'validate',
+    'serverFilesForce',
+    'steamCmdForce',
+    'instanceId',
+    'pinBuildId',
+    'priority',
+    'scheduled',
+    'anonymous',
+    'username',
+    'password',
+    'twoFactorSecret',
+    'betaPassword',
+  ];
+  onceOnly.forEach((field) => {
+    // eslint-disable-next-line security/detect-object-injection
+    delete stored[field];
+  });
+
+  const now = isoTimestamp();
+  // eslint-disable-next-line security/detect-object-injection
+  const base = installedBases[result.downloadDir] || { installedAt: now, lastValidatedAt: null };
+  base.gameId = request.gameId;
+  base.betaBranch = result.betaBranch;
+  base.downloadDir = result.downloadDir;
+  base.buildId = result.buildId;
+  base.lastDownloadAt = now;
+  base.request = stored;
+  if (request.validate) base.lastValidatedAt = now;
+  // eslint-disable-next-line security/detect-object-injection
+  installedBases[result.downloadDir] = base;
+  saveInstalledBases();
+}
+
+/**
+ * Work out what a validate had to fetch again, and tell everyone on downloadManager.validationReport \
+ * Files are compared by size and modification time against a snapshot taken before steamcmd ran, \
+ * steamcmd's own bookkeeping in steamapps/ doesn't count
+ * @param {Object} request - the downloadUpdateGame request
+ * @param {Object} result - its final status
+ * @param {Map<String, Object>} before - snapshotDirectory of the build being validated before steamcmd ran
+ * @param {String} dir - where the files are now
+ * @returns {Promise<Object>} resolves with the report
+ */
+async function reportValidation(request, result, before, dir) {
+  const diff = diffSnapshots(before, await snapshotDirectory(dir, { exclude: ['steamapps'] }));
+  const refetched = diff.changed.concat(diff.added);
+  const report = {
+    moduleIdent: moduleIdent,
+    timestamp: Date.now(),
+    requestId: request.requestId,
+    scheduled: request.scheduled === true,
+    gameId: request.gameId,
+    betaBranch: result.betaBranch,
+    downloadDir: request.downloadDir,
+    status: result.status,
+    buildId: result.buildId || null,
+    previousBuildId: result.previousBuildId || null,
+    // A new build being installed at the same time accounts for some (or all) of the files
+    updated: Boolean(result.buildId && result.previousBuildId && result.buildId !== result.previousBuildId),
+    checkedFiles: before.size,
+    refetchedFiles: refetched.length,
+    refetchedBytes: diff.changedBytes,
+    // Only the first few, a badly damaged install would make this huge
+    files: refetched.slice(0, 100),
+  };
+
+  const summary = `${report.refetchedFiles} of ${report.checkedFiles} files fetched again`;
+  if (report.refetchedFiles > 0 && !report.updated) {
+    log.warn(`Validation of ${request.downloadDir} found damaged or missing files: ${summary}`);
+  } else {
+    log.info(`Validated ${request.downloadDir}: ${summary}`);
+  }
+
+  // Keep the latest with the install for later
+  // eslint-disable-next-line security/detect-object-injection
+  const base = installedBases[request.downloadDir];
+  if (base) {
+    base.lastValidation = Object.assign({}, report, { files: undefined });
+    saveInstalledBases();
+  }
+
+  ipc.publish(`${moduleIdent}.validationReport`, JSON.stringify(report));
+  return report;
+}
+
+/**
+ * Queue validations for installed bases that are due one, called every validationCheckInterval seconds \
+ * The schedule comes from manifest.validateIntervalHours, only steamcmd installs can be validated, and bases \
+ * with a baseMount lock held are skipped until the next look. Logins that need a steam guard code typed in are \
+ * never validated on a schedule, there's nobody there to type it
+ * @returns {Promise<Void>}
+ */
+async function scheduleValidations() {
+  for (const base of Object.values(installedBases)) {
+    try {
+      var gameInfo = await loadManifest(base.gameId);
+    } catch (error) {
+      log.error(`Unable to load ${base.gameId} manifest for scheduled validation:`, error.message);
+      continue;
+    }
+    const intervalHours = parseFloat(gameInfo.validateIntervalHours) || 0;
+    if (intervalHours <= 0 || gameInfo.downloadType !== 'steamcmd') continue;
+
+    // Due yet? Counted from the last validation, or from when it was installed or last queued
+    const since = Math.max(Date.parse(base.lastValidatedAt || base.installedAt) || 0, base.lastScheduledAt || 0);
+    if (Date.now() - since < intervalHours * 3600 * 1000) continue;
+
+    // Anything already queued or running for the game will have to do
+    if (downloadQueue.findActive(base.gameId)) continue;
+
+    // Nobody's around to answer a steam guard code request
+    try {
+      const login = resolveCredentials(Object.assign({}, base.request), gameInfo.downloadId);
+      if (login.steamcmdMultiFactorEnabled && !login.twoFactorSecret) {
+        if (debug) log.debug(`Validation of ${base.downloadDir} due, but its login needs a steam guard code`);
+        continue;
       }
+    } catch (error) {
+      log.error(`Unable to load ${base.gameId} login for scheduled validation:`, error.message);
+      continue;
+    }
+
+    // Leave it alone while anything has the base files mounted
+    const mounts = listLocks().filter((lockId) => {
+      return lockId.startsWith(`baseMount-${base.gameId}-`);
     });
+    if (mounts.length > 0) {
+      if (debug) log.debug(`Validation of ${base.downloadDir} due, but it's mounted (${mounts.join(', ')})`);
+      continue;
+    }
+
+    const requestId = crypto.randomUUID();
+    const request = Object.assign({}, base.request, {
+      requestId: requestId,
+      replyTo: `${moduleIdent}.${requestId}`,
+      validate: true,
+      scheduled: true,
+      priority: validationPriority,
+    });
+    const job = downloadQueue.enqueue({
+      type: 'downloadUpdateGame',
+      key: base.gameId,
+      priority: validationPriority,
+      request: request,
+    });
+    base.lastScheduledAt = Date.now();
+    saveInstalledBases();
+    log.info(`Queued scheduled validation of ${base.downloadDir} as job ${job.jobId}, position ${job.position}`);
   }
 }
 
+/**
+ * Base directory for a branch \
+ * The default (public) branch keeps the plain directory, everything else gets `@${branch}` appended. Branch names end
+ * up in paths and steamcmd scripts, so they're held to the same rules as buildIds
+ * @param {String} downloadDir - base directory as requested, ie /opt/gsm/base/csgo
+ * @param {String} branch - steam beta branch
+ * @returns {String} the directory to install into, ie /opt/gsm/base/csgo@beta
+ * @throws {Error} if the branch name isn't safe to use
+ */
+function branchDownloadDir(downloadDir, branch) {
+  if (!branch || branch === 'public') return downloadDir;
+  return `${downloadDir}@${safeName(branch, 'betaBranch')}`;
+}
+
+/**
+ * Work out the buildId of a completed staging build \
+ * Steamcmd downloads use steam's buildid, direct downloads manifest.buildId or the first file's checksum
+ * @param {Object} gameInfo - the gameInfo manifest
+ * @param {String} stagingDir - where it was downloaded to
+ * @param {Object} result - the download result
+ * @returns {String} the buildId
+ */
+function stagedBuildId(gameInfo, stagingDir, result) {
+  if (gameInfo.downloadType === 'steamcmd') {
+    const installed = readAppManifest(stagingDir, gameInfo.downloadId);
+    if (installed && installed.buildId) return String(installed.buildId);
+  } else if (gameInfo.buildId) {
+    return String(gameInfo.buildId);
+  } else if (result.files && result.files.length > 0) {
+    return result.files[0].sha256.slice(0, 12);
+  }
+  // Nothing to go on, at least keep them in order
+  return `unknown-${Date.now()}`;
+}
+
+/**
+ * Work out whether a download will fit on the downloadDir filesystem \
+ * The size comes from manifest.installSize if set, otherwise from steam's app info for steamcmd downloads. That's
+ * looked up through the download's sinks and stall watchdog, so it can be canceled like the rest of the download. \
+ * Every download ends up as a full new build, less what's already in the staging build or will be copied into it \
+ * from the current build. Where that copy can't be reflinked it takes up as much space again, and that's added
+ * @param {Object} gameInfo - the gameInfo manifest
+ * @param {Object} request - the downloadUpdateGame request, its runningDownloads entry must have its sinks set up
+ * @param {String} betaBranch - the branch being installed
+ * @returns {Promise<Object>} resolves with { sufficient, requiredBytes, availableBytes, estimatedBytes }, or
+ * { interrupted } holding the download's final status if it was canceled or stalled while looking up the size
+ */
+async function checkDiskSpace(gameInfo, request, betaBranch) {
+  var estimatedBytes = gameInfo.installSize || null;
+
+  // Ask steam if the manifest doesn't know
+  if (estimatedBytes === null && gameInfo.downloadType === 'steamcmd') {
+    const download = runningDownloads[request.gameId];
+    try {
+      const lookup = await runWithStallWatchdog(request.gameId, request.timeout, gameInfo.steamcmdRetry, async () => {
+        await steamCmdDownloadSelf({ steamCmdDir: request.steamCmdDir }, download.progressSink);
+        try {
+          const appInfo = await steamCmdGetAppInfo(
+            { appid: gameInfo.downloadId, anonymous: true, steamCmdDir: request.steamCmdDir },
+            download.outputSink,
+            download.progressSink,
+            download.commandSink,
+          );
+          return { status: 'completed', appInfo: appInfo };
+        } catch (error) {
+          // The watchdog tells its own cancels apart from anyone else's
+          if (error.status === 'canceled') return { status: 'canceled', reason: 'canceled', error: false };
+          throw error;
+        }
+      });
+      // A steamcmd that can't even fetch app info won't get far with the download
+      if (lookup.status !== 'completed') return { interrupted: lookup };
+      estimatedBytes = estimateAppInstallSize(lookup.appInfo, betaBranch || 'public');
+    } catch (error) {
+      log.warn(`Unable to get app info for ${request.gameId}, skipping disk space check:`, error.message);
+    }
+  }
+
+  var availableBytes = null;
+  try {
+    availableBytes = getFreeSpace(request.downloadDir);
+  } catch (error) {
+    log.warn(`Unable to check free space for ${request.downloadDir}, skipping disk space check:`, error.message);
+  }
+
+  // Without both numbers there's nothing to compare, let the download try its luck
+  if (estimatedBytes === null || availableBytes === null) {
+    return { sufficient: true, requiredBytes: null, availableBytes: availableBytes, estimatedBytes: estimatedBytes };
+  }
+
+  // Files already staged count towards the total, unless they're about to be wiped \
+  // Without a staging build, prepareStagingBuild starts one as a copy of the current build
+  const stagingDir = stagingBuildDir(request.downloadDir);
+  const current = currentBuild(request.downloadDir);
+  var installedBytes = 0;
+  var copyBytes = 0;
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  if (fs.existsSync(stagingDir)) {
+    installedBytes = request.serverFilesForce ? 0 : await getDirectorySize(stagingDir);
+  } else if (current) {
+    const currentBytes = await getDirectorySize(buildDir(request.downloadDir, current));
+    installedBytes = request.serverFilesForce ? 0 : currentBytes;
+    if (!(await canReflink(path.dirname(stagingDir)))) copyBytes = currentBytes;
+  }
+  // A forced download wipes the copy before it starts, so it never needs both at once
+  const requiredBytes = request.serverFilesForce
+    ? Math.max(estimatedBytes, copyBytes)
+    : Math.max(estimatedBytes - installedBytes, 0) + copyBytes;
+  if (debug) {
+    log.debug(
+      `Disk space for ${request.gameId}: estimated ${estimatedBytes}, installed ${installedBytes}, copied ${copyBytes}, available ${availableBytes}`,
+    );
+  }
+
+  return {
+    sufficient: requiredBytes <= availableBytes,
+    requiredBytes: requiredBytes,
+    availableBytes: availableBytes,
+    estimatedBytes: estimatedBytes,
+  };
+}
+
 /**
  * Load gameInfo manifest
  * @param {String} gameId - the gameId to load
@@ -0,0 +1,176 @@
+'use strict';
+
+// ipc benchmark
+// Times the same ping/pong traffic over each ipc transport, side by side
+
+// Our libs
+import { setupIpc, ipcSocketPath, ipcTransports } from '../lib/ipc.mjs';
+import { startSocketBroker } from '../lib/ipcSocket.mjs';
+import { setupLog } from '../lib/log.mjs';
+
+// Nodejs stdlib
+import { default as crypto } from 'node:crypto';
+
+// External libs
+import { default as yargs } from 'yargs';
+import { hideBin } from 'yargs/helpers';
+
+const log = setupLog('bin/ipcBenchmark.mjs');
+
+const argv = yargs(hideBin(process.argv))
+  .option('transport', {
+    type: 'array',
+    description: 'Transports to benchmark',
+    choices: ipcTransports,
+    default: ipcTransports,
+  })
+  .option('round-trips', {
+    type: 'number',
+    description: 'Ping/pongs to time one after another',
+    default: 20,
+  })
+  .option('burst', {
+    type: 'number',
+    description: 'Pings to send all at once to time throughput',
+    default: 100,
+  })
+  .option('timeout', {
+    type: 'number',
+    description: 'Seconds to wait for pongs before giving up on a transport',
+    default: 30,
+  })
+  .strict()
+  .parse();
+
+const results = [];
+for (const transport of argv['transport']) {
+  try {
+    results.push(await benchmark(transport));
+  } catch (error) {
+    log.error(`Unable to benchmark ${transport}:`, error.message);
+    results.push({ transport: transport, error: error.message });
+  }
+}
+
+log.info('transport | round trip p50 | p95 | max | burst msgs/s');
+results.forEach((result) => {
+  if (result.error) {
+    log.info(`${result.transport} | failed: ${result.error}`);
+    return;
+  }
+  log.info(
+    `${result.transport} | ${result.p50.toFixed(1)}ms | ${result.p95.toFixed(1)}ms | ${result.max.toFixed(1)}ms | ` +
+      `${result.throughput.toFixed(0)}`,
+  );
+});
+
+/**
+ * Time ping/pongs between two ipc connections over one transport
+ * @param {String} transport - fsq or socket
+ * @returns {Promise<Object>} { transport, p50, p95, max, throughput } in milliseconds and messages per second
+ */
+async function benchmark(transport) {
+  // Use the broker if one's running, otherwise bring our own
+  var broker = null;
+  if (transport === 'socket') {
+    try {
+      broker = await startSocketBroker({ socketPath: ipcSocketPath });
+    } catch (error) {
+      if (!error.message.startsWith('an ipc broker is already listening')) throw error;
+    }
+  }
+
+  const runId = crypto.randomUUID();
+  const pinger = await setupIpc(`ipcBenchmark-${runId}-ping`, { transport: transport, register: false });
+  const ponger = await setupIpc(`ipcBenchmark-${runId}-pong`, { transport: transport, register: false });
+  await Promise.all(
+    [pinger, ponger].map((ipc) => {
+      return new Promise((resolve) => {
+        ipc.once('start', resolve);
+      });
+    }),
+  );
+
+  // Echo every ping straight back
+  ponger.subscribe(`ipcBenchmark.${runId}.ping`, (data) => {
+    ponger.publish(`ipcBenchmark.${runId}.pong`, data.toString());
+  });
+
+  // seq => resolve
+  const waiting = new Map();
+  pinger.subscribe(`ipcBenchmark.${runId}.pong`, (data) => {
+    const pong = JSON.parse(data);
+    const resolve = waiting.get(pong.seq);
+    waiting.delete(pong.seq);
+    if (resolve) resolve();
+  });
+
+  var seq = 0;
+  const ping = () => {
+    seq += 1;
+    const sent = seq;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        waiting.delete(sent);
+        return reject(new Error(`no pong for ping ${sent} within ${argv['timeout']}s`));
+      }, argv['timeout'] * 1000);
+      waiting.set(sent, () => {
+        clearTimeout(timer);
+        return resolve();
+      });
+      pinger.publish(`ipcBenchmark.${runId}.ping`, JSON.stringify({ seq: sent, timestamp: Date.now() }));
+    });
+  };
+
+  try {
+    // Subscriptions from two connections aren't ordered with each other, wait until pongs come back
+    await new Promise((resolve, reject) => {
+      const started = Date.now();
+      const warmUp = setInterval(() => {
+        if (Date.now() - started > argv['timeout'] * 1000) {
+          clearInterval(warmUp);
+          return reject(new Error(`no pongs over ${transport} within ${argv['timeout']}s`));
+        }
+        seq += 1;
+        waiting.set(seq, () => {
+          clearInterval(warmUp);
+          return resolve();
+        });
+        pinger.publish(`ipcBenchmark.${runId}.ping`, JSON.stringify({ seq: seq, timestamp: Date.now() }));
+      }, 100);
+    });
+    waiting.clear();
+
+    log.info(`Timing ${argv['round-trips']} round trips over ${transport}`);
+    const latencies = [];
+    for (var trip = 0; trip < argv['round-trips']; trip++) {
+      const started = process.hrtime.bigint();
+      await ping();
+      latencies.push(Number(process.hrtime.bigint() - started) / 1e6);
+    }
+    latencies.sort((a, b) => {
+      return a - b;
+    });
+
+    log.info(`Timing a burst of ${argv['burst']} pings over ${transport}`);
+    const burstStarted = process.hrtime.bigint();
+    await Promise.all(Array.from({ length: argv['burst'] }, ping));
+    const burstSeconds = Number(process.hrtime.bigint() - burstStarted) / 1e9;
+
+    return {
+      transport: transport,
+      p50: latencies.at(Math.floor(latencies.length * 0.5)),
+      p95: latencies.at(Math.min(Math.floor(latencies.length * 0.95), latencies.length - 1)),
+      max: latencies.at(-1),
+      throughput: argv['burst'] / burstSeconds,
+    };
+  } finally {
+    for (const ipc of [pinger, ponger]) {
+      ipc.unsubscribe();
+      await new Promise((resolve) => {
+        ipc.stop_watching(resolve);
+      });
+    }
+    if (broker) broker.close();
+  }
+}
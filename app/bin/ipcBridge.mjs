@@ -0,0 +1,129 @@
+'use strict';
+
+// ipc bridge
+// Carries ipc messages between hosts over TLS, see lib/ipcBridge.mjs
+
+// Our libs
+import { setupIpc, setPingReply } from '../lib/ipc.mjs';
+import { startBridge, isHostName } from '../lib/ipcBridge.mjs';
+import { spinLock } from '../lib/lock.mjs';
+import { setupTerminationSignalHandlers } from '../lib/exitHandlers.mjs';
+import { setupLog, isoTimestamp } from '../lib/log.mjs';
+import { checkPrivateFile } from '../lib/privateFile.mjs';
+
+// Nodejs stdlib
+import { default as fs } from 'node:fs';
+import { default as os } from 'node:os';
+
+//
+// Start boilerplate
+
+// Module id
+const moduleIdent = 'ipcBridge';
+
+// Setup logger
+const log = setupLog('bin/ipcBridge.mjs');
+
+// Flag start-of-log
+log.info('honk.host gameserver ipc bridge v0.4.20');
+log.info(`--- Logs begin at ${isoTimestamp()} ---`);
+
+// Create our lockfile (throws if it fails)
+await spinLock(moduleIdent, 30);
+
+// Setup our IPC "connection"
+const ipc = await setupIpc(moduleIdent);
+
+// Setup our termination handlers for SIGTERM and SIGINT
+setupTerminationSignalHandlers(moduleIdent, ipc);
+
+// Set initial ping reply
+setPingReply(moduleIdent, ipc, 'init');
+
+//
+// End boilerplate
+
+// This host's name, other hosts reach our modules at _host.<name>.<topic>. Has to match our certificate's CN
+const bridgeHost = process.env.IPC_BRIDGE_HOST || os.hostname().split('.').at(0);
+
+// host:port to accept other bridges on, empty to only connect out
+const bridgeListen = process.env.IPC_BRIDGE_LISTEN || '';
+
+// Bridges to connect to, name=host:port separated by commas
+const bridgePeers = parsePeers(process.env.IPC_BRIDGE_PEERS || '');
+
+// Our certificate and key, and the CA every bridge's certificate is signed by
+const bridgeCertFile = process.env.IPC_BRIDGE_CERT || '';
+const bridgeKeyFile = process.env.IPC_BRIDGE_KEY || '';
+const bridgeCaFile = process.env.IPC_BRIDGE_CA || '';
+
+// Topics other hosts may publish to here, separated by commas
+const bridgeTopics = (process.env.IPC_BRIDGE_TOPICS || '#')
+  .split(',')
+  .map((topic) => {
+    return topic.trim();
+  })
+  .filter(Boolean);
+
+// Messages kept for a disconnected host, and for how many seconds
+const bridgeBufferSize = parseInt(process.env.IPC_BRIDGE_BUFFER) || 1000;
+const bridgeBufferAge = parseFloat(process.env.IPC_BRIDGE_BUFFER_AGE) || 60;
+
+if (!isHostName(bridgeHost)) throw new Error(`IPC_BRIDGE_HOST ${bridgeHost} must be letters, digits, - and _ only`);
+if (!bridgeCertFile || !bridgeKeyFile || !bridgeCaFile) {
+  throw new Error('IPC_BRIDGE_CERT, IPC_BRIDGE_KEY and IPC_BRIDGE_CA are required');
+}
+if (!checkPrivateFile(bridgeKeyFile, 'ipc bridge key')) throw new Error(`ipc bridge key ${bridgeKeyFile} not found`);
+
+const bridge = await startBridge({
+  ipc: ipc,
+  host: bridgeHost,
+  listen: bridgeListen,
+  peers: bridgePeers,
+  tls: {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    cert: fs.readFileSync(bridgeCertFile),
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    key: fs.readFileSync(bridgeKeyFile),
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    ca: fs.readFileSync(bridgeCaFile),
+  },
+  topics: bridgeTopics,
+  bufferSize: bridgeBufferSize,
+  bufferAge: bridgeBufferAge,
+});
+log.info(`ipc bridge ${bridgeHost} connecting to ${Object.keys(bridgePeers).join(', ') || 'nobody'}`);
+
+// Tell everyone we're alive
+setPingReply(moduleIdent, ipc, 'ready');
+
+// Shut down with our connection, exit() stops it
+ipc.on('stop', () => {
+  log.info('Stopping ipc bridge');
+  bridge.close();
+});
+
+/**
+ * Parse IPC_BRIDGE_PEERS
+ * @param {String} peers - ie 'node2=10.0.0.2:7400,node3=10.0.0.3:7400'
+ * @returns {Object.<String>} host name => host:port
+ * @throws {Error} if an entry doesn't make sense
+ */
+function parsePeers(peers) {
+  const parsed = {};
+  peers
+    .split(',')
+    .map((peer) => {
+      return peer.trim();
+    })
+    .filter(Boolean)
+    .forEach((peer) => {
+      const [name, address] = peer.split('=');
+      if (!isHostName(name) || !/^.+:\d+$/.test(address || '')) {
+        throw new Error(`IPC_BRIDGE_PEERS entry ${peer} should look like node2=10.0.0.2:7400`);
+      }
+      // eslint-disable-next-line security/detect-object-injection
+      parsed[name] = address;
+    });
+  return parsed;
+}
@@ -0,0 +1,53 @@
+'use strict';
+
+// ipc broker
+// Carries messages between modules when IPC_TRANSPORT=socket, start it before anything else
+
+// Our libs
+import { setupIpc, setPingReply, ipcSocketPath } from '../lib/ipc.mjs';
+import { startSocketBroker } from '../lib/ipcSocket.mjs';
+import { spinLock } from '../lib/lock.mjs';
+import { setupTerminationSignalHandlers } from '../lib/exitHandlers.mjs';
+import { setupLog, isoTimestamp } from '../lib/log.mjs';
+
+//
+// Start boilerplate
+
+// Module id
+const moduleIdent = 'ipcBroker';
+
+// Setup logger
+const log = setupLog('bin/ipcBroker.mjs');
+
+// Flag start-of-log
+log.info('honk.host gameserver ipc broker v0.4.20');
+log.info(`--- Logs begin at ${isoTimestamp()} ---`);
+
+// Create our lockfile (throws if it fails)
+await spinLock(moduleIdent, 30);
+
+// Start the broker before our own connection to it
+const broker = await startSocketBroker({ socketPath: ipcSocketPath });
+
+// Setup our IPC "connection", over the broker whatever IPC_TRANSPORT says
+const ipc = await setupIpc(moduleIdent, { transport: 'socket' });
+
+// Setup our termination handlers for SIGTERM and SIGINT
+setupTerminationSignalHandlers(moduleIdent, ipc);
+
+// Set initial ping reply
+setPingReply(moduleIdent, ipc, 'init');
+
+//
+// End boilerplate
+
+// Tell everyone we're alive
+ipc.on('start', () => {
+  setPingReply(moduleIdent, ipc, 'ready');
+});
+
+// Shut down with our connection, exit() stops it
+ipc.on('stop', () => {
+  log.info('Stopping ipc broker');
+  broker.close();
+});
@@ -9,10 +9,12 @@ import { setupTerminationSignalHandlers, exit } from '../lib/exitHandlers.mjs';
 import { setupLog, isoTimestamp } from '../lib/log.mjs';
 import { getDirName } from '../lib/dirname.mjs';
 import { parseBool } from '../lib/parseBool.mjs';
+import { waitForModule } from '../lib/registry.mjs';
+import { startSpan } from '../lib/trace.mjs';
+import { enterTrace } from '../lib/traceContext.mjs';
 
 // Nodejs stdlib
 import { default as path } from 'node:path';
-import { default as crypto } from 'node:crypto';
 
 //
 // Start boilerplate
@@ -77,12 +79,16 @@ const steamCmdDir = path.resolve(serverFilesRootDir, 'steamcmd');
 const steamcmdFilesForce = parseBool(process.env.STEAMCMD_FILES_FORCE) || false;
 const serverFilesForce = parseBool(process.env.SERVER_FILES_FORCE) || false;
 
-// Steamcmd auth
-const steamcmdAnonymous = parseBool(process.env.STEAMCMD_LOGIN_ANON) || true;
-const steamcmdUsername = process.env.STEAMCMD_LOGIN_USERNAME || false;
-const steamcmdPassword = process.env.STEAMCMD_LOGIN_PASSWORD || false;
+// Steamcmd auth, a profile from downloadManager's credentials store (anonymous if empty)
+const steamcmdCredentialProfile = process.env.STEAMCMD_CREDENTIAL_PROFILE || '';
 const steamcmdMultiFactorEnabled = parseBool(process.env.STEAMCMD_TWOFACTOR_ENABLED) || false;
 
+// Steam beta branch (overrides the manifest), its password comes from the manifest or the credential profile
+const steamcmdBetaBranch = process.env.STEAMCMD_BETA_BRANCH || '';
+
+// Pin this instance to a base files buildid, empty to follow whatever build is current
+const serverFilesBuildId = process.env.SERVER_FILES_BUILDID || '';
+
 // Force validate downloads?
 const steamcmdForceValidate = parseBool(process.env.STEAMCMD_INITIAL_DOWNLOAD_VALIDATE) || false;
 
@@ -95,26 +101,8 @@ const serverConfigFilesForce = parseBool(process.env.SERVER_CONFIG_FILES_FORCE)
 // SSH key to use
 const serverConfigRepoSshKey = process.env.SERVER_CONFIG_SSH_KEY || false;
 
-// Keep track of other modules
-const moduleStatus = {
-  downloadManager: 'unknown',
-};
-
-// setIntervals so we can clear them at shutdown
-const intervals = {
-  pingListeners: null,
-  waitDownloadManagerAvailablePing: null,
-};
-
-// SIGTERM/SIGINT traps
-process.once('SIGINT', () => {
-  clearInterval(intervals.pingListeners);
-  clearInterval(intervals.waitDownloadManagerAvailablePing);
-});
-process.once('SIGTERM', () => {
-  clearInterval(intervals.pingListeners);
-  clearInterval(intervals.waitDownloadManagerAvailablePing);
-});
+// Base files to mount for this instance, filled in by downloadManager once it's downloaded them
+var serverFilesMountDir = null;
 
 //
 // Start logic
@@ -123,6 +111,13 @@ ipc.on('start', async () => {
   // Tell everyone we're alive
   setPingReply(moduleIdent, ipc, 'running');
 
+  // Startup is one trace, everything we ask other modules to do is part of it: cli.mjs trace <traceId>
+  const startup = startSpan(moduleIdent, 'lifecycleManager.startup', {
+    attributes: { gameId: gameId, instanceId: instanceId },
+  });
+  enterTrace(startup.context);
+  log.info(`Starting ${instanceId}, trace ${startup.traceId}`);
+
   // Acquire a lock for our instance
   try {
     await spinLock(`lifecycleManager-${gameId}-${instanceId}`);
@@ -133,10 +128,10 @@ ipc.on('start', async () => {
     }
   }
 
-  // Wait for downloadManager to be available
+  // Wait for downloadManager to be registered and ready
   // We give it extra time as this is our initial startup
   try {
-    await waitModuleRunning('downloadManager', { timeout: 60 });
+    await waitForModule(ipc, { moduleIdent: 'downloadManager' }, { timeout: 60 });
   } catch (error) {
     log.error('Timeout waiting for downloadManager, exiting...');
     await releaseLock(`lifecycleManager-${gameId}-${instanceId}`);
@@ -146,31 +141,32 @@ ipc.on('start', async () => {
   try {
     // Build the download request
     const downloadUpdateGameOptions = {
-      // TODO: implement timeouts inside downloadUpdateGame
-      timeout: 30, // between status updates
+      timeout: 30, // seconds without output/progress before downloadManager calls it stalled
       gameId: gameId,
       instanceId: instanceId,
       validate: steamcmdForceValidate,
       steamCmdForce: steamcmdFilesForce,
       serverFilesForce: serverFilesForce,
-      anonymous: steamcmdAnonymous,
-      username: steamcmdUsername,
-      password: steamcmdPassword,
+      credentialProfile: steamcmdCredentialProfile,
       steamCmdDir: steamCmdDir,
       downloadDir: serverFilesBaseDir,
       steamcmdMultiFactorEnabled: steamcmdMultiFactorEnabled,
+      betaBranch: steamcmdBetaBranch,
+      pinBuildId: serverFilesBuildId,
     };
     // Request the download, wait for it to finish or error
     const downloadResult = await downloadUpdateGame(downloadUpdateGameOptions);
     // if it failed out, throw
     // TODO: retry gracefully
-    if (downloadResult.status != 'completed') {
+    if (downloadResult.status != 'completed' || !downloadResult.mountDir) {
       log.error(`Unable to download game ${gameId}`, downloadResult);
       await releaseLock(`lifecycleManager-${gameId}-${instanceId}`);
       exit(moduleIdent, ipc, 3);
     } else {
       // if it succeeded, continue
       if (debug) log.debug('downloadResult:', downloadResult);
+      serverFilesMountDir = downloadResult.mountDir;
+      log.info(`Base files for ${instanceId}: ${serverFilesMountDir} (current build ${downloadResult.buildId})`);
     }
   } catch (error) {
     // Throw any unknown errors
@@ -179,10 +175,10 @@ ipc.on('start', async () => {
     exit(moduleIdent, ipc, 2);
   }
 
-  // Verify configManager is ready
+  // Verify whichever module serves configManager requests is ready
   // It should be by now, so we stick with default 30s timeout
   try {
-    await waitModuleRunning('configManager');
+    await waitForModule(ipc, { channel: 'configManager.downloadUpdateRepo' });
   } catch (error) {
     log.error('Timeout waiting for configManager, exiting...');
     await releaseLock(`lifecycleManager-${gameId}-${instanceId}`);
@@ -215,86 +211,25 @@ ipc.on('start', async () => {
     exit(moduleIdent, ipc, 2);
   }
 
-  // Ask overlayManager to setup the overlays
+  // Ask overlayManager to setup the overlays, with serverFilesMountDir as the base layer
 
   // Ask gameManager to start the game
 
   // Lifecycle setup
+
+  startup.end('ok');
 });
 
 //
 // Functions
 
 /**
- * Setup listeners for ping events
- * @returns {Void}
- */
-function setupPingListeners() {
-  // Send a ping on an interval
-  const ping = {
-    msgId: crypto.randomUUID(),
-  };
-  intervals.pingListeners = setInterval(() => {
-    ipc.publish('_broadcast.ping', JSON.stringify(ping));
-  }, 1000);
-
-  // Listen for replies, update status object
-  ipc.subscribe('_broadcast.pong', (data) => {
-    const pong = JSON.parse(data);
-    moduleStatus[pong.moduleIdent] = pong;
-  });
-}
-
-/**
- * Resolve when downloadManager is available and ready
- * @param {Number} timeout - seconds to wait for downloadManager readiness
- * @returns {Promise<Void>} resolves when downloadManager is ready, rejects when timeout is exceeded
- */
-function waitModuleRunning(target, options = { timeout: 30 }) {
-  return new Promise((resolve, reject) => {
-    var pingCounter = 0;
-
-    const msgId = crypto.randomUUID();
-
-    intervals.waitDownloadManagerAvailablePing = setInterval(() => {
-      // Increment a counter (timeout waiting for downloadManager)
-      pingCounter++;
-      // If the counter gets too high, reject with timeout
-      if (pingCounter >= options.timeout) {
-        clearInterval(intervals.waitDownloadManagerAvailablePing);
-        return reject(new Error('Timeout exceeded'));
-      }
-
-      // Send ping
-      const pingRequest = {
-        msgId: msgId,
-        replyTo: `${moduleIdent}.${msgId}.pong`,
-      };
-      ipc.publish(`${target}.ping`, JSON.stringify(pingRequest));
-    }, 1000);
-
-    // Act on replies
-    ipc.subscribe(`${moduleIdent}.${msgId}.pong`, (data) => {
-      // Parse the reply
-      const pingReply = JSON.parse(data);
-
-      // If it's running and ready
-      if (pingReply.uptime >= 5) {
-        // Clear our ping interval from above
-        clearInterval(intervals.waitDownloadManagerAvailablePing);
-        ipc.unsubscribe(`${msgId}.pong`);
-        return resolve();
-      }
-    });
-  });
-}
-
-/**
- * Download/update a game, resolve when done
+ * Download/update a game, resolve when done \
+ * If someone already asked for the same download we follow theirs instead
  * @param {Object} options - download options
- * @returns {Promise<Void>} resolves when download is completed
+ * @returns {Promise<Object>} resolves with the download finalStatus, rejects on error or if it was turned down
  */
-function downloadUpdateGame(
+async function downloadUpdateGame(
   options = {
     timeout: 30,
     instanceId: instanceId,
@@ -304,64 +239,63 @@ function downloadUpdateGame(
     serverFilesForce: false,
     steamCmdDir: '',
     downloadDir: '',
-    anonymous: true,
-    username: '',
-    password: '',
+    credentialProfile: '',
     steamcmdMultiFactorEnabled: steamcmdMultiFactorEnabled,
+    betaBranch: '',
+    pinBuildId: '',
   },
 ) {
-  return new Promise((resolve, reject) => {
-    // Send download request
-    const requestId = crypto.randomUUID();
-    const request = {
-      requestId: requestId,
-      replyTo: `${moduleIdent}.${requestId}`,
-      gameId: options.gameId,
-      validate: options.validate,
-      steamCmdForce: options.steamCmdForce,
-      steamCmdDir: options.steamCmdDir,
-      serverFilesForce: options.serverFilesForce,
-      downloadDir: options.downloadDir,
-      anonymous: options.anonymous,
-      username: options.username,
-      password: options.password,
-      steamcmdMultiFactorEnabled: options.steamcmdMultiFactorEnabled,
-    };
+  const request = {
+    gameId: options.gameId,
+    validate: options.validate,
+    steamCmdForce: options.steamCmdForce,
+    steamCmdDir: options.steamCmdDir,
+    serverFilesForce: options.serverFilesForce,
+    downloadDir: options.downloadDir,
+    credentialProfile: options.credentialProfile,
+    steamcmdMultiFactorEnabled: options.steamcmdMultiFactorEnabled,
+    betaBranch: options.betaBranch,
+    instanceId: options.instanceId,
+    pinBuildId: options.pinBuildId,
+    timeout: options.timeout,
+  };
 
-    log.info(`Sending request for ${request.gameId} to the download manager`);
-    ipc.publish(`downloadManager.downloadUpdateGame`, JSON.stringify(request));
-
-    ipc.subscribe(`${moduleIdent}.${request.requestId}.ack`, async (data) => {
-      const ack = JSON.parse(data);
-      log.info(`Download manager ACK request for ${request.gameId}:`, ack);
-      // eslint-disable-next-line no-prototype-builtins
-      const subscribeTo = ack.hasOwnProperty('subscribeTo') ? ack.subscribeTo : false;
-      try {
-        const result = await waitTaskComplete(subscribeTo);
-        return resolve(result);
-      } catch (error) {
-        log.error(error);
-        return reject(error);
-      }
-    });
-
-    ipc.subscribe(`${moduleIdent}.${request.requestId}.nack`, async (data) => {
-      const nack = JSON.parse(data);
-      log.info(`Download manager NACK request for ${request.gameId}:`, nack);
-      // If nack.newRequestId is a string, try subscribing to it for process output
-      // eslint-disable-next-line no-prototype-builtins
-      const subscribeTo = nack.hasOwnProperty('subscribeTo') ? nack.subscribeTo : false;
-      if (subscribeTo) {
-        try {
-          const result = await waitTaskComplete(subscribeTo);
-          return resolve(result);
-        } catch (error) {
-          log.error(error);
-          return reject(error);
-        }
-      }
-    });
-  });
+  log.info(`Sending request for ${request.gameId} to the download manager`);
+  try {
+    // No reply timeout, it can sit in the download queue for a while and downloadManager watches for stalls itself
+    return await ipc
+      .request('downloadManager.downloadUpdateGame', request, { timeout: 0, followNack: true })
+      .on('queued', (queued) => {
+        log.info(`Download queued as job ${queued.jobId}, position ${queued.position}`);
+      })
+      .on('ack', (ack) => {
+        log.info(`Download manager ACK request for ${request.gameId}:`, ack);
+      })
+      .on('nack', (nack) => {
+        log.info(`Download manager NACK request for ${request.gameId}, following ${nack.subscribeTo}:`, nack);
+      })
+      .on('output', (output) => {
+        if (debug) log.debug('Output message:', output);
+      })
+      .on('retry', (retry) => {
+        log.warn(
+          `Download failed (${retry.reason}), retrying in ${retry.delaySeconds}s (attempt ${retry.attempt} of ${retry.maxAttempts})`,
+        );
+      })
+      .on('twoFactorRequired', (twoFactorRequest) => {
+        // We can't type in a code ourselves, point the operator at the cli
+        log.warn(
+          `Steam guard code required (attempt ${twoFactorRequest.attempt}), submit it within ${twoFactorRequest.timeout}s with:`,
+          `cli.mjs steamGuardCode ${twoFactorRequest.submitTo} <code>`,
+        );
+      });
+  } catch (error) {
+    if (error.subchannel === 'nack' && error.reply.reason === 'insufficient disk space') {
+      const nack = error.reply;
+      throw new Error(`${nack.reason}: ${nack.requiredBytes} bytes required, ${nack.availableBytes} available`);
+    }
+    throw error;
+  }
 }
 
 function downloadUpdateServerConfigGit(
@@ -378,42 +312,3 @@ function downloadUpdateServerConfigGit(
     return reject(new Error('not yet implemented!'));
   });
 }
-
-function waitTaskComplete(channel) {
-  return new Promise((resolve, reject) => {
-    ipc.subscribe(`${channel}.error`, (response) => {
-      response = JSON.parse(response);
-      log.error('Error while downloading:', response);
-      return reject(new Error(response));
-    });
-
-    ipc.subscribe(`${channel}.progress`, (data) => {
-      const progress = JSON.parse(data);
-      // if (debug) log.debug`Progress message:`, progress);
-    });
-
-    ipc.subscribe(`${channel}.output`, (data) => {
-      const output = JSON.parse(data);
-      if (debug) log.debug('Output message:', output);
-    });
-
-    ipc.subscribe(`${channel}.finalStatus`, (data) => {
-      const finalStatus = JSON.parse(data);
-      if (debug) log.debug('finalStatus:', finalStatus);
-
-      ipc.unsubscribe(`${channel}.ack`);
-      ipc.unsubscribe(`${channel}.nack`);
-      ipc.unsubscribe(`${channel}.error`);
-      ipc.unsubscribe(`${channel}.progress`);
-      ipc.unsubscribe(`${channel}.output`);
-      ipc.unsubscribe(`${channel}.status`);
-      ipc.unsubscribe(`${channel}.finalStatus`);
-      if (finalStatus.reason === 'completed') {
-        // Do something
-        return resolve(finalStatus);
-      } else {
-        return reject(finalStatus);
-      }
-    });
-  });
-}
@@ -0,0 +1,166 @@
+'use strict';
+
+// Module registry
+// Keeps track of which modules are running, what they serve and whether they're ready, see lib/registry.mjs
+
+// Our libs
+import { setupIpc, setPingReply } from '../lib/ipc.mjs';
+import { isReady, registryExpiry } from '../lib/registry.mjs';
+import { spinLock } from '../lib/lock.mjs';
+import { setupTerminationSignalHandlers } from '../lib/exitHandlers.mjs';
+import { setupLog, isoTimestamp } from '../lib/log.mjs';
+
+//
+// Start boilerplate
+
+// Module id
+const moduleIdent = 'registry';
+
+// Setup logger
+const log = setupLog('bin/registry.mjs');
+
+// Flag start-of-log
+log.info('honk.host gameserver module registry v0.4.20');
+log.info(`--- Logs begin at ${isoTimestamp()} ---`);
+
+// Create our lockfile (throws if it fails)
+await spinLock(moduleIdent, 30);
+
+// Setup our IPC "connection"
+const ipc = await setupIpc(moduleIdent);
+
+// Setup our termination handlers for SIGTERM and SIGINT
+setupTerminationSignalHandlers(moduleIdent, ipc);
+
+// Set initial ping reply
+setPingReply(moduleIdent, ipc, 'init');
+
+//
+// End boilerplate
+
+// host/moduleIdent/pid => { moduleIdent, version, pid, host, channels, state, startedAt, lastSeen }
+const modules = new Map();
+
+const moduleKey = (module) => {
+  return `${module.host}/${module.moduleIdent}/${module.pid}`;
+};
+
+// Announcements, on start, on every state change and as a heartbeat
+ipc.subscribe('registry.announce', (data) => {
+  const announcement = JSON.parse(data);
+  if (typeof announcement.moduleIdent !== 'string' || typeof announcement.host !== 'string') {
+    log.warn('Ignoring registry announcement without a moduleIdent and host');
+    return;
+  }
+  const module = {
+    moduleIdent: announcement.moduleIdent,
+    version: String(announcement.version || 'unknown'),
+    pid: Number(announcement.pid),
+    host: announcement.host,
+    channels: Array.isArray(announcement.channels) ? announcement.channels.map(String) : [],
+    state: String(announcement.state || ''),
+    startedAt: Number(announcement.startedAt) || Date.now(),
+    lastSeen: Date.now(),
+  };
+  const existing = modules.get(moduleKey(module));
+  modules.set(moduleKey(module), module);
+  if (!existing) {
+    changed('registered', module);
+  } else if (existing.state !== module.state || existing.channels.join(',') !== module.channels.join(',')) {
+    changed('changed', module);
+  }
+});
+
+ipc.subscribe('registry.deregister', (data) => {
+  const departure = JSON.parse(data);
+  const key = moduleKey(departure);
+  const module = modules.get(key);
+  if (!module) return;
+  modules.delete(key);
+  changed('deregistered', module);
+});
+
+// Modules that went away without saying so
+const expiryTimer = setInterval(() => {
+  for (const [key, module] of modules) {
+    if (Date.now() - module.lastSeen <= registryExpiry * 1000) continue;
+    modules.delete(key);
+    changed('expired', module);
+  }
+}, 5000);
+// Our ipc connection is what keeps us running
+expiryTimer.unref();
+
+// Who's running
+ipc.handle('registry.list', (request) => {
+  return listing(Array.isArray(request.expected) ? request.expected : []);
+});
+
+ipc.on('start', () => {
+  setPingReply(moduleIdent, ipc, 'ready');
+  // Everyone announces themselves again, rather than us waiting a heartbeat to know who's there
+  ipc.publish('_broadcast.registryStarted', JSON.stringify({ moduleIdent: moduleIdent, timestamp: Date.now() }));
+});
+
+/**
+ * Log a change to the registry and tell whoever's watching
+ * @param {String} event - registered, changed, deregistered or expired
+ * @param {Object} module - the module's entry
+ * @returns {Void}
+ */
+function changed(event, module) {
+  log.info(`${module.moduleIdent} (pid ${module.pid} on ${module.host}) ${event}, ${module.state}`);
+  ipc.publish(
+    `registry.watch.${module.moduleIdent}`,
+    JSON.stringify({ event: event, module: describe(module), timestamp: Date.now() }),
+  );
+}
+
+/**
+ * A module's entry as we hand it out
+ * @param {Object} module - the module's entry
+ * @returns {Object} the entry, with ready worked out from its state
+ */
+function describe(module) {
+  return Object.assign({}, module, { ready: isReady(module.state) });
+}
+
+/**
+ * Everything we know about
+ * @param {String[]} expected - moduleIdents that should be running
+ * @returns {Object} { modules, duplicates, missing }
+ */
+function listing(expected) {
+  const list = Array.from(modules.values()).sort((a, b) => {
+    return a.moduleIdent.localeCompare(b.moduleIdent) || a.host.localeCompare(b.host) || a.pid - b.pid;
+  });
+
+  // The same module more than once on a host, every module takes a lock so one of them shouldn't be there
+  const byHost = new Map();
+  list.forEach((module) => {
+    const key = `${module.host}/${module.moduleIdent}`;
+    if (!byHost.has(key)) byHost.set(key, []);
+    byHost.get(key).push(module);
+  });
+  const duplicates = Array.from(byHost.values())
+    .filter((instances) => {
+      return instances.length > 1;
+    })
+    .map((instances) => {
+      return {
+        moduleIdent: instances.at(0).moduleIdent,
+        host: instances.at(0).host,
+        pids: instances.map((instance) => {
+          return instance.pid;
+        }),
+      };
+    });
+
+  const missing = expected.filter((wanted) => {
+    return !list.some((module) => {
+      return module.moduleIdent === wanted;
+    });
+  });
+
+  return { modules: list.map(describe), duplicates: duplicates, missing: missing };
+}
@@ -75,27 +75,24 @@ ipc.on('start', () => {
 ipc.subscribe('configManager.downloadUpdateRepo', downloadUpdateRepo);
 
 /**
- * Download/update a git repo/branch to a directory
- * @param {Object.<String, Boolean>} ipcData - the request as delivered by IPC
+ * Download/update a git repo/branch to a directory \
+ * Requests are checked against the configManager.downloadUpdateRepo contract in lib/ipcSchemas.mjs before they get here
+ * @param {String} ipcData - the request as delivered by IPC
  * @param {String} ipcData.requestId - uuidv4 - requestId
  * @param {String} ipcData.replyTo - `${moduleIdent}.${requestId}`
- * @param {Object.<String, Boolean>} ipcData.message - actual request
- * @param {String} ipcData.message.repoUrl - repo url
- * @param {String} ipcData.message.repoBranch - repo branch
- * @param {String} ipcData.message.repoDir - parent dir for config storage
- * @param {String} ipcData.message.instanceId - instancdid - my-casual-server
+ * @param {String} ipcData.repoUrl - repo url
+ * @param {String} ipcData.repoBranch - repo branch
+ * @param {String} ipcData.repoDir - parent dir for config storage
+ * @param {String} ipcData.instanceId - instancdid - my-casual-server
  */
 async function downloadUpdateRepo(ipcData) {
-  ipcData = JSON.parse(ipcData);
-  log.info('Incoming downloadUpdateRepo request:', ipcData);
-  const request = ipcData.message;
-  request.requestId = ipcData.requestId;
-  request.replyTo = ipcData.replyTo;
+  const request = JSON.parse(ipcData);
+  log.info('Incoming downloadUpdateRepo request:', request);
 
   // Verify caller provided a repo url
   if (!request.repoUrl) {
     log.error('downloadUpdateRepo called without repoUrl, sending error');
-    sendRequestReply(moduleIdent, ipc, 'error', { error: new Error('repoUrl required') }, request);
+    sendRequestReply(moduleIdent, ipc, 'error', { error: 'repoUrl required' }, request);
     return;
   }
   // And repo branch
@@ -106,7 +103,7 @@ async function downloadUpdateRepo(ipcData) {
   // And a directory to clone the repo to
   if (!request.repoDir) {
     log.error('downloadUpdateRepo called without repoDir, sending error');
-    sendRequestReply(moduleIdent, ipc, 'error', { error: new Error('repoDir required') }, request);
+    sendRequestReply(moduleIdent, ipc, 'error', { error: 'repoDir required' }, request);
     return;
   }
 
@@ -155,7 +152,7 @@ async function downloadUpdateRepo(ipcData) {
     await spinLock(globalLockId, 30);
   } catch (error) {
     log.error(`Error while spinLocking on ${globalLockId}`, error);
-    sendRequestReply(moduleIdent, ipc, 'error', { error: error }, request);
+    sendRequestReply(moduleIdent, ipc, 'error', { error: error.message }, request);
     return;
   }
 
@@ -166,7 +163,7 @@ async function downloadUpdateRepo(ipcData) {
   } catch (error) {
     // We keep globalLockId active - manual cleanup may be required on an unknown error condition
     log.error(`Error while spinClearing on ${configMountLockCheckPattern}`, error);
-    sendRequestReply(moduleIdent, ipc, 'error', { error: error }, request);
+    sendRequestReply(moduleIdent, ipc, 'error', { error: error.message }, request);
     delete runningDownloads[request.instanceId];
     await releaseLock(globalLockId);
     return;
@@ -195,9 +192,6 @@ async function downloadUpdateRepo(ipcData) {
     // Tell the caller we have some output
     sendRequestReply(moduleIdent, ipc, 'output', { line: output }, request);
   });
-  // Let everyone else know what we're doing
-  setPingReply(moduleIdent, ipc, 'downloading');
-
   // Then ack the request
   sendRequestReply(
     moduleIdent,
@@ -235,7 +229,7 @@ async function downloadUpdateRepo(ipcData) {
     });
   } catch (error) {
     log.error(error);
-    sendRequestReply(moduleIdent, ipc, 'error', { error: error }, request);
+    sendRequestReply(moduleIdent, ipc, 'error', { error: error.message }, request);
     delete runningDownloads[request.instanceId];
     await releaseLock(globalLockId);
     return;
@@ -247,7 +241,4 @@ async function downloadUpdateRepo(ipcData) {
   };
   // Send a final reply to the request
   sendRequestReply(moduleIdent, ipc, 'finalStatus', result, request);
-
-  // Done
-  setPingReply(moduleIdent, ipc, 'ready');
 }
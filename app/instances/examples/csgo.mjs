@@ -66,6 +66,10 @@ export const instance = {
   // Advanced overrides
   //
 
+  // Steam beta branches aren't set here, lifecycleManager's STEAMCMD_BETA_BRANCH picks one (overrides
+  // manifests/<game>.mjs) and a private branch's password is the betaPassword of its STEAMCMD_CREDENTIAL_PROFILE
+  // Base files for a branch live in base/<game>@<branch>
+
   // Override binary pwd and name
   binDirOverride: false, // relative to serverFilesBaseDir
   binNameOverride: false, // binary to run (override manifests/<game>.mjs)
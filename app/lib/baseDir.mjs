@@ -0,0 +1,435 @@
+'use strict';
+
+// Our libs
+import { setupLog, isoTimestamp } from './log.mjs';
+
+// Nodejs stdlib
+import { default as fs } from 'node:fs';
+import { default as path } from 'node:path';
+
+const log = setupLog('lib/baseDir.mjs');
+
+/**
+ * Path of the dirty marker for a base directory \
+ * It sits next to the directory rather than inside it, so removing the directory doesn't clear it
+ * @param {String} dir - the base directory, ie /opt/gsm/base/csgo
+ * @returns {String} the marker path, ie /opt/gsm/base/csgo.dirty
+ */
+export function dirtyMarkerPath(dir = '') {
+  return `${path.normalize(path.resolve(dir))}.dirty`;
+}
+
+/**
+ * Mark a base directory as dirty (mid-download or half-written), it must not be mounted until cleared \
+ * An existing marker is kept as-is so we don't lose when and why it was first marked
+ * @param {String} dir - the base directory
+ * @param {Object} info - anything worth recording, ie { reason, jobId }
+ * @returns {Object} the marker contents
+ */
+export function markDirty(dir = '', info = {}) {
+  const existing = readDirty(dir);
+  if (existing) return existing;
+  const marker = Object.assign({ since: isoTimestamp(), dir: path.normalize(path.resolve(dir)) }, info);
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync(path.dirname(dirtyMarkerPath(dir)), { recursive: true, mode: 0o755 });
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync(dirtyMarkerPath(dir), JSON.stringify(marker, null, 2));
+  log.warn(`Marked ${marker.dir} dirty:`, info.reason || 'no reason given');
+  return marker;
+}
+
+/**
+ * Clear the dirty marker once a base directory is known good again
+ * @param {String} dir - the base directory
+ * @returns {Boolean} true if there was a marker to clear
+ */
+export function clearDirty(dir = '') {
+  if (!readDirty(dir)) return false;
+  fs.rmSync(dirtyMarkerPath(dir), { force: true });
+  log.info(`Cleared dirty marker for ${path.normalize(path.resolve(dir))}`);
+  return true;
+}
+
+/**
+ * Read the dirty marker for a base directory
+ * @param {String} dir - the base directory
+ * @returns {Object|null} the marker contents, or null if the directory is clean
+ */
+export function readDirty(dir = '') {
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    return JSON.parse(fs.readFileSync(dirtyMarkerPath(dir), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    // Something's there but we can't make sense of it, that's still dirty
+    return { since: null, reason: `unreadable marker: ${error.message}` };
+  }
+}
+
+//
+// Versioned installs
+//
+// Each base directory holds every build we've kept, plus pointers to them:
+//   <baseDir>/builds/<buildId>     - one directory per installed build
+//   <baseDir>/builds/.staging      - the next build, while it's being downloaded
+//   <baseDir>/builds.json          - when each build was installed, used for ordering
+//   <baseDir>/current              - symlink to the build instances mount by default
+//   <baseDir>/pins/<instanceId>    - buildId an instance is pinned to instead
+
+// Steam buildids are numeric, direct downloads use whatever the manifest says, keep them (and instanceIds and beta
+// branches) path-safe
+const safeNamePattern = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Make sure a buildId, instanceId or beta branch is safe to use as a file name
+ * @param {String} name - the buildId, instanceId or beta branch
+ * @param {String} what - what it is, for the error
+ * @returns {String} the name, as a string
+ * @throws {Error} if it isn't
+ */
+export function safeName(name, what = 'buildId') {
+  const value = String(name);
+  if (!safeNamePattern.test(value)) throw new Error(`invalid ${what} ${value}`);
+  return value;
+}
+
+/**
+ * Directory holding a build, installed or not
+ * @param {String} dir - the base directory
+ * @param {String} buildId - the build
+ * @returns {String} ie /opt/gsm/base/csgo/builds/12345678
+ */
+export function buildDir(dir = '', buildId = '') {
+  return path.resolve(dir, 'builds', safeName(buildId));
+}
+
+/**
+ * Directory the next build is downloaded into, it becomes builds/<buildId> once complete
+ * @param {String} dir - the base directory
+ * @returns {String} ie /opt/gsm/base/csgo/builds/.staging
+ */
+export function stagingBuildDir(dir = '') {
+  return path.resolve(dir, 'builds', '.staging');
+}
+
+/**
+ * Path of the current build pointer, mount this to follow whatever is current at mount time
+ * @param {String} dir - the base directory
+ * @returns {String} ie /opt/gsm/base/csgo/current
+ */
+export function currentBuildPath(dir = '') {
+  return path.resolve(dir, 'current');
+}
+
+/**
+ * Which build the current pointer points to
+ * @param {String} dir - the base directory
+ * @returns {String|null} the buildId, or null if nothing has been installed yet
+ */
+export function currentBuild(dir = '') {
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    return path.basename(fs.readlinkSync(currentBuildPath(dir)));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Point current at an installed build \
+ * The new link is renamed over the old one, so there's never a moment without a current build
+ * @param {String} dir - the base directory
+ * @param {String} buildId - the build to make current
+ * @returns {String|null} the buildId that was current before
+ * @throws {Error} if the build isn't installed
+ */
+export function setCurrentBuild(dir = '', buildId = '') {
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  if (!fs.existsSync(buildDir(dir, buildId))) throw new Error(`build ${buildId} is not installed in ${dir}`);
+  const previous = currentBuild(dir);
+  const tempLink = `${currentBuildPath(dir)}.${process.pid}.tmp`;
+  fs.rmSync(tempLink, { force: true });
+  // Relative, so the tree can be moved or mounted elsewhere
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.symlinkSync(path.join('builds', String(buildId)), tempLink);
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.renameSync(tempLink, currentBuildPath(dir));
+  if (previous !== String(buildId)) log.info(`Current build for ${dir} is now ${buildId} (was ${previous})`);
+  return previous;
+}
+
+// Install times for each build, keyed by buildId
+function readBuildIndex(dir) {
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    return JSON.parse(fs.readFileSync(path.resolve(dir, 'builds.json'), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') log.warn(`Unable to read build index for ${dir}:`, error.message);
+    return {};
+  }
+}
+
+function writeBuildIndex(dir, index) {
+  const indexFile = path.resolve(dir, 'builds.json');
+  const tempFile = `${indexFile}.${process.pid}.tmp`;
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync(tempFile, JSON.stringify(index, null, 2));
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.renameSync(tempFile, indexFile);
+}
+
+/**
+ * Every installed build, oldest first
+ * @param {String} dir - the base directory
+ * @returns {Object[]} [{ buildId, dir, installedAt, current, pinnedBy }]
+ */
+export function listBuilds(dir = '') {
+  const index = readBuildIndex(dir);
+  const current = currentBuild(dir);
+  const pins = readPins(dir);
+  var entries = [];
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    entries = fs.readdirSync(path.resolve(dir, 'builds'), { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  return entries
+    .filter((entry) => {
+      return entry.isDirectory() && safeNamePattern.test(entry.name);
+    })
+    .map((entry) => {
+      return {
+        buildId: entry.name,
+        dir: buildDir(dir, entry.name),
+        // eslint-disable-next-line security/detect-object-injection
+        installedAt: index[entry.name] ? index[entry.name].installedAt : null,
+        current: entry.name === current,
+        pinnedBy: Object.keys(pins).filter((instanceId) => {
+          // eslint-disable-next-line security/detect-object-injection
+          return pins[instanceId] === entry.name;
+        }),
+      };
+    })
+    .sort((a, b) => {
+      // Builds from before the index existed sort first
+      return (a.installedAt || '').localeCompare(b.installedAt || '') || a.buildId.localeCompare(b.buildId);
+    });
+}
+
+/**
+ * Move an old-style in-place install (files straight in the base directory) into builds/ \
+ * A dirty install becomes the staging build so the next download picks up where it left off
+ * @param {String} dir - the base directory
+ * @param {String} buildId - buildId of the installed files, if known
+ * @returns {String|null} where the files went, or null if there was nothing to migrate
+ */
+export function migrateLegacyInstall(dir = '', buildId = null) {
+  const baseDir = path.normalize(path.resolve(dir));
+  var entries;
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    entries = fs.readdirSync(baseDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  // Already versioned, or empty
+  const versionedEntries = ['builds', 'builds.json', 'current', 'pins'];
+  const legacyEntries = entries.filter((entry) => {
+    return !versionedEntries.includes(entry) && !entry.endsWith('.tmp');
+  });
+  if (legacyEntries.length === 0) return null;
+  if (currentBuild(baseDir) || listBuilds(baseDir).length > 0) {
+    throw new Error(`${baseDir} has versioned builds and loose files (${legacyEntries.join(', ')}), fix it by hand`);
+  }
+
+  // Either an old-style dirty marker, or one left by recovering an interrupted download
+  const dirty = readDirty(baseDir) || readDirty(stagingBuildDir(baseDir));
+  const target = dirty || !buildId ? stagingBuildDir(baseDir) : buildDir(baseDir, buildId);
+  log.warn(`Migrating in-place install ${baseDir} to ${target}`);
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync(target, { recursive: true, mode: 0o755 });
+  for (const entry of legacyEntries) {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fs.renameSync(path.resolve(baseDir, entry), path.resolve(target, entry));
+  }
+
+  if (dirty) {
+    clearDirty(baseDir);
+    markDirty(target, Object.assign({}, dirty, { migratedFrom: baseDir }));
+  } else if (buildId) {
+    recordBuild(baseDir, buildId, { migratedFrom: baseDir });
+    setCurrentBuild(baseDir, buildId);
+  }
+  return target;
+}
+
+/**
+ * Get the staging build ready to download into \
+ * A leftover staging build (from a failed or interrupted download) is reused as-is, otherwise it starts as a copy \
+ * of the current build so the download only has to fetch what changed. Copies are reflinked where the filesystem \
+ * supports it.
+ * @param {String} dir - the base directory
+ * @returns {Promise<Object>} resolves with { dir, copiedFrom, reused }
+ */
+export async function prepareStagingBuild(dir = '') {
+  const stagingDir = stagingBuildDir(dir);
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  if (fs.existsSync(stagingDir)) return { dir: stagingDir, copiedFrom: null, reused: true };
+
+  const current = currentBuild(dir);
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync(path.dirname(stagingDir), { recursive: true, mode: 0o755 });
+  if (!current) {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fs.mkdirSync(stagingDir, { mode: 0o755 });
+    return { dir: stagingDir, copiedFrom: null, reused: false };
+  }
+
+  // Copy into a temp dir first, a half-finished copy must not look like a staging build we can reuse
+  const copyDir = `${stagingDir}.copy`;
+  await fs.promises.rm(copyDir, { recursive: true, force: true });
+  await fs.promises.cp(buildDir(dir, current), copyDir, {
+    recursive: true,
+    preserveTimestamps: true,
+    verbatimSymlinks: true,
+    mode: fs.constants.COPYFILE_FICLONE,
+  });
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.renameSync(copyDir, stagingDir);
+  return { dir: stagingDir, copiedFrom: current, reused: false };
+}
+
+// Remember when a build was installed
+function recordBuild(dir, buildId, info = {}) {
+  const index = readBuildIndex(dir);
+  // eslint-disable-next-line security/detect-object-injection
+  index[buildId] = Object.assign({ installedAt: isoTimestamp() }, info);
+  writeBuildIndex(dir, index);
+}
+
+/**
+ * Turn a completed staging build into builds/<buildId> and make it current \
+ * Reinstalling a build we already have (ie a validate) replaces it
+ * @param {String} dir - the base directory
+ * @param {String} buildId - buildId of the staged files
+ * @param {Object} info - anything worth recording in builds.json
+ * @returns {Object} { buildId, dir, previousBuildId }
+ */
+export function promoteStagingBuild(dir = '', buildId = '', info = {}) {
+  const stagingDir = stagingBuildDir(dir);
+  const targetDir = buildDir(dir, buildId);
+  if (readDirty(stagingDir)) throw new Error(`staging build in ${dir} is dirty, refusing to promote it`);
+
+  // Swap out any build with the same id, it can't be renamed over
+  const replacedDir = path.resolve(dir, 'builds', `.replaced-${buildId}`);
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  if (fs.existsSync(targetDir)) fs.renameSync(targetDir, replacedDir);
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.renameSync(stagingDir, targetDir);
+  fs.rmSync(replacedDir, { recursive: true, force: true });
+
+  recordBuild(dir, String(buildId), info);
+  const previousBuildId = setCurrentBuild(dir, buildId);
+  return { buildId: String(buildId), dir: targetDir, previousBuildId: previousBuildId };
+}
+
+/**
+ * Remove old builds beyond the retention count \
+ * The current build and pinned builds are always kept, and don't count towards retention
+ * @param {String} dir - the base directory
+ * @param {Number} retention - how many other builds to keep, newest first
+ * @returns {String[]} buildIds removed
+ */
+export function pruneBuilds(dir = '', retention = 2) {
+  const removable = listBuilds(dir).filter((build) => {
+    return !build.current && build.pinnedBy.length === 0;
+  });
+  const remove = removable.slice(0, Math.max(removable.length - Math.max(retention, 0), 0));
+  const index = readBuildIndex(dir);
+  for (const build of remove) {
+    log.info(`Removing old build ${build.buildId} from ${dir}`);
+    fs.rmSync(build.dir, { recursive: true, force: true });
+    delete index[build.buildId];
+  }
+  if (remove.length > 0) writeBuildIndex(dir, index);
+  return remove.map((build) => {
+    return build.buildId;
+  });
+}
+
+/**
+ * Pinned builds, keyed by instanceId
+ * @param {String} dir - the base directory
+ * @returns {Object.<String>} { instanceId: buildId }
+ */
+export function readPins(dir = '') {
+  const pinDir = path.resolve(dir, 'pins');
+  const pins = {};
+  var entries = [];
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    entries = fs.readdirSync(pinDir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  for (const instanceId of entries) {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename, security/detect-object-injection
+    pins[instanceId] = fs.readFileSync(path.resolve(pinDir, instanceId), 'utf8').trim();
+  }
+  return pins;
+}
+
+/**
+ * Pin an instance to a build, it mounts that build instead of current and it's never pruned
+ * @param {String} dir - the base directory
+ * @param {String} instanceId - the instance
+ * @param {String} buildId - the build, must be installed
+ * @returns {Void}
+ * @throws {Error} if the build isn't installed
+ */
+export function pinBuild(dir = '', instanceId = '', buildId = '') {
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  if (!fs.existsSync(buildDir(dir, buildId))) throw new Error(`build ${buildId} is not installed in ${dir}`);
+  const pinDir = path.resolve(dir, 'pins');
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync(pinDir, { recursive: true, mode: 0o755 });
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync(path.resolve(pinDir, safeName(instanceId, 'instanceId')), `${buildId}\n`);
+}
+
+/**
+ * Unpin an instance, it goes back to following current
+ * @param {String} dir - the base directory
+ * @param {String} instanceId - the instance
+ * @returns {Boolean} true if it was pinned
+ */
+export function unpinBuild(dir = '', instanceId = '') {
+  const pinFile = path.resolve(dir, 'pins', safeName(instanceId, 'instanceId'));
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  if (!fs.existsSync(pinFile)) return false;
+  fs.rmSync(pinFile, { force: true });
+  return true;
+}
+
+/**
+ * Directory an instance should mount its base files from \
+ * A dirty build can't be mounted, whether it's the instance's pinned build or the current one
+ * @param {String} dir - the base directory
+ * @param {String} instanceId - the instance, optional
+ * @returns {String} builds/<buildId> if the instance is pinned, otherwise the current pointer
+ * @throws {Error} if the build it resolves to is dirty
+ */
+export function resolveBuildDir(dir = '', instanceId = '') {
+  const pins = readPins(dir);
+  // eslint-disable-next-line no-prototype-builtins, security/detect-object-injection
+  const pinned = instanceId && pins.hasOwnProperty(instanceId) ? pins[instanceId] : null;
+  const buildId = pinned || currentBuild(dir);
+  if (buildId && readDirty(buildDir(dir, buildId))) {
+    throw new Error(`build ${buildId} in ${dir} is dirty, it can't be mounted`);
+  }
+  return pinned ? buildDir(dir, pinned) : currentBuildPath(dir);
+}
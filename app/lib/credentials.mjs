@@ -0,0 +1,217 @@
+'use strict';
+
+// Our libs
+import { setupLog } from './log.mjs';
+import { stateDir } from './jobQueue.mjs';
+import { checkPrivateFile } from './privateFile.mjs';
+import { registerSecret } from './redact.mjs';
+
+// Nodejs stdlib
+import { default as crypto } from 'node:crypto';
+import { default as fs } from 'node:fs';
+import { default as path } from 'node:path';
+
+const log = setupLog('lib/credentials.mjs');
+
+// Where credential profiles are kept, encrypted
+export const credentialsFile = path.resolve(process.env.CREDENTIALS_FILE || `${stateDir}/credentials.json`);
+
+// What unlocks it, a key file wins over a passphrase
+const credentialsKeyFile = process.env.CREDENTIALS_KEY_FILE || '';
+const credentialsPassphrase = process.env.CREDENTIALS_PASSPHRASE || '';
+
+// Profile names end up in env vars, requests and log lines, keep them boring
+const profileNamePattern = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// AES-256-GCM with a key derived from the key file/passphrase by scrypt, fresh salt and iv on every write
+const cipherAlgorithm = 'aes-256-gcm';
+
+/**
+ * Read whatever unlocks the credentials file
+ * @returns {String} the key file contents or the passphrase
+ * @throws {Error} if neither is configured, or the key file can't be used
+ */
+function readKeyMaterial() {
+  var material = credentialsPassphrase;
+  if (credentialsKeyFile) {
+    if (!checkPrivateFile(credentialsKeyFile, 'credentials key file'))
+      throw new Error(`credentials key file ${credentialsKeyFile} not found`);
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    material = fs.readFileSync(credentialsKeyFile, 'utf8').trim();
+  }
+  if (!material) throw new Error('set CREDENTIALS_KEY_FILE or CREDENTIALS_PASSPHRASE to unlock credential profiles');
+  registerSecret(material);
+  return material;
+}
+
+/**
+ * Read and decrypt every credential profile
+ * @returns {Object} profile name => { username, password, twoFactorSecret, betaPassword, allowedAppIds }, \
+ * empty if there's no credentials file yet
+ * @throws {Error} if the file is accessible by anyone else, or can't be decrypted
+ */
+function readProfiles() {
+  if (!checkPrivateFile(credentialsFile, 'credentials file')) return {};
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  const saved = JSON.parse(fs.readFileSync(credentialsFile, 'utf8'));
+
+  // Unencrypted files from before profiles were encrypted, they're encrypted on the next change
+  if (!saved.data) {
+    log.warn(`${credentialsFile} isn't encrypted, add or remove a profile to encrypt it`);
+    return saved.profiles || {};
+  }
+
+  try {
+    const key = crypto.scryptSync(readKeyMaterial(), Buffer.from(saved.salt, 'base64'), 32);
+    const decipher = crypto.createDecipheriv(cipherAlgorithm, key, Buffer.from(saved.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(saved.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(saved.data, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8')).profiles || {};
+  } catch (error) {
+    if (error.message.startsWith('set CREDENTIALS_')) throw error;
+    throw new Error(`unable to decrypt ${credentialsFile}, wrong key file or passphrase?`);
+  }
+}
+
+/**
+ * Encrypt and write out every credential profile \
+ * It goes via a temp file so a crash never leaves half a file behind
+ * @param {Object} profiles - profile name => profile
+ * @returns {Void}
+ * @throws {Error} if it can't be written
+ */
+function writeProfiles(profiles) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(readKeyMaterial(), salt, 32);
+  const cipher = crypto.createCipheriv(cipherAlgorithm, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify({ profiles: profiles }), 'utf8'), cipher.final()]);
+  const saved = {
+    version: 1,
+    cipher: cipherAlgorithm,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync(path.dirname(credentialsFile), { recursive: true, mode: 0o700 });
+  const tempFile = `${credentialsFile}.${process.pid}.tmp`;
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync(tempFile, JSON.stringify(saved, null, 2), { mode: 0o600 });
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.renameSync(tempFile, credentialsFile);
+}
+
+/**
+ * Load a credential profile by name \
+ * Its secrets are registered with lib/redact.mjs before it's returned, so they never make it into logs or IPC
+ * @param {String} name - the profile, ie 'licensed-account'
+ * @param {String|Number} appid - the appid it's about to be used for, checked against profile.allowedAppIds
+ * @returns {Object} { name, username, password, twoFactorSecret, betaPassword, allowedAppIds }
+ * @throws {Error} if the profile doesn't exist, is missing its username/password or isn't allowed to use appid
+ */
+export function loadCredentialProfile(name = '', appid = null) {
+  if (!name) throw new Error('credential profile name required');
+  const profiles = readProfiles();
+  if (!Object.prototype.hasOwnProperty.call(profiles, name)) throw new Error(`credential profile ${name} not found`);
+  // eslint-disable-next-line security/detect-object-injection
+  const profile = profiles[name];
+  if (!profile.username || !profile.password)
+    throw new Error(`credential profile ${name} needs a username and password`);
+
+  registerSecret(profile.password);
+  registerSecret(profile.twoFactorSecret);
+  registerSecret(profile.betaPassword);
+
+  // No list means any appid
+  const allowedAppIds = (profile.allowedAppIds || []).map(String);
+  if (appid !== null && appid !== undefined && allowedAppIds.length > 0 && !allowedAppIds.includes(String(appid))) {
+    throw new Error(`credential profile ${name} isn't allowed to use appid ${appid}`);
+  }
+
+  return {
+    name: name,
+    username: profile.username,
+    password: profile.password,
+    twoFactorSecret: profile.twoFactorSecret || '',
+    betaPassword: profile.betaPassword || '',
+    allowedAppIds: allowedAppIds,
+  };
+}
+
+/**
+ * List credential profiles, without their secrets
+ * @returns {Object[]} [{ name, username, steamGuard, privateBeta, allowedAppIds }], steamGuard and privateBeta are \
+ * whether it has a twoFactorSecret and betaPassword (named so redaction leaves them alone)
+ * @throws {Error} if the credentials file can't be read
+ */
+export function listCredentialProfiles() {
+  const profiles = readProfiles();
+  return Object.keys(profiles)
+    .sort()
+    .map((name) => {
+      // eslint-disable-next-line security/detect-object-injection
+      const profile = profiles[name];
+      return {
+        name: name,
+        username: profile.username,
+        steamGuard: Boolean(profile.twoFactorSecret),
+        privateBeta: Boolean(profile.betaPassword),
+        allowedAppIds: (profile.allowedAppIds || []).map(String),
+      };
+    });
+}
+
+/**
+ * Add a credential profile, or replace one with the same name
+ * @param {String} name - the profile, ie 'licensed-account'
+ * @param {Object.<String, String[]>} profile
+ * @param {String} profile.username - steam username
+ * @param {String} profile.password - steam password
+ * @param {String} profile.twoFactorSecret - '' - base64 steam guard shared secret, codes are requested over ipc without one
+ * @param {String} profile.betaPassword - '' - password for a private beta branch
+ * @param {String[]} profile.allowedAppIds - [] - appids the profile may be used for, empty for any
+ * @returns {Boolean} true if it replaced an existing profile
+ * @throws {Error} if the name or profile is invalid, or the credentials file can't be written
+ */
+export function saveCredentialProfile(
+  name = '',
+  profile = { username: '', password: '', twoFactorSecret: '', betaPassword: '', allowedAppIds: [] },
+) {
+  if (!profileNamePattern.test(name)) throw new Error(`invalid credential profile name ${name}`);
+  if (!profile.username || !profile.password) throw new Error('credential profiles need a username and password');
+  if (profile.twoFactorSecret && Buffer.from(profile.twoFactorSecret, 'base64').length === 0)
+    throw new Error('twoFactorSecret must be base64');
+
+  const profiles = readProfiles();
+  const replaced = Object.prototype.hasOwnProperty.call(profiles, name);
+  // eslint-disable-next-line security/detect-object-injection
+  profiles[name] = {
+    username: profile.username,
+    password: profile.password,
+    twoFactorSecret: profile.twoFactorSecret || '',
+    betaPassword: profile.betaPassword || '',
+    allowedAppIds: (profile.allowedAppIds || []).map(String),
+  };
+  writeProfiles(profiles);
+  log.info(`${replaced ? 'Replaced' : 'Added'} credential profile ${name}`);
+  return replaced;
+}
+
+/**
+ * Remove a credential profile
+ * @param {String} name - the profile
+ * @returns {Void}
+ * @throws {Error} if it doesn't exist, or the credentials file can't be written
+ */
+export function removeCredentialProfile(name = '') {
+  const profiles = readProfiles();
+  if (!Object.prototype.hasOwnProperty.call(profiles, name)) throw new Error(`credential profile ${name} not found`);
+  // eslint-disable-next-line security/detect-object-injection
+  delete profiles[name];
+  writeProfiles(profiles);
+  log.info(`Removed credential profile ${name}`);
+}
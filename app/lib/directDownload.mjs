@@ -0,0 +1,192 @@
+'use strict';
+
+// Our libs
+import { downloadFile, extractTarGz, extractZip } from './fileDownload.mjs';
+import { setupLog, isoTimestamp } from './log.mjs';
+import { parseBool } from './parseBool.mjs';
+
+// Nodejs stdlib
+import { default as fs } from 'node:fs';
+import { default as Stream } from 'node:stream';
+import { default as path } from 'node:path';
+
+const log = setupLog('lib/directDownload.mjs');
+
+// Debug modes
+const debug = parseBool(process.env.DEBUG) || false;
+
+// Archive formats we know how to unpack
+export const supportedFormats = ['tar.gz', 'zip', 'raw'];
+
+/**
+ * Download (and unpack) server files straight from http(s) urls
+ * @param {Object.<Object[], Boolean, String>} options
+ * @param {Object[]} options.files - files to fetch, from manifest.downloadFiles
+ * @param {String} options.files[].url - where to download it from
+ * @param {String} options.files[].sha256 - expected sha256 (hex), optional
+ * @param {String} options.files[].sha1 - expected sha1 (hex), optional
+ * @param {String} options.files[].format - 'tar.gz', 'zip' or 'raw'
+ * @param {Number} options.files[].strip - leading path components to drop when unpacking
+ * @param {String} options.files[].fileName - name to save raw files as, defaults to the last part of the url
+ * @param {Boolean} options.serverFilesForce - if true, remove all old server files (DANGEROUS)
+ * @param {String} options.downloadDir - path to server files base directory
+ * @param {Stream.Passthrough} outputSink - output sink for verbose messages
+ * @param {Stream.Passthrough} progressSink - output sink for progress messages
+ * @param {Stream.PassThrough} commandSink - input sink for commands (currently only supports "cancel")
+ * @returns {Promise<Object>} resolves with { status, reason, error, files } when done, rejects on error
+ */
+export async function directDownload(
+  options = {
+    files: [],
+    serverFilesForce: false,
+    downloadDir: '',
+  },
+  outputSink = Stream.PassThrough,
+  progressSink = Stream.PassThrough,
+  commandSink = Stream.PassThrough,
+) {
+  // eslint-disable-next-line no-prototype-builtins
+  const files = options.hasOwnProperty('files') ? options.files : [];
+  // eslint-disable-next-line no-prototype-builtins
+  const downloadDir = options.hasOwnProperty('downloadDir') ? path.normalize(path.resolve(options.downloadDir)) : '';
+
+  // Validate what we were given before touching the disk
+  if (downloadDir === '') {
+    log.error('directDownload called without downloadDir');
+    throw new Error('downloadDir required');
+  }
+  if (!Array.isArray(files) || files.length === 0) {
+    log.error('directDownload called without files');
+    throw new Error('files required');
+  }
+  for (const file of files) {
+    if (!file.url) throw new Error('every file needs a url');
+    if (!supportedFormats.includes(file.format || 'raw')) {
+      throw new Error(`unsupported format ${file.format} for ${file.url}`);
+    }
+  }
+
+  // Helper to push a line to outputSink
+  const output = (line) => {
+    if (debug) log.debug(line);
+    outputSink.push(
+      JSON.stringify({
+        timestamp: isoTimestamp(),
+        line: line,
+      }),
+    );
+  };
+
+  // Clean up old game files if specified
+  if (options.serverFilesForce) {
+    output('directDownload options.serverFilesForce is true, removing old server installation');
+    fs.rmSync(downloadDir, { recursive: true, force: true });
+    fs.rmSync(`${downloadDir}.download`, { recursive: true, force: true });
+  }
+
+  // Downloads are staged next to downloadDir so a failed download never touches the old files \
+  // It's left in place on failure or cancel so the next attempt can resume
+  const stagingDir = `${downloadDir}.download`;
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync(downloadDir, { recursive: true, mode: 0o755 });
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync(stagingDir, { recursive: true, mode: 0o755 });
+
+  // Listen to commandSink for cancel commands
+  const abortController = new AbortController();
+  const onCommand = (command) => {
+    command = JSON.parse(command);
+    if (command.command === 'cancel') {
+      abortController.abort();
+    }
+  };
+  commandSink.on('data', onCommand);
+
+  const results = [];
+  try {
+    for (let i = 0; i < files.length && !abortController.signal.aborted; i++) {
+      // eslint-disable-next-line security/detect-object-injection
+      const file = files[i];
+      const format = file.format || 'raw';
+      const fileName = path.basename(file.fileName || new URL(file.url).pathname.split('/').pop() || `file-${i}`);
+
+      // Fetch and verify it
+      output(`Downloading ${file.url} (${i + 1} of ${files.length})`);
+      if (!file.sha256 && !file.sha1) {
+        log.warn(`No checksum in manifest for ${file.url}, skipping verification`);
+      }
+      var fetched;
+      try {
+        fetched = await downloadFile(file.url, stagingDir, {
+          fileName: fileName,
+          sha256: file.sha256,
+          sha1: file.sha1,
+          signal: abortController.signal,
+          onProgress: (progress) => {
+            progressSink.push(
+              JSON.stringify({
+                downloadStage: 'direct_download',
+                downloadStateHex: null,
+                downloadState: 'downloading',
+                downloadProgress: progress.total ? ((progress.bytes / progress.total) * 100).toFixed(2) : null,
+                downloadProgressReceived: String(progress.bytes),
+                downloadProgressTotal: progress.total ? String(progress.total) : null,
+                downloadRate: progress.rate,
+                fileName: fileName,
+                progressLine: `${fileName} ${progress.bytes} / ${progress.total || '?'}`,
+              }),
+            );
+          },
+        });
+      } catch (error) {
+        if (abortController.signal.aborted) break;
+        throw error;
+      }
+      output(`Downloaded ${fileName} (${fetched.bytes} bytes), sha256 ${fetched.sha256}`);
+
+      // Unpack it
+      output(`Installing ${fileName} (${format}) to ${downloadDir}`);
+      switch (format) {
+        case 'tar.gz':
+          await extractTarGz(fetched.filePath, { cwd: downloadDir, strip: file.strip || 0 });
+          break;
+        case 'zip':
+          await extractZip(fetched.filePath, { cwd: downloadDir, strip: file.strip || 0 });
+          break;
+        case 'raw':
+          // eslint-disable-next-line security/detect-non-literal-fs-filename
+          fs.copyFileSync(fetched.filePath, path.resolve(downloadDir, fileName));
+          break;
+      }
+
+      results.push({
+        url: file.url,
+        fileName: fileName,
+        bytes: fetched.bytes,
+        sha256: fetched.sha256,
+        sha1: fetched.sha1,
+      });
+    }
+  } finally {
+    commandSink.removeListener('data', onCommand);
+  }
+
+  const canceled = abortController.signal.aborted;
+  if (!canceled) {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+
+  if (canceled) {
+    log.info('Download canceled on request');
+    output('Download canceled on request');
+    commandSink.push(
+      JSON.stringify({
+        timestamp: isoTimestamp(),
+        status: 'ackCanceled',
+      }),
+    );
+    return { status: 'canceled', reason: 'canceled', error: false, files: results };
+  }
+
+  return { status: 'completed', reason: 'completed', error: false, files: results };
+}
@@ -0,0 +1,102 @@
+'use strict';
+
+// Our libs
+import { setupLog } from './log.mjs';
+
+// Nodejs stdlib
+import { default as fs } from 'node:fs';
+import { default as path } from 'node:path';
+
+const log = setupLog('lib/diskSpace.mjs');
+
+/**
+ * Free space available to us on the filesystem holding a directory \
+ * The directory doesn't need to exist yet, the nearest existing parent is checked instead
+ * @param {String} dir - the directory we want to write to
+ * @returns {Number} available bytes (for unprivileged users, like df)
+ */
+export function getFreeSpace(dir = '') {
+  var checkPath = path.normalize(path.resolve(dir));
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  while (!fs.existsSync(checkPath) && path.dirname(checkPath) !== checkPath) {
+    checkPath = path.dirname(checkPath);
+  }
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  const stats = fs.statfsSync(checkPath);
+  return stats.bavail * stats.bsize;
+}
+
+/**
+ * Total size of the files under a directory, like du -sb \
+ * Symlinks aren't followed, hard links are counted each time they're seen. It doesn't hold up anything else while it
+ * walks the tree
+ * @param {String} dir - the directory to measure
+ * @returns {Promise<Number>} size in bytes, 0 if the directory doesn't exist
+ */
+export async function getDirectorySize(dir = '') {
+  const root = path.normalize(path.resolve(dir));
+  var total = 0;
+  const pending = [root];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    var entries;
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      entries = await fs.promises.readdir(current, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      log.warn(`Unable to read ${current}:`, error.message);
+      continue;
+    }
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        pending.push(entryPath);
+      } else if (entry.isFile()) {
+        files.push(entryPath);
+      }
+    }
+    // A directory's worth of files at a time
+    const sizes = await Promise.all(
+      files.map((file) => {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        return fs.promises.lstat(file).then(
+          (stats) => {
+            return stats.size;
+          },
+          () => {
+            // Gone since we listed it
+            return 0;
+          },
+        );
+      }),
+    );
+    total += sizes.reduce((sum, size) => {
+      return sum + size;
+    }, 0);
+  }
+  return total;
+}
+
+/**
+ * Can files in a directory be reflinked (copy-on-write cloned), ie on btrfs or xfs \
+ * Tried for real with a throwaway file, copies elsewhere on the same filesystem behave the same
+ * @param {String} dir - an existing directory
+ * @returns {Promise<Boolean>} true if they can, false if a copy takes up as much space again
+ */
+export async function canReflink(dir = '') {
+  const probe = path.resolve(dir, `.reflink-probe.${process.pid}`);
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    await fs.promises.writeFile(probe, 'reflink probe');
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    await fs.promises.copyFile(probe, `${probe}.copy`, fs.constants.COPYFILE_FICLONE_FORCE);
+    return true;
+  } catch (error) {
+    return false;
+  } finally {
+    await fs.promises.rm(probe, { force: true });
+    await fs.promises.rm(`${probe}.copy`, { force: true });
+  }
+}
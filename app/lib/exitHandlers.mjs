@@ -3,6 +3,8 @@
 // Our libs
 import { releaseLock } from './lock.mjs';
 import { setupLog } from './log.mjs';
+import { deregisterModule } from './registry.mjs';
+import { endOpenSpans } from './trace.mjs';
 
 // External libs
 // We import qlobber-fsq here so we can use it as a datatype in the function sig below
@@ -72,7 +74,7 @@ export function handleTerminationSignal(moduleIdent = '', ipc = qfsq.QlobberFSQ,
 
 /**
  * Generic exit helper \
- * Tears down ipc listeners
+ * Deregisters the module, ends its open spans and tears down ipc listeners
  * @param {String} moduleIdent - the module's ident
  * @param {qfsq.QlobberFSQ} ipc - the module's ipc object
  * @param {number} code - the exit code to return
@@ -84,6 +86,12 @@ export function exit(moduleIdent = '', ipc = qfsq.QlobberFSQ, code = 0) {
     throw new Error('Timeout expired, forcing exit.');
   }, 5000).unref();
 
+  // Tell the registry we're going while we still can
+  deregisterModule(moduleIdent);
+
+  // Whatever we were in the middle of still shows up in its trace
+  endOpenSpans(`exit ${code}`);
+
   // Unsubscribe from all IPC channels/events
   ipc.unsubscribe();
   ipc.stop_watching();
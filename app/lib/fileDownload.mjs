@@ -4,67 +4,264 @@
 import { setupLog } from './log.mjs';
 
 // Nodejs stdlib
+import { default as crypto } from 'node:crypto';
 import { default as fs } from 'node:fs';
 import { default as path } from 'node:path';
 
 // External libs
 import { default as needle } from 'needle';
 import { default as tar } from 'tar';
+import { default as yauzl } from 'yauzl';
 
 const log = setupLog('lib/fileDownload.mjs');
 
+// Milliseconds without any data before a download is considered dead
+const downloadTimeoutDefault = 60000;
+
 /**
- * Download a file from a url
+ * Download a file from a url \
+ * The file is written to `<fileName>.partial` first and only renamed into place once it's complete and verified. \
+ * A leftover .partial from an interrupted download is resumed with an http Range request where the server allows it.
  * @param {String} url - the url of the file to download
- * @param {String} outputPath - the path to save the file to
- * @param {Object.<Boolean>} options - the options for the download
- * @param {Boolean} options.untar - untar the file if set to true
- * @returns {Promise} resolves when file download is completed, rejects on error
+ * @param {String} outputPath - the directory to save the file to
+ * @param {Object.<String, Boolean, Number, AbortSignal, Function>} options - the options for the download
+ * @param {String} options.fileName - name to save the file as, defaults to the last part of the url
+ * @param {String} options.sha256 - expected sha256 (hex), the download is rejected and removed if it doesn't match
+ * @param {String} options.sha1 - expected sha1 (hex), as above
+ * @param {Boolean} options.untar - untar the file into outputPath once downloaded if set to true
+ * @param {Number} options.strip - tar --strip=N when untarring
+ * @param {Number} options.timeout - give up if no data arrives for this many milliseconds (0 to disable)
+ * @param {AbortSignal} options.signal - abort the download, the .partial is kept for a later resume
+ * @param {Function} options.onProgress - called with { bytes, total, rate } at most once a second and once when done
+ * @returns {Promise<Object>} resolves with { filePath, bytes, sha256, sha1, resumed } when done, rejects on error
  */
-export function downloadFile(
+export async function downloadFile(
   url = '',
   outputPath = '',
   options = {
+    fileName: '',
+    sha256: '',
+    sha1: '',
     untar: false,
+    strip: 0,
+    timeout: downloadTimeoutDefault,
+    signal: null,
+    onProgress: null,
   },
 ) {
-  log.debug(`Attempting download of ${url.split('/')[url.split('/').length - 1]} to ${outputPath}`);
-  return new Promise((resolve, reject) => {
-    if (!url) {
-      return reject('url required');
-    }
-    if (!outputPath) {
-      return reject('output path required');
-    }
+  if (!url) throw new Error('url required');
+  if (!outputPath) throw new Error('output path required');
 
-    const normalizedCwdPath = path.normalize(path.resolve(outputPath));
-    const normalizedFilePath = path.normalize(path.resolve(`${normalizedCwdPath}/steamcmd.tar`));
+  const normalizedCwdPath = path.normalize(path.resolve(outputPath));
+  const fileName = path.basename(options.fileName || new URL(url).pathname.split('/').pop() || 'download');
+  const normalizedFilePath = path.normalize(path.resolve(`${normalizedCwdPath}/${fileName}`));
+  const partialFilePath = `${normalizedFilePath}.partial`;
+  // eslint-disable-next-line no-prototype-builtins
+  const timeout = options.hasOwnProperty('timeout') ? options.timeout : downloadTimeoutDefault;
+
+  log.debug(`Attempting download of ${fileName} to ${outputPath}`);
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync(normalizedCwdPath, { recursive: true, mode: 0o755 });
+
+  // Pick up where an earlier attempt left off
+  var startByte = 0;
+  try {
     // eslint-disable-next-line security/detect-non-literal-fs-filename
-    const outputFile = fs.createWriteStream(normalizedFilePath);
-    needle
-      .get(url)
-      .pipe(outputFile)
-      .on('done', async (error) => {
-        if (error) return reject(error);
-        log.debug(`Completed download of ${url.split('/')[url.split('/').length - 1]} to ${outputPath}`);
-        if (options.untar) {
-          // Schedule the untar for next tick so it has a better chance at succeeding
-          process.nextTick(() => {
-            // eslint-disable-next-line promise/no-promise-in-callback
-            extractTarGz(normalizedFilePath, {
-              cwd: normalizedCwdPath,
-            })
-              .then(() => {
-                return resolve();
-              })
-              .catch((error) => {
-                return reject(error);
-              });
-          });
-        } else {
-          return resolve();
+    startByte = fs.statSync(partialFilePath).size;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  var fetched = await fetchToFile(url, partialFilePath, startByte, timeout, options.signal, options.onProgress);
+  if (fetched.rangeNotSatisfiable) {
+    // Our partial file is no good (bigger than the remote file, or it changed), start over
+    log.warn(`Server rejected resume of ${fileName} at byte ${startByte}, restarting download`);
+    fs.rmSync(partialFilePath, { force: true });
+    fetched = await fetchToFile(url, partialFilePath, 0, timeout, options.signal, options.onProgress);
+  }
+
+  // Verify it before it goes anywhere near the real file name
+  const mismatch = verifyHashes(fetched, options);
+  if (mismatch) {
+    fs.rmSync(partialFilePath, { force: true });
+    throw new Error(`${mismatch} mismatch for ${fileName}`);
+  }
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.renameSync(partialFilePath, normalizedFilePath);
+  log.debug(`Completed download of ${fileName} to ${outputPath}`);
+
+  if (options.untar) {
+    await extractTarGz(normalizedFilePath, {
+      cwd: normalizedCwdPath,
+      strip: options.strip || 0,
+    });
+  }
+
+  return {
+    filePath: normalizedFilePath,
+    bytes: fetched.bytes,
+    sha256: fetched.sha256,
+    sha1: fetched.sha1,
+    resumed: fetched.resumed,
+  };
+}
+
+/**
+ * Compare the hashes of a download against the expected ones
+ * @param {Object.<String>} fetched - { sha256, sha1 } of the downloaded file
+ * @param {Object.<String>} expected - { sha256, sha1 } expected, either may be empty
+ * @returns {String|null} name of the first hash that doesn't match, or null if all given hashes match
+ */
+function verifyHashes(fetched, expected) {
+  for (const algorithm of ['sha256', 'sha1']) {
+    // eslint-disable-next-line security/detect-object-injection
+    const want = expected[algorithm];
+    // eslint-disable-next-line security/detect-object-injection
+    if (want && want.toLowerCase() !== fetched[algorithm]) return algorithm;
+  }
+  return null;
+}
+
+/**
+ * Stream a url to a file, appending from startByte if the server supports ranges
+ * @param {String} url - the url to fetch
+ * @param {String} filePath - the (partial) file to write to
+ * @param {Number} startByte - size of the existing partial file, 0 for a fresh download
+ * @param {Number} timeout - milliseconds without data before giving up, 0 to disable
+ * @param {AbortSignal} signal - abort the transfer
+ * @param {Function} onProgress - ({ bytes, total, rate }) => {}
+ * @returns {Promise<Object>} resolves with { bytes, sha256, sha1, resumed } or { rangeNotSatisfiable: true }, rejects
+ * if the connection ends before content-length bytes arrived (the partial file is kept)
+ */
+async function fetchToFile(url, filePath, startByte, timeout, signal, onProgress) {
+  var sha256 = crypto.createHash('sha256');
+  var sha1 = crypto.createHash('sha1');
+
+  // Hash whatever we already have so the final hash covers the whole file
+  if (startByte > 0) {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    for await (const chunk of fs.createReadStream(filePath)) {
+      sha256.update(chunk);
+      sha1.update(chunk);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new Error('download aborted'));
+
+    var received = startByte;
+    var total = null;
+    var resumed = false;
+    var outputFile = null;
+    var idleTimer = null;
+    var lastProgress = 0;
+    var settled = false;
+    const transferStart = Date.now();
+
+    const progress = () => {
+      if (typeof onProgress !== 'function') return;
+      const elapsed = (Date.now() - transferStart) / 1000;
+      onProgress({
+        bytes: received,
+        total: total,
+        rate: elapsed > 0 ? Math.round((received - startByte) / elapsed) : 0,
+      });
+    };
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(idleTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (error) {
+        stream.abort();
+        if (outputFile) outputFile.destroy();
+        return reject(error);
+      }
+      return resolve(result);
+    };
+
+    const resetIdleTimer = () => {
+      if (!timeout) return;
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        const error = new Error(`No data from ${url} for ${timeout}ms`);
+        error.code = 'ETIMEDOUT';
+        finish(error);
+      }, timeout);
+    };
+
+    const onAbort = () => {
+      finish(new Error('download aborted'));
+    };
+
+    const stream = needle.get(url, {
+      headers: startByte > 0 ? { range: `bytes=${startByte}-` } : {},
+      follow_max: 5,
+      parse_response: false,
+      decode_response: false,
+      open_timeout: timeout,
+    });
+    if (signal) signal.addEventListener('abort', onAbort);
+    resetIdleTimer();
+
+    stream.on('header', (statusCode, headers) => {
+      if (statusCode === 416 && startByte > 0) {
+        stream.abort();
+        return finish(null, { rangeNotSatisfiable: true });
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        return finish(new Error(`HTTP ${statusCode} fetching ${url}`));
+      }
+
+      resumed = statusCode === 206 && startByte > 0;
+      if (startByte > 0 && !resumed) {
+        // A plain 200 means the server ignored our range, throw away the partial file and its hashes
+        log.warn(`Server doesn't support resuming ${url}, restarting download`);
+        sha256 = crypto.createHash('sha256');
+        sha1 = crypto.createHash('sha1');
+        startByte = 0;
+        received = 0;
+      }
+      total = headers['content-length'] ? Number(headers['content-length']) + startByte : null;
+
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      outputFile = fs.createWriteStream(filePath, { flags: resumed ? 'a' : 'w' });
+      outputFile.on('error', (error) => {
+        finish(error);
+      });
+      outputFile.on('finish', () => {
+        progress();
+        // A connection dropped mid-body ends the pipe like a complete one would, keep what we got for a resume
+        if (total !== null && received !== total) {
+          const error = new Error(`Short read from ${url}, got ${received} of ${total} bytes`);
+          error.code = 'ESHORTREAD';
+          return finish(error);
         }
+        finish(null, {
+          bytes: received,
+          sha256: sha256.digest('hex'),
+          sha1: sha1.digest('hex'),
+          resumed: resumed,
+        });
       });
+      stream.pipe(outputFile);
+    });
+
+    stream.on('data', (chunk) => {
+      received += chunk.length;
+      sha256.update(chunk);
+      sha1.update(chunk);
+      resetIdleTimer();
+      if (Date.now() - lastProgress >= 1000) {
+        lastProgress = Date.now();
+        progress();
+      }
+    });
+
+    stream.on('done', (error) => {
+      if (error) finish(error);
+    });
   });
 }
 
@@ -108,3 +305,88 @@ export function extractTarGz(file = '', options = {}) {
       });
   });
 }
+
+/**
+ * Extract a zip file
+ * @param {String} file - the path to the zip file
+ * @param {Object.<Number, String>} options - extract options
+ * @param {Number} options.strip - drop this many leading path components (like tar --strip=N)
+ * @param {String} options.cwd - directory to extract into
+ * @returns {Promise} resolves when extraction is completed, rejects on error
+ */
+export function extractZip(file = '', options = {}) {
+  log.debug(`Attempting unzip of ${file} with ${JSON.stringify(options)}`);
+  return new Promise((resolve, reject) => {
+    if (file === '') return reject(new Error('file path required'));
+    const zipPath = path.normalize(path.resolve(file));
+    // eslint-disable-next-line no-prototype-builtins
+    const cwd = path.normalize(path.resolve(options.hasOwnProperty('cwd') ? options.cwd : '.'));
+    // eslint-disable-next-line no-prototype-builtins
+    const strip = options.hasOwnProperty('strip') ? options.strip : 0;
+
+    yauzl.open(zipPath, { lazyEntries: true }, (error, zipFile) => {
+      if (error) {
+        log.error(`Error unzipping ${file}: ${error}`);
+        return reject(error);
+      }
+
+      zipFile.on('error', (error) => {
+        log.error(`Error unzipping ${file}: ${error}`);
+        return reject(error);
+      });
+
+      zipFile.on('end', () => {
+        log.debug(`Completed unzip of ${file} with ${JSON.stringify(options)}`);
+        return resolve();
+      });
+
+      zipFile.on('entry', (entry) => {
+        // Strip leading path components, skip anything that strips away to nothing
+        const parts = entry.fileName.split('/').slice(strip);
+        if (parts.join('') === '') return zipFile.readEntry();
+
+        // Don't let entries escape cwd
+        const entryPath = path.normalize(path.resolve(cwd, parts.join('/')));
+        if (entryPath !== cwd && !entryPath.startsWith(`${cwd}${path.sep}`)) {
+          zipFile.close();
+          return reject(new Error(`Refusing to extract ${entry.fileName} outside of ${cwd}`));
+        }
+
+        try {
+          if (entry.fileName.endsWith('/')) {
+            // Directory
+            // eslint-disable-next-line security/detect-non-literal-fs-filename
+            fs.mkdirSync(entryPath, { recursive: true, mode: 0o755 });
+            return zipFile.readEntry();
+          }
+          // eslint-disable-next-line security/detect-non-literal-fs-filename
+          fs.mkdirSync(path.dirname(entryPath), { recursive: true, mode: 0o755 });
+        } catch (error) {
+          zipFile.close();
+          return reject(error);
+        }
+
+        // File, keep the unix mode if the zip has one (server binaries need +x)
+        const mode = (entry.externalFileAttributes >>> 16) & 0o777;
+        zipFile.openReadStream(entry, (error, readStream) => {
+          if (error) {
+            zipFile.close();
+            return reject(error);
+          }
+          // eslint-disable-next-line security/detect-non-literal-fs-filename
+          const outputFile = fs.createWriteStream(entryPath, mode ? { mode: mode } : {});
+          outputFile.on('error', (error) => {
+            zipFile.close();
+            return reject(error);
+          });
+          outputFile.on('finish', () => {
+            zipFile.readEntry();
+          });
+          readStream.pipe(outputFile);
+        });
+      });
+
+      zipFile.readEntry();
+    });
+  });
+}
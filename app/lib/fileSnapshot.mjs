@@ -0,0 +1,89 @@
+'use strict';
+
+// Our libs
+import { setupLog } from './log.mjs';
+
+// Nodejs stdlib
+import { default as fs } from 'node:fs';
+import { default as path } from 'node:path';
+
+const log = setupLog('lib/fileSnapshot.mjs');
+
+/**
+ * Record the size and modification time of every file under a directory \
+ * Cheap enough to take before and after a steamcmd validate to see which files it rewrote, and it doesn't hold up
+ * anything else while it walks the tree
+ * @param {String} dir - the directory to snapshot
+ * @param {Object.<String[]>} options
+ * @param {String[]} options.exclude - paths (relative to dir) to leave out, ie ['steamapps']
+ * @returns {Promise<Map<String, Object>>} relative path => { size, mtimeMs }, empty if the directory doesn't exist
+ */
+export async function snapshotDirectory(dir = '', options = { exclude: [] }) {
+  const root = path.normalize(path.resolve(dir));
+  const exclude = (options.exclude || []).map((excluded) => {
+    return path.resolve(root, excluded);
+  });
+  const snapshot = new Map();
+  const pending = [root];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    var entries;
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      entries = await fs.promises.readdir(current, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') log.warn(`Unable to read ${current}:`, error.message);
+      continue;
+    }
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      if (exclude.includes(entryPath)) continue;
+      if (entry.isDirectory()) {
+        pending.push(entryPath);
+      } else if (entry.isFile()) {
+        files.push(entryPath);
+      }
+    }
+    // A directory's worth of files at a time
+    const stats = await Promise.all(
+      files.map((file) => {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        return fs.promises.lstat(file).catch((error) => {
+          // Gone since we listed it
+          if (error.code !== 'ENOENT') log.warn(`Unable to stat ${file}:`, error.message);
+          return null;
+        });
+      }),
+    );
+    files.forEach((file, index) => {
+      const fileStats = stats.at(index);
+      if (fileStats) snapshot.set(path.relative(root, file), { size: fileStats.size, mtimeMs: fileStats.mtimeMs });
+    });
+  }
+  return snapshot;
+}
+
+/**
+ * Compare two snapshots of the same directory
+ * @param {Map<String, Object>} before - from snapshotDirectory
+ * @param {Map<String, Object>} after - from snapshotDirectory
+ * @returns {Object} { changed, added, removed, changedBytes } - lists of relative paths, bytes of changed and added files
+ */
+export function diffSnapshots(before = new Map(), after = new Map()) {
+  const diff = { changed: [], added: [], removed: [], changedBytes: 0 };
+  for (const [file, stats] of after) {
+    const previous = before.get(file);
+    if (!previous) {
+      diff.added.push(file);
+      diff.changedBytes += stats.size;
+    } else if (previous.size !== stats.size || previous.mtimeMs !== stats.mtimeMs) {
+      diff.changed.push(file);
+      diff.changedBytes += stats.size;
+    }
+  }
+  for (const file of before.keys()) {
+    if (!after.has(file)) diff.removed.push(file);
+  }
+  return diff;
+}
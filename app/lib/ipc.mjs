@@ -2,9 +2,19 @@
 
 // Our libs
 import { setupLog } from './log.mjs';
+import { getSchema, validateRequest, validateReply, describeErrors } from './ipcSchemas.mjs';
+import { createSocketTransport } from './ipcSocket.mjs';
+import { createStreamStore } from './ipcStreams.mjs';
 import { parseBool } from './parseBool.mjs';
+import { checkPrivateFile } from './privateFile.mjs';
+import { redact, redactPayload } from './redact.mjs';
+import { registerModule, setModuleState, listModules, watchModules } from './registry.mjs';
+import { startSpan } from './trace.mjs';
+import { currentTrace, messageTrace, runWithTrace } from './traceContext.mjs';
 
 // Nodejs stdlib
+import { default as crypto } from 'node:crypto';
+import { EventEmitter } from 'node:events';
 import { default as fs } from 'node:fs';
 import { default as path } from 'node:path';
 
@@ -18,28 +28,163 @@ const ipcPath = path.resolve(`${mgrTmpDir}/ipc`);
 
 const debugIpc = parseBool(process.env.DEBUG_IPC) || false;
 
+// What carries messages: fsq (qlobber-fsq on ipcPath) or socket (a broker on ipcSocketPath, see bin/ipcBroker.mjs)
+export const ipcTransports = ['fsq', 'socket'];
+const ipcTransport = process.env.IPC_TRANSPORT || 'fsq';
+export const ipcSocketPath = path.resolve(process.env.IPC_SOCKET || `${mgrTmpDir}/ipc.sock`);
+
+// Every message is signed with this, created by the first module to start if it doesn't exist
+const ipcKeyFile = path.resolve(process.env.IPC_KEY_FILE || `${mgrTmpDir}/ipc.key`);
+// Seconds either side of now a message's timestamp may be, qlobber-fsq expires messages after a minute anyway
+const maxMessageAge = parseFloat(process.env.IPC_MAX_MESSAGE_AGE) || 60;
+
+// Replies sent with sendRequestReply are numbered and kept here, so late subscribers can catch up (see requestReplay)
+const streams = createStreamStore({
+  dir: path.resolve(process.env.IPC_STREAM_DIR || `${mgrTmpDir}/streams`),
+  retain: parseInt(process.env.IPC_STREAM_RETAIN) || 1000,
+  ttl: parseFloat(process.env.IPC_STREAM_TTL) || 24,
+});
+
 /**
- * Setup the ipc object
+ * Setup the ipc object \
+ * Messages go over the transport picked by IPC_TRANSPORT, both have the same interface (see createTransport). \
+ * It gets ipc.request(channel, payload, options) and ipc.handle(channel, handler, options) on top, \
+ * see sendRequest and handleRequests. Requests on channels with a contract in lib/ipcSchemas.mjs are checked on the
+ * way out (publish throws) and on the way in (the sender gets an error reply, the handler never sees it). \
+ * Every message is signed with the key in IPC_KEY_FILE, handlers only see the payloads of ones that check out. \
+ * Replies it sends are kept, it answers `${moduleIdent}.replay` requests for them, see requestReplay. \
+ * The module is announced to the registry (lib/registry.mjs) with the channels it serves, those it handles or
+ * subscribes to that have a contract, and its state from setPingReply. ipc.registry.list(options) and
+ * ipc.registry.watch(handler, options) ask the registry about the others. \
+ * Messages published as part of a trace carry its traceId/spanId, handlers run as part of the trace the message they
+ * got carries, so requests and replies across modules end up in the same trace (see lib/trace.mjs).
  * @param {String} moduleIdent - the module's moduleIdent
+ * @param {Object} options
+ * @param {String} options.transport - IPC_TRANSPORT - fsq or socket
+ * @param {Boolean} options.register - true - announce it to the registry, false for throwaway connections
  * @returns {Promise<qfsq.QlobberFSQ>} the IPC object for further use
  */
-export function setupIpc(moduleIdent = '') {
+export function setupIpc(moduleIdent = '', options = { transport: ipcTransport, register: true }) {
   return new Promise((resolve, reject) => {
-    // First make sure the directory exists
+    // First make sure the directory exists, and we have the key to sign messages with
+    var ipcKey;
+    var ipc;
     try {
       checkIpcPath();
+      ipcKey = loadIpcKey();
+      // Create an ipc object
+      ipc = createTransport(options.transport || ipcTransport);
     } catch (err) {
       return reject(err);
     }
 
-    // Create an ipc object
-    const ipc = new qfsq.QlobberFSQ({ fsq_dir: ipcPath });
+    // Nothing goes out without being checked against its contract, credentials being scrubbed from it, and signed
+    const publish = ipc.publish.bind(ipc);
+    ipc.publish = (topic, payload, ...rest) => {
+      payload = addTrace(payload);
+      checkOutgoingRequest(topic, payload);
+      return publish(topic, signMessage(ipcKey, topic, redactPayload(payload)), ...rest);
+    };
+
+    // Handlers only get messages signed with our key that haven't been seen before, and requests that match their
+    // channel's contract. Wrapped per topic, the contract depends on what it was subscribed to
+    const subscribe = ipc.subscribe.bind(ipc);
+    const unsubscribe = ipc.unsubscribe.bind(ipc);
+    const wrappedHandlers = new WeakMap();
+    // Channels we serve, for the registry
+    const served = new Set();
+    const wrapHandler = (topic, handler) => {
+      if (!wrappedHandlers.has(handler)) wrappedHandlers.set(handler, new Map());
+      const wrapped = wrappedHandlers.get(handler);
+      if (!wrapped.has(topic)) {
+        wrapped.set(topic, (data, info, ...args) => {
+          const payload = verifyMessage(ipcKey, data, info);
+          if (payload === null) return;
+          if (getSchema(topic) && !checkIncomingRequest(moduleIdent, ipc, topic, payload)) return;
+          return runWithTrace(payloadTrace(payload), () => {
+            return handler(payload, info, ...args);
+          });
+        });
+      }
+      return wrapped.get(topic);
+    };
+    ipc.subscribe = (topic, handler, ...rest) => {
+      if (getSchema(topic)) served.add(topic);
+      return subscribe(topic, wrapHandler(topic, handler), ...rest);
+    };
+    ipc.unsubscribe = (topic, handler, ...rest) => {
+      if (typeof topic !== 'string') served.clear();
+      if (typeof handler !== 'function') {
+        served.delete(topic);
+        return unsubscribe(topic, handler, ...rest);
+      }
+      const wrapped = wrappedHandlers.get(handler);
+      return unsubscribe(topic, (wrapped && wrapped.get(topic)) || handler, ...rest);
+    };
+
+    // Request/response on top
+    ipc.request = (channel, payload, options) => {
+      return sendRequest(moduleIdent, ipc, channel, payload, options);
+    };
+    ipc.handle = (channel, handler, options) => {
+      served.add(channel);
+      return handleRequests(moduleIdent, ipc, channel, handler, options);
+    };
+    ipc.replay = (owner, stream, options) => {
+      return requestReplay(moduleIdent, ipc, owner, stream, options);
+    };
+
+    // Anyone can catch up on the replies we've sent, answering doesn't add to the streams it reads
+    ipc.handle(
+      `${moduleIdent}.replay`,
+      (request) => {
+        if (typeof request.stream !== 'string' || !request.stream) throw new Error('stream required');
+        return Object.assign({ stream: request.stream }, streams.read(request.stream, request));
+      },
+      { retain: false },
+    );
+
+    // Let everyone know we're here
+    ipc.registry = {
+      list: (options) => {
+        return listModules(ipc, options);
+      },
+      watch: (handler, options) => {
+        return watchModules(ipc, handler, options);
+      },
+    };
+    if (options.register !== false) {
+      registerModule(moduleIdent, ipc, () => {
+        return Array.from(served).sort();
+      });
+    }
 
     // Then return it
     return resolve(ipc);
   });
 }
 
+/**
+ * Create the transport messages go over \
+ * Whichever it is, it has: publish(topic, payload, [cb]), subscribe(topic, handler, [cb]),
+ * unsubscribe([topic], [handler], [cb]) and stop_watching([cb]), emits 'start' once it's ready, and calls handlers as
+ * (data, info) with info.topic the topic it was published to and info.path unique to the message. Topics are words
+ * separated by '.', subscriptions can use '*' for one word and '#' for any number of them.
+ * @param {String} transport - fsq or socket
+ * @returns {qfsq.QlobberFSQ|EventEmitter} the transport
+ * @throws {Error} if it's not one we know
+ */
+function createTransport(transport) {
+  switch (transport) {
+    case 'fsq':
+      return new qfsq.QlobberFSQ({ fsq_dir: ipcPath });
+    case 'socket':
+      return createSocketTransport({ socketPath: ipcSocketPath });
+    default:
+      throw new Error(`unknown ipc transport ${transport}, expected one of ${ipcTransports.join(', ')}`);
+  }
+}
+
 /**
  * Check that /tmp/gameserver-mgr/ipc exists
  * @returns {void}
@@ -61,6 +206,209 @@ function checkIpcPath() {
   }
 }
 
+/**
+ * Read the key messages are signed with, creating it if nobody has yet \
+ * It has to be readable by nobody but its owner (us or root), anyone who can read it can control every module
+ * @returns {Buffer} the key
+ * @throws {Error} if it can't be read or created, or isn't private
+ */
+function loadIpcKey() {
+  if (!checkPrivateFile(ipcKeyFile, 'ipc key file')) {
+    // Whoever starts first makes one, link() so modules starting together can't both win or read half a key
+    const tempFile = `${ipcKeyFile}.${process.pid}.tmp`;
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fs.writeFileSync(tempFile, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.linkSync(tempFile, ipcKeyFile);
+      log.info(`Created ipc key file ${ipcKeyFile}`);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    } finally {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.unlinkSync(tempFile);
+    }
+    checkPrivateFile(ipcKeyFile, 'ipc key file');
+  }
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  const key = fs.readFileSync(ipcKeyFile, 'utf8').trim();
+  if (key.length < 32) throw new Error(`ipc key file ${ipcKeyFile} must hold at least 32 characters`);
+  return Buffer.from(key, 'utf8');
+}
+
+/**
+ * HMAC of everything a message's signature covers
+ * @param {Buffer} key - the ipc key
+ * @param {String} topic - the topic it's published to
+ * @param {Number} timestamp - when it was signed
+ * @param {String} nonce - unique to the message
+ * @param {String} payload - the payload
+ * @returns {Buffer} the signature
+ */
+function messageSignature(key, topic, timestamp, nonce, payload) {
+  return crypto.createHmac('sha256', key).update(`${topic}\n${timestamp}\n${nonce}\n${payload}`).digest();
+}
+
+/**
+ * Wrap a payload in a signed envelope { timestamp, nonce, payload, signature }
+ * @param {Buffer} key - the ipc key
+ * @param {String} topic - the topic it's published to
+ * @param {String|Buffer} payload - the payload
+ * @returns {String} the envelope to publish
+ */
+function signMessage(key, topic, payload) {
+  const envelope = {
+    timestamp: Date.now(),
+    nonce: crypto.randomUUID(),
+    payload: payload.toString(),
+  };
+  envelope.signature = messageSignature(key, topic, envelope.timestamp, envelope.nonce, envelope.payload).toString(
+    'base64',
+  );
+  return JSON.stringify(envelope);
+}
+
+// Nonces seen within the last maxMessageAge, nonce => { path, expires }, oldest first
+const seenNonces = new Map();
+// The last message dropped, one message goes to every handler that matches so only log it once
+var lastDropped = null;
+
+/**
+ * Check a message's envelope and take the payload out of it \
+ * Unsigned and forged messages, ones signed more than maxMessageAge ago (or in the future) and ones we've seen
+ * before are dropped
+ * @param {Buffer} key - the ipc key
+ * @param {String|Buffer} data - the message as delivered by IPC
+ * @param {Object} info - from qlobber-fsq, info.topic and info.path (the message's file)
+ * @returns {String|null} the payload, null if it was dropped
+ */
+function verifyMessage(key, data, info) {
+  const drop = (reason) => {
+    if (lastDropped !== info.path) log.warn(`Dropping ${reason} message on ${info.topic}`);
+    lastDropped = info.path;
+    return null;
+  };
+
+  var envelope;
+  try {
+    envelope = JSON.parse(data);
+  } catch (error) {
+    return drop('unsigned');
+  }
+  if (!envelope || typeof envelope.signature !== 'string' || typeof envelope.payload !== 'string')
+    return drop('unsigned');
+
+  const expected = messageSignature(key, info.topic, envelope.timestamp, envelope.nonce, envelope.payload);
+  const signature = Buffer.from(envelope.signature, 'base64');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) return drop('forged');
+
+  const age = Date.now() - Number(envelope.timestamp);
+  if (!(Math.abs(age) <= maxMessageAge * 1000)) return drop(`stale (${Math.round(age / 1000)}s old)`);
+
+  // Forget nonces old enough that the timestamp check catches them
+  for (const [nonce, seen] of seenNonces) {
+    if (seen.expires > Date.now()) break;
+    seenNonces.delete(nonce);
+  }
+  // The same message goes to every matching handler, a copy of it in another file is a replay
+  const seen = seenNonces.get(envelope.nonce);
+  if (seen && seen.path !== info.path) return drop('replayed');
+  if (!seen) seenNonces.set(envelope.nonce, { path: info.path, expires: Date.now() + maxMessageAge * 1000 });
+
+  return envelope.payload;
+}
+
+/**
+ * Stamp the current trace on a message going out, unless it already carries one
+ * @param {String|Buffer} payload - the payload
+ * @returns {String|Buffer} the payload, with traceId/spanId if it's a JSON object and we're in a trace
+ */
+function addTrace(payload) {
+  const trace = currentTrace();
+  if (!trace || typeof payload !== 'string' || !payload.startsWith('{')) return payload;
+  var message;
+  try {
+    message = JSON.parse(payload);
+  } catch (error) {
+    return payload;
+  }
+  if (!message || Array.isArray(message) || message.traceId) return payload;
+  return JSON.stringify(Object.assign(message, trace));
+}
+
+/**
+ * The trace a message that's arrived carries
+ * @param {String} payload - the payload
+ * @returns {Object|null} { traceId, spanId }, null if it doesn't carry one
+ */
+function payloadTrace(payload) {
+  try {
+    return messageTrace(JSON.parse(payload));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a request being published against its channel's contract
+ * @param {String} topic - the channel it's published to
+ * @param {String|Buffer} payload - the payload as it would be published
+ * @returns {Void}
+ * @throws {Error} if it doesn't match, error.validationErrors has the details
+ */
+function checkOutgoingRequest(topic, payload) {
+  if (!getSchema(topic) || typeof payload !== 'string') return;
+  var errors;
+  try {
+    errors = validateRequest(topic, JSON.parse(payload));
+  } catch (error) {
+    errors = [{ field: '', message: 'not JSON' }];
+  }
+  if (errors.length === 0) return;
+  log.error(`Refusing to publish invalid ${topic} request:`, describeErrors(errors));
+  const error = new Error(`invalid ${topic} request: ${describeErrors(errors)}`);
+  error.validationErrors = errors;
+  throw error;
+}
+
+/**
+ * Check a request that's arrived against its channel's contract \
+ * The sender gets an error reply { error, channel, schemaVersion, validationErrors } if it doesn't match
+ * @param {String} moduleIdent - the module's moduleIdent
+ * @param {qfsq.QlobberFSQ} ipc - the ipc object
+ * @param {String} channel - the channel it arrived on
+ * @param {String|Buffer} data - the request as delivered by IPC
+ * @returns {Boolean} true if it's fine to handle
+ */
+function checkIncomingRequest(moduleIdent, ipc, channel, data) {
+  var request;
+  try {
+    request = JSON.parse(data);
+  } catch (error) {
+    log.error(`Ignoring unparseable request on ${channel}`);
+    return false;
+  }
+  const errors = validateRequest(channel, request);
+  if (errors.length === 0) return true;
+
+  log.error(`Rejecting invalid request on ${channel}:`, describeErrors(errors));
+  // Nowhere to tell them
+  if (typeof request.replyTo !== 'string' || !request.replyTo) return false;
+  sendRequestReply(
+    moduleIdent,
+    ipc,
+    'error',
+    {
+      error: `invalid ${channel} request: ${describeErrors(errors)}`,
+      channel: channel,
+      schemaVersion: getSchema(channel).version,
+      validationErrors: errors,
+    },
+    { requestId: typeof request.requestId === 'string' ? request.requestId : '', replyTo: request.replyTo },
+  );
+  return false;
+}
+
 /**
  * Setup ping replies
  * @param {String} moduleIdent - the module's moduleIdent
@@ -73,6 +421,9 @@ export function setPingReply(moduleIdent = '', ipc = qfsq.QlobberFSQ, status = '
     log.debug(`Setting ping reply for ${moduleIdent} to:`, status);
   }
 
+  // The registry goes by the same state
+  setModuleState(moduleIdent, status);
+
   // Clear old subscriptions
   ipc.unsubscribe(`${moduleIdent}.ping`);
   ipc.unsubscribe(`_broadcast.ping`);
@@ -118,8 +469,13 @@ export function setPingReply(moduleIdent = '', ipc = qfsq.QlobberFSQ, status = '
   });
 }
 
+// Replies that end a request
+const terminalSubchannels = ['finalStatus', 'error', 'nack'];
+
 /**
- * Sends a reply to the initial request on a given channel
+ * Sends a reply to the initial request on a given channel \
+ * Replies are numbered (replySeq) and kept in the replyTo's stream, so anyone who starts listening late can ask for
+ * what they missed with requestReplay
  * @param {String} moduleIdent - the callers moduleIdent
  * @param {Object} ipc - the ipc object
  * @param {String} subchannel - the subchannel to message
@@ -127,14 +483,355 @@ export function setPingReply(moduleIdent = '', ipc = qfsq.QlobberFSQ, status = '
  * @param {Object<String>} info - requestId and replyTo to use
  * @param {String} info.requestId - requestId to reply to
  * @param {String} info.replyTo - main channel to message
+ * @param {String} info.traceId - the request's trace, replies sent outside of one carry it instead
+ * @param {Object.<Boolean>} options
+ * @param {Boolean} options.retain - true - number and keep it
  */
-export async function sendRequestReply(moduleIdent, ipc, subchannel, message, info) {
+export async function sendRequestReply(moduleIdent, ipc, subchannel, message, info, options = { retain: true }) {
   message.requestId = info.requestId;
   message.moduleIdent = moduleIdent;
   message.timestamp = Date.now();
+  // Part of whatever answered it, or of the request itself
+  Object.assign(message, currentTrace() || messageTrace(info) || {});
+  if (options.retain !== false) {
+    message.replySeq = streams.append(info.replyTo, subchannel, redact(message));
+    if (terminalSubchannels.includes(subchannel)) streams.close(info.replyTo);
+  }
 
   if (debugIpc) log.debug(`Outgoing sendRequestReply on ${info.replyTo}.${subchannel}:`, message);
 
   // Fire off the reply (hopefully they're listening)
   await ipc.publish(`${info.replyTo}.${subchannel}`, JSON.stringify(message));
 }
+
+// Replies don't always arrive in the order they were sent, how long to wait for stragglers after the final one
+const replyGracePeriod = 1000;
+
+/**
+ * Send a request and wait for its finalStatus \
+ * requestId and replyTo are filled in, replies come back on `${replyTo}.${subchannel}` (or replyTo itself, for handlers
+ * that answer with a single message). Everything that isn't the final answer is emitted by subchannel name, and as
+ * 'reply' with (subchannel, message), on the returned promise: `ipc.request(...).on('progress', (progress) => {})`. \
+ * An ack/queued/nack carrying a different subscribeTo (ie a download someone else already asked for) moves the
+ * request over to that channel, and asks whoever sent it (reply.moduleIdent) to replay what's already been sent there. \
+ * Replies are numbered, so progress sent before the finalStatus isn't lost when it turns up after it, and nothing
+ * replayed is emitted twice. \
+ * On channels with a contract the request is checked before it goes out, and replies that don't match are dropped,
+ * or reject with error.subchannel 'invalid' if they'd have been the final one. \
+ * It's a client span in the current trace (a new one if there isn't one), the request carries its spanId so whatever
+ * handles it is a child of it.
+ * @param {String} moduleIdent - the callers moduleIdent
+ * @param {qfsq.QlobberFSQ} ipc - the ipc object
+ * @param {String} channel - the channel to send the request to, ie 'downloadManager.checkForUpdate'
+ * @param {Object} payload - the request
+ * @param {Object.<Number, Boolean>} options
+ * @param {Number} options.timeout - 30 - seconds to wait for the next reply before giving up, 0 to wait forever
+ * @param {Boolean} options.followNack - false - follow a nack's subscribeTo instead of rejecting
+ * @returns {Promise<Object>} resolves with the finalStatus, rejects with an Error on error/nack/timeout/invalid, \
+ * error.subchannel says which and error.reply is the message (error.validationErrors has what was wrong with an invalid
+ * one). The promise also has .requestId and .on(event, listener)
+ */
+export function sendRequest(moduleIdent, ipc, channel, payload = {}, options = { timeout: 30, followNack: false }) {
+  const requestId = payload.requestId || crypto.randomUUID();
+  const span = startSpan(moduleIdent, channel, { kind: 'client', attributes: { requestId: requestId } });
+  const request = Object.assign({}, payload, span.context, {
+    requestId: requestId,
+    replyTo: payload.replyTo || `${moduleIdent}.${requestId}`,
+    moduleIdent: moduleIdent,
+    timestamp: Date.now(),
+  });
+  const schema = getSchema(channel);
+  if (schema) request.schemaVersion = schema.version;
+  const timeout = Object.prototype.hasOwnProperty.call(options, 'timeout') ? parseFloat(options.timeout) || 0 : 30;
+  const events = new EventEmitter();
+
+  const promise = new Promise((resolve, reject) => {
+    var listeningOn = null;
+    var timer = null;
+    // Numbered replies seen on the current channel, and the final one if it beat the others here
+    var seen = new Set();
+    var pending = null;
+    var graceTimer = null;
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      clearTimeout(graceTimer);
+      if (listeningOn) ipc.unsubscribe(`${listeningOn}.#`, onReply);
+      listeningOn = null;
+    };
+
+    const fail = (subchannel, message, reply, validationErrors = null) => {
+      cleanup();
+      span.end(subchannel, { error: message });
+      const error = new Error(message);
+      error.subchannel = subchannel;
+      error.reply = reply;
+      if (validationErrors) error.validationErrors = validationErrors;
+      return reject(error);
+    };
+
+    // Nothing for `timeout` seconds and we give up
+    const resetTimer = () => {
+      clearTimeout(timer);
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          return fail('timeout', `no reply to ${channel} request ${requestId} within ${timeout}s`, null);
+        }, timeout * 1000);
+      }
+    };
+
+    const listen = (replyTo) => {
+      if (listeningOn === replyTo) return;
+      if (listeningOn) ipc.unsubscribe(`${listeningOn}.#`, onReply);
+      listeningOn = replyTo;
+      seen = new Set();
+      // Also matches replyTo itself
+      ipc.subscribe(`${replyTo}.#`, onReply);
+    };
+
+    // We're late to someone else's request, get what they've had so far
+    const catchUp = async (owner, stream) => {
+      var history;
+      try {
+        history = await requestReplay(moduleIdent, ipc, owner, stream, { timeout: timeout || 30 });
+      } catch (error) {
+        log.warn(`Unable to replay ${stream} from ${owner}:`, error.message);
+        return;
+      }
+      for (const entry of history.entries) {
+        if (listeningOn !== stream) return;
+        onReply(JSON.stringify(entry.message), {
+          topic: entry.subchannel ? `${stream}.${entry.subchannel}` : stream,
+          replayed: true,
+        });
+      }
+    };
+
+    function onReply(data, info) {
+      var reply;
+      try {
+        reply = JSON.parse(data);
+      } catch (error) {
+        log.warn(`Ignoring unparseable reply on ${info.topic}`);
+        return;
+      }
+      const subchannel = info.topic === listeningOn ? '' : info.topic.slice(listeningOn.length + 1);
+      // Already had it, live or replayed
+      if (reply.replySeq && seen.has(reply.replySeq)) return;
+      if (reply.replySeq) seen.add(reply.replySeq);
+      if (debugIpc) log.debug(`Reply to ${channel} request ${requestId} on ${info.topic}:`, reply);
+      if (!info.replayed) resetTimer();
+
+      // Anything that doesn't match the contract is dropped, unless it was meant to be the last word
+      const errors = validateReply(channel, subchannel, reply);
+      if (errors.length > 0) {
+        const description = `invalid ${subchannel || 'bare'} reply to ${channel}: ${describeErrors(errors)}`;
+        log.warn(`Request ${requestId} got an ${description}`);
+        if (subchannel && !terminalSubchannels.includes(subchannel)) return;
+        return fail('invalid', description, reply, errors);
+      }
+
+      events.emit('reply', subchannel, reply);
+      if (subchannel && !terminalSubchannels.includes(subchannel)) events.emit(subchannel, reply);
+
+      // Someone else is already doing it, listen to them instead
+      const followable = ['ack', 'queued'].concat(options.followNack ? ['nack'] : []);
+      if (followable.includes(subchannel) && reply.subscribeTo && reply.subscribeTo !== listeningOn) {
+        if (subchannel === 'nack') events.emit('nack', reply);
+        listen(reply.subscribeTo);
+        if (reply.moduleIdent) catchUp(reply.moduleIdent, reply.subscribeTo);
+        return;
+      }
+
+      if (subchannel && !terminalSubchannels.includes(subchannel)) {
+        // That was the last straggler
+        if (pending && seen.size >= pending.reply.replySeq) settle(pending.subchannel, pending.reply);
+        return;
+      }
+
+      // Hold on to the final reply until everything sent before it is here, or we've waited long enough
+      if (reply.replySeq && seen.size < reply.replySeq) {
+        pending = { subchannel: subchannel, reply: reply };
+        graceTimer = setTimeout(() => {
+          return settle(subchannel, reply);
+        }, replyGracePeriod);
+        return;
+      }
+      settle(subchannel, reply);
+    }
+
+    function settle(subchannel, reply) {
+      switch (subchannel) {
+        case 'error':
+          return fail('error', reply.error || 'request failed', reply);
+        case 'nack':
+          return fail('nack', reply.reason || 'request refused', reply);
+        default:
+          cleanup();
+          span.end('ok');
+          return resolve(reply);
+      }
+    }
+
+    const errors = validateRequest(channel, request);
+    if (errors.length > 0) {
+      log.error(`Refusing to send invalid ${channel} request:`, describeErrors(errors));
+      return fail('invalid', `invalid ${channel} request: ${describeErrors(errors)}`, null, errors);
+    }
+
+    listen(request.replyTo);
+    resetTimer();
+    if (debugIpc) log.debug(`Outgoing request on ${channel}:`, request);
+    ipc.publish(channel, JSON.stringify(request));
+  });
+
+  promise.requestId = requestId;
+  promise.on = (event, listener) => {
+    events.on(event, listener);
+    return promise;
+  };
+  return promise;
+}
+
+/**
+ * Ask a module for the replies it's sent to a stream \
+ * Every module answers `${moduleIdent}.replay`, for the replies it sent with sendRequestReply
+ * @param {String} moduleIdent - the callers moduleIdent
+ * @param {qfsq.QlobberFSQ} ipc - the ipc object
+ * @param {String} owner - the module that sent them, ie 'downloadManager'
+ * @param {String} stream - the replyTo they were sent to
+ * @param {Object.<Number>} options
+ * @param {Number} options.fromSeq - 0 - only replies from this replySeq on
+ * @param {Number} options.last - 0 - only the last this many, 0 for all it still has
+ * @param {Number} options.timeout - 30 - seconds to wait for it
+ * @returns {Promise<Object>} { stream, entries: [{ seq, subchannel, message, timestamp }], firstSeq, nextSeq }, firstSeq
+ * being the oldest it still has
+ */
+export function requestReplay(moduleIdent, ipc, owner, stream, options = { fromSeq: 0, last: 0, timeout: 30 }) {
+  return sendRequest(
+    moduleIdent,
+    ipc,
+    `${owner}.replay`,
+    { stream: stream, fromSeq: options.fromSeq || 0, last: options.last || 0 },
+    { timeout: options.timeout || 30 },
+  );
+}
+
+/**
+ * Answer requests made with sendRequest (or anything else that sends requestId/replyTo) \
+ * The handler is called as async (request, reply) => finalStatus. What it returns is sent as the finalStatus, what it
+ * throws as an error. An ack goes out before the first progress/output/finalStatus unless it already sent one with
+ * reply.ack(), or turned the request down with reply.nack(). \
+ * reply: { ack(message), nack(reason, message), progress(progress), output(line), send(subchannel, message), signal } \
+ * signal is an AbortSignal that fires when the deadline passes, the requester gets an error at the same time and
+ * anything the handler sends afterwards is dropped. \
+ * Replies that don't match the channel's contract aren't sent, a final one is swapped for an error. \
+ * Each request is a server span, a child of the requester's, ended by whichever reply is the last.
+ * @param {String} moduleIdent - the module's moduleIdent
+ * @param {qfsq.QlobberFSQ} ipc - the ipc object
+ * @param {String} channel - the channel to answer on, ie 'downloadManager.checkForUpdate'
+ * @param {Function} handler - async (request, reply) => finalStatus
+ * @param {Object.<Number, Boolean>} options
+ * @param {Number} options.timeout - 0 - seconds each request gets, 0 for no deadline (request.deadline, a Date.now()
+ * timestamp, still applies)
+ * @param {Boolean} options.retain - true - number and keep replies, see sendRequestReply
+ * @returns {Void}
+ */
+export function handleRequests(moduleIdent, ipc, channel, handler, options = { timeout: 0, retain: true }) {
+  const timeout = parseFloat(options.timeout) || 0;
+  const retained = { retain: options.retain !== false };
+
+  ipc.subscribe(channel, async (data) => {
+    var request;
+    try {
+      request = JSON.parse(data);
+    } catch (error) {
+      log.error(`Ignoring unparseable request on ${channel}`);
+      return;
+    }
+    if (!request.replyTo) {
+      log.error(`Ignoring request on ${channel} without replyTo`);
+      return;
+    }
+    if (debugIpc) log.debug(`Incoming request on ${channel}:`, request);
+
+    // Part of the requester's trace, anything the handler does is part of ours
+    const span = startSpan(moduleIdent, channel, { kind: 'server', attributes: { requestId: request.requestId } });
+    return runWithTrace(span.context, async () => {
+      var acked = false;
+      var settled = false;
+      // Replies say which version of the contract they follow
+      const versioned = getSchema(channel) ? { schemaVersion: getSchema(channel).version } : {};
+      const aborter = new AbortController();
+
+      const send = (subchannel, message = {}) => {
+        if (settled) return;
+        // Our replies are held to the contract too, better an error than a finalStatus the requester chokes on
+        const errors = validateReply(channel, subchannel, message);
+        if (errors.length > 0) {
+          log.error(`Not sending invalid ${subchannel} reply on ${channel}:`, describeErrors(errors));
+          if (!terminalSubchannels.includes(subchannel)) return;
+          message = { error: `invalid ${subchannel} reply: ${describeErrors(errors)}`, validationErrors: errors };
+          subchannel = 'error';
+        }
+        if (!acked && !['ack', 'nack', 'error'].includes(subchannel)) {
+          acked = true;
+          sendRequestReply(
+            moduleIdent,
+            ipc,
+            'ack',
+            Object.assign({ subscribeTo: request.replyTo }, versioned),
+            request,
+            retained,
+          );
+        }
+        if (terminalSubchannels.includes(subchannel)) {
+          settled = true;
+          span.end(subchannel === 'finalStatus' ? 'ok' : subchannel);
+        }
+        sendRequestReply(moduleIdent, ipc, subchannel, Object.assign({}, message, versioned), request, retained);
+      };
+
+      const reply = {
+        ack(message = {}) {
+          if (acked) return;
+          acked = true;
+          send('ack', Object.assign({ subscribeTo: request.replyTo }, message));
+        },
+        nack(reason, message = {}) {
+          send('nack', Object.assign({ reason: reason }, message));
+        },
+        progress(progress) {
+          send('progress', { line: progress });
+        },
+        output(line) {
+          send('output', { line: line });
+        },
+        send: send,
+        signal: aborter.signal,
+      };
+
+      // Whichever deadline comes first, ours or the requester's
+      const deadlines = [];
+      if (timeout > 0) deadlines.push(Date.now() + timeout * 1000);
+      if (Number(request.deadline) > 0) deadlines.push(Number(request.deadline));
+      var timer = null;
+      if (deadlines.length > 0) {
+        timer = setTimeout(() => {
+          log.warn(`Request ${request.requestId} on ${channel} ran past its deadline`);
+          send('error', { error: 'deadline exceeded' });
+          aborter.abort(new Error('deadline exceeded'));
+        }, Math.max(Math.min(...deadlines) - Date.now(), 0));
+      }
+
+      try {
+        const result = await handler(request, reply);
+        send('finalStatus', result || {});
+      } catch (error) {
+        log.error(`Error handling request on ${channel}:`, error.message || error);
+        send('error', { error: error.message || String(error) });
+      }
+      clearTimeout(timer);
+    });
+  });
+}
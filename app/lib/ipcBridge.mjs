@@ -0,0 +1,301 @@
+'use strict';
+
+// Our libs
+import { readFrames, topicMatches } from './ipcSocket.mjs';
+import { setupLog } from './log.mjs';
+
+// Nodejs stdlib
+import { default as tls } from 'node:tls';
+
+const log = setupLog('lib/ipcBridge.mjs');
+
+// Messages for another host are published here as _host.<host>.<topic>, the bridge there publishes them as <topic>
+// Frames between bridges are newline delimited JSON: { op: 'message', topic, payload }
+const hostPrefix = '_host';
+
+// Host names have to be a single topic word
+const hostNamePattern = /^[A-Za-z0-9_-]+$/;
+
+// Fields naming a topic or module to answer on, rewritten on the way in so answers find their way back
+const routingFields = ['replyTo', 'subscribeTo', 'submitTo', 'moduleIdent', 'stream'];
+
+// Milliseconds between attempts to reach a peer
+const reconnectInterval = 5000;
+
+/**
+ * Is it usable as a host name? \
+ * One topic word: letters, digits, '-' and '_'
+ * @param {String} name - the name
+ * @returns {Boolean} true if it is
+ */
+export function isHostName(name) {
+  return typeof name === 'string' && hostNamePattern.test(name);
+}
+
+/**
+ * The topic to publish to for a message to reach another host
+ * @param {String} host - the host's name, ie 'node2'
+ * @param {String} topic - the topic on that host, ie 'downloadManager.listQueue'
+ * @returns {String} ie '_host.node2.downloadManager.listQueue'
+ */
+export function hostTopic(host, topic) {
+  return `${hostPrefix}.${host}.${topic}`;
+}
+
+/**
+ * Split a topic addressed to another host
+ * @param {String} topic - the topic, ie '_host.node2.downloadManager.listQueue'
+ * @returns {Object|null} { host, topic }, null if it isn't addressed to a host
+ */
+export function splitHostTopic(topic) {
+  const words = String(topic).split('.');
+  if (words.length < 3 || words.at(0) !== hostPrefix) return null;
+  return { host: words.at(1), topic: words.slice(2).join('.') };
+}
+
+/**
+ * Point a message's routing fields at the host it came from \
+ * Ones already addressed to us are made local again, ones addressed to a third host are left alone
+ * @param {String} payload - the message, as it came from the peer
+ * @param {String} self - our host name
+ * @param {String} peer - the host it came from
+ * @returns {String} the message to publish here
+ */
+function routeReplies(payload, self, peer) {
+  var message;
+  try {
+    message = JSON.parse(payload);
+  } catch (error) {
+    return payload;
+  }
+  if (!message || typeof message !== 'object' || Array.isArray(message)) return payload;
+  for (const field of routingFields) {
+    // eslint-disable-next-line security/detect-object-injection
+    const value = message[field];
+    if (typeof value !== 'string' || !value) continue;
+    const addressed = splitHostTopic(value);
+    // eslint-disable-next-line security/detect-object-injection
+    if (!addressed) message[field] = hostTopic(peer, value);
+    // eslint-disable-next-line security/detect-object-injection
+    else if (addressed.host === self) message[field] = addressed.topic;
+  }
+  return JSON.stringify(message);
+}
+
+/**
+ * The host name a bridge's certificate is for
+ * @param {Object} certificate - from getPeerCertificate()
+ * @returns {String} its CN, '' if it doesn't have one
+ */
+function certificateHost(certificate) {
+  if (!certificate || !certificate.subject || !certificate.subject.CN) return '';
+  return String(certificate.subject.CN);
+}
+
+/**
+ * Split host:port
+ * @param {String} address - ie '10.0.0.2:7400' or '[fd00::2]:7400'
+ * @returns {Object} { host, port }
+ */
+function splitAddress(address) {
+  const colon = address.lastIndexOf(':');
+  return {
+    host: address.slice(0, colon).replace(/^\[(.*)\]$/, '$1') || '0.0.0.0',
+    port: parseInt(address.slice(colon + 1)),
+  };
+}
+
+/**
+ * Start a bridge carrying ipc messages between this host and others \
+ * Anything published here to _host.<peer>.<topic> is sent to that peer's bridge, which publishes it there as <topic>,
+ * if it matches one of the patterns it accepts from peers. Routing fields (replyTo, subscribeTo, submitTo and
+ * moduleIdent) are prefixed with the host a message came from, so replies and follow-up requests go back through
+ * the bridges without the modules knowing. \
+ * Bridges authenticate each other with certificates signed by the same CA, a bridge's host name being its
+ * certificate's CN. Messages for a peer that's disconnected are kept, up to bufferSize for bufferAge seconds, and
+ * sent when it's back.
+ * @param {Object} options
+ * @param {qfsq.QlobberFSQ} options.ipc - our ipc object, from setupIpc
+ * @param {String} options.host - our host name, the CN of our certificate
+ * @param {String} options.listen - host:port to accept peers on, '' to only connect out
+ * @param {Object.<String>} options.peers - host name => host:port, peers to connect to
+ * @param {Object.<String>} options.tls - { cert, key, ca } in PEM
+ * @param {String[]} options.topics - patterns peers may publish to here, ie ['downloadManager.#', 'cli.#']
+ * @param {Number} options.bufferSize - messages kept per disconnected peer
+ * @param {Number} options.bufferAge - seconds a kept message is still worth sending
+ * @returns {Promise<Object>} resolves with { close(cb) } once it's listening
+ */
+export function startBridge(
+  options = { ipc: null, host: '', listen: '', peers: {}, tls: {}, topics: [], bufferSize: 1000, bufferAge: 60 },
+) {
+  const self = options.host;
+  // host name => { socket, buffer: [{ frame, queued }], dropped, unreachable }
+  const peers = new Map();
+  const sockets = new Set();
+  var server = null;
+  var stopped = false;
+
+  const peerState = (name) => {
+    if (!peers.has(name)) peers.set(name, { socket: null, buffer: [], dropped: 0, unreachable: false });
+    return peers.get(name);
+  };
+  Object.keys(options.peers).forEach(peerState);
+
+  const publish = (topic, payload, from) => {
+    try {
+      options.ipc.publish(topic, payload);
+    } catch (error) {
+      log.error(`Unable to publish message from ${from} on ${topic}:`, error.message);
+    }
+  };
+
+  // From a peer: make sure it may publish there, point its routing fields back at it
+  const receive = (name, frame) => {
+    if (frame.op !== 'message') {
+      log.warn(`Ignoring unknown bridge frame op ${frame.op} from ${name}`);
+      return;
+    }
+    const topic = String(frame.topic);
+    if (
+      !options.topics.some((pattern) => {
+        return topicMatches(pattern, topic);
+      })
+    ) {
+      log.warn(`Dropping message from ${name} on ${topic}, it's not a topic peers may publish to`);
+      return;
+    }
+    publish(topic, routeReplies(String(frame.payload), self, name), name);
+  };
+
+  // To a peer: now if it's connected, otherwise once it is
+  const send = (name, frame) => {
+    const peer = peers.get(name);
+    if (!peer) {
+      log.warn(`Dropping message for unknown host ${name} on ${frame.topic}`);
+      return;
+    }
+    if (peer.socket) {
+      peer.socket.write(`${JSON.stringify(frame)}\n`);
+      return;
+    }
+    peer.buffer.push({ frame: frame, queued: Date.now() });
+    if (peer.buffer.length > options.bufferSize) {
+      peer.buffer.shift();
+      peer.dropped += 1;
+    }
+  };
+
+  // A connection to a peer is up, whichever end opened it. The newest one is used to send
+  const attach = (name, socket) => {
+    const peer = peerState(name);
+    peer.socket = socket;
+    peer.unreachable = false;
+    sockets.add(socket);
+    // Our ipc connection is what keeps us running, once it's stopped nothing here should
+    socket.unref();
+    log.info(`Connected to ${name}`);
+
+    const cutoff = Date.now() - options.bufferAge * 1000;
+    const waiting = peer.buffer.filter((entry) => {
+      return entry.queued >= cutoff;
+    });
+    const expired = peer.buffer.length - waiting.length;
+    if (peer.dropped) log.warn(`Dropped ${peer.dropped} messages for ${name} while it was away, the buffer was full`);
+    if (expired) log.warn(`Dropped ${expired} messages for ${name} older than ${options.bufferAge}s`);
+    peer.buffer = [];
+    peer.dropped = 0;
+    waiting.forEach((entry) => {
+      socket.write(`${JSON.stringify(entry.frame)}\n`);
+    });
+
+    readFrames(socket, (frame) => {
+      receive(name, frame);
+    });
+    socket.on('close', () => {
+      sockets.delete(socket);
+      if (peer.socket !== socket) return;
+      peer.socket = null;
+      if (!stopped) log.warn(`Lost connection to ${name}`);
+    });
+  };
+
+  const connect = (name, address) => {
+    if (stopped) return;
+    const peer = peerState(name);
+    const socket = tls.connect({
+      ...splitAddress(address),
+      ...options.tls,
+      // It's who it says it is if the CA signed a certificate with its name
+      checkServerIdentity: (hostname, certificate) => {
+        if (certificateHost(certificate) === name) return undefined;
+        return new Error(`expected a certificate for ${name}, got one for ${certificateHost(certificate) || 'nobody'}`);
+      },
+    });
+    socket.unref();
+    socket.once('secureConnect', () => {
+      attach(name, socket);
+    });
+    socket.on('error', (error) => {
+      if (stopped || peer.unreachable) return;
+      log.warn(`Unable to reach ${name} at ${address}, retrying:`, error.message);
+      peer.unreachable = true;
+    });
+    socket.on('close', () => {
+      if (!stopped) setTimeout(connect, reconnectInterval, name, address).unref();
+    });
+  };
+
+  // Ours: either for a peer, or sent to us by name
+  const forward = (payload, info) => {
+    const addressed = splitHostTopic(info.topic);
+    if (!addressed) return;
+    if (addressed.host === self) {
+      publish(addressed.topic, payload, self);
+      return;
+    }
+    send(addressed.host, { op: 'message', topic: addressed.topic, payload: payload.toString() });
+  };
+
+  const start = () => {
+    options.ipc.subscribe(`${hostPrefix}.#`, forward);
+    for (const [name, address] of Object.entries(options.peers)) connect(name, address);
+    return {
+      close(cb) {
+        stopped = true;
+        options.ipc.unsubscribe(`${hostPrefix}.#`, forward);
+        for (const socket of sockets) socket.destroy();
+        if (server) server.close(cb);
+        else if (typeof cb === 'function') process.nextTick(cb);
+      },
+    };
+  };
+
+  if (!options.listen) return Promise.resolve(start());
+
+  return new Promise((resolve, reject) => {
+    server = tls.createServer({ ...options.tls, requestCert: true, rejectUnauthorized: true }, (socket) => {
+      const name = certificateHost(socket.getPeerCertificate());
+      if (!isHostName(name) || name === self) {
+        log.warn(`Refusing bridge connection from ${socket.remoteAddress}, its certificate is for '${name}'`);
+        socket.destroy();
+        return;
+      }
+      socket.on('error', (error) => {
+        log.warn(`Bridge connection from ${name} error:`, error.message);
+      });
+      attach(name, socket);
+    });
+    server.on('tlsClientError', (error, socket) => {
+      log.warn(`Rejected bridge connection from ${socket.remoteAddress || 'a peer'}:`, error.message);
+    });
+
+    const address = splitAddress(options.listen);
+    server.once('error', reject);
+    server.listen(address.port, address.host, () => {
+      server.removeListener('error', reject);
+      server.unref();
+      log.info(`ipc bridge ${self} listening on ${options.listen}`);
+      return resolve(start());
+    });
+  });
+}
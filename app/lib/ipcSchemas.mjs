@@ -0,0 +1,453 @@
+'use strict';
+
+// Our libs
+import { splitHostTopic } from './ipcBridge.mjs';
+
+// No logging in here, lib/ipc.mjs decides what to do with invalid messages
+
+// Field specs: { type, required, enum, items, pattern } - type is a type name or a list of them, one of
+// string, number, boolean, object, array, null or any. items is the type of array entries, pattern a regex (as a
+// string, contracts are handed out as JSON) that strings have to match.
+// Fields that aren't listed are allowed through, contracts only describe what a receiver relies on.
+
+// Fields every request carries, filled in by sendRequest, contracts only list what's particular to their channel
+const requestFields = {
+  requestId: { type: 'string', required: true },
+  replyTo: { type: 'string', required: true },
+  moduleIdent: { type: 'string' },
+  timestamp: { type: 'number' },
+  deadline: { type: 'number' },
+  schemaVersion: { type: 'number' },
+  traceId: { type: 'string' },
+  spanId: { type: 'string' },
+};
+
+// Fields every reply carries, filled in by sendRequestReply/handleRequests
+const replyFields = {
+  requestId: { type: 'string' },
+  moduleIdent: { type: 'string' },
+  timestamp: { type: 'number' },
+  replySeq: { type: 'number' },
+  schemaVersion: { type: 'number' },
+  traceId: { type: 'string' },
+  spanId: { type: 'string' },
+};
+
+// Replies most channels can send
+const ackReply = { subscribeTo: { type: 'string', required: true } };
+const nackReply = { reason: { type: 'string', required: true }, subscribeTo: { type: 'string' } };
+const errorReply = {
+  error: { type: 'string', required: true },
+  validationErrors: { type: 'array', items: 'object' },
+};
+const outputReply = { line: { type: 'string', required: true } };
+const progressReply = { line: { type: ['object', 'string'], required: true } };
+const twoFactorRequiredReply = {
+  attempt: { type: 'number', required: true },
+  submitTo: { type: 'string', required: true },
+  timeout: { type: 'number' },
+};
+
+// Shared by downloads of base files and workshop items
+const downloadReplies = {
+  queued: {
+    jobId: { type: 'string', required: true },
+    state: { type: 'string' },
+    // null once it's running, a job with room to run starts straight away
+    position: { type: ['number', 'null'] },
+    priority: { type: 'number' },
+    subscribeTo: { type: 'string', required: true },
+  },
+  ack: ackReply,
+  nack: Object.assign({}, nackReply, { jobId: { type: 'string' }, state: { type: 'string' } }),
+  progress: progressReply,
+  output: outputReply,
+  retry: {
+    attempt: { type: 'number', required: true },
+    maxAttempts: { type: 'number' },
+    delaySeconds: { type: 'number' },
+    reason: { type: 'string' },
+  },
+  twoFactorRequired: twoFactorRequiredReply,
+  finalStatus: { status: { type: 'string', required: true } },
+  error: Object.assign({}, errorReply, {
+    code: { type: ['string', 'null'] },
+    category: { type: ['string', 'null'] },
+    steamcmdError: { type: ['object', 'null'] },
+    errors: { type: 'array' },
+  }),
+};
+
+// Beta branch names end up in paths and steamcmd scripts, same rules as buildIds (see lib/baseDir.mjs), or empty
+const betaBranchField = { type: 'string', pattern: '^(?:[A-Za-z0-9][A-Za-z0-9._-]*)?$' };
+
+// Shared by requests that login to steam
+const steamcmdRequest = {
+  steamCmdDir: { type: 'string' },
+  steamCmdForce: { type: 'boolean' },
+  credentialProfile: { type: 'string' },
+  steamcmdMultiFactorEnabled: { type: 'boolean' },
+  twoFactorMaxAttempts: { type: 'number' },
+};
+
+// The envelope fields above, for anything describing the contracts
+export const envelopeFields = { request: requestFields, reply: replyFields };
+
+// channel => contract
+const schemas = new Map();
+
+/**
+ * Register the contract for a channel, replacing any existing one \
+ * A contract describes the request and every reply subchannel, '' being a bare reply on replyTo itself. \
+ * Bump version when a change would break a sender or receiver built against the old one.
+ * @param {String} channel - the channel requests are sent to, ie 'downloadManager.checkForUpdate'
+ * @param {Object} contract
+ * @param {Number} contract.version - 1 - the contract version, messages carry it as schemaVersion
+ * @param {String} contract.description - what the channel does
+ * @param {Object} contract.request - field name => field spec
+ * @param {Object} contract.replies - subchannel => { field name => field spec }
+ * @returns {Void}
+ */
+export function registerSchema(channel, contract = { version: 1, description: '', request: {}, replies: {} }) {
+  schemas.set(channel, {
+    channel: channel,
+    version: contract.version || 1,
+    description: contract.description || '',
+    request: contract.request || {},
+    replies: contract.replies || {},
+  });
+}
+
+/**
+ * Get the contract for a channel \
+ * Channels on another host (_host.<host>.<channel>, see lib/ipcBridge.mjs) have the same contract as here
+ * @param {String} channel - the channel
+ * @returns {Object|null} the contract, null if the channel doesn't have one
+ */
+export function getSchema(channel) {
+  const remote = splitHostTopic(channel);
+  return schemas.get(remote ? remote.topic : channel) || null;
+}
+
+/**
+ * Every registered contract
+ * @returns {Object[]} contracts, sorted by channel
+ */
+export function listSchemas() {
+  return Array.from(schemas.values()).sort((a, b) => {
+    return a.channel.localeCompare(b.channel);
+  });
+}
+
+/**
+ * Check a request against its channel's contract
+ * @param {String} channel - the channel it's sent to
+ * @param {*} message - the parsed request
+ * @returns {Object[]} [{ field, message }], empty if it's valid or the channel doesn't have a contract
+ */
+export function validateRequest(channel, message) {
+  const schema = getSchema(channel);
+  if (!schema) return [];
+  return checkMessage(schema, Object.assign({}, requestFields, schema.request), message);
+}
+
+/**
+ * Check a reply against its channel's contract
+ * @param {String} channel - the channel the request went to
+ * @param {String} subchannel - the reply subchannel, '' for a bare reply on replyTo
+ * @param {*} message - the parsed reply
+ * @returns {Object[]} [{ field, message }], empty if it's valid or the channel doesn't have a contract
+ */
+export function validateReply(channel, subchannel, message) {
+  const schema = getSchema(channel);
+  if (!schema) return [];
+  if (!Object.prototype.hasOwnProperty.call(schema.replies, subchannel)) {
+    return [{ field: '', message: `${channel} doesn't send ${subchannel ? `${subchannel} replies` : 'bare replies'}` }];
+  }
+  // eslint-disable-next-line security/detect-object-injection
+  return checkMessage(schema, Object.assign({}, replyFields, schema.replies[subchannel]), message);
+}
+
+/**
+ * Turn validation errors into one line for logs and error messages
+ * @param {Object[]} errors - from validateRequest/validateReply
+ * @returns {String} ie 'gameId: required, priority: expected number, got string'
+ */
+export function describeErrors(errors = []) {
+  return errors
+    .map((error) => {
+      return error.field ? `${error.field}: ${error.message}` : error.message;
+    })
+    .join(', ');
+}
+
+/**
+ * Check a message against a set of field specs
+ * @param {Object} schema - the channel's contract
+ * @param {Object} fields - field name => field spec
+ * @param {*} message - the parsed message
+ * @returns {Object[]} [{ field, message }]
+ */
+function checkMessage(schema, fields, message) {
+  if (typeOf(message) !== 'object') return [{ field: '', message: `expected an object, got ${typeOf(message)}` }];
+
+  // Missing means whatever the receiver speaks, newer than that and we can't know what it means
+  if (message.schemaVersion !== undefined && Number(message.schemaVersion) > schema.version) {
+    return [
+      {
+        field: 'schemaVersion',
+        message: `version ${message.schemaVersion} is newer than ${schema.channel} v${schema.version}`,
+      },
+    ];
+  }
+
+  const errors = [];
+  for (const [field, spec] of Object.entries(fields)) {
+    // eslint-disable-next-line security/detect-object-injection
+    const value = message[field];
+    if (value === undefined) {
+      if (spec.required) errors.push({ field: field, message: 'required' });
+      continue;
+    }
+    const error = checkValue(spec, value);
+    if (error) errors.push({ field: field, message: error });
+  }
+  return errors;
+}
+
+/**
+ * Check a value against a field spec
+ * @param {Object} spec - { type, enum, items, pattern }
+ * @param {*} value - the value
+ * @returns {String|null} what's wrong with it, null if nothing
+ */
+function checkValue(spec, value) {
+  const types = [].concat(spec.type || 'any');
+  const type = typeOf(value);
+  if (!types.includes('any') && !types.includes(type)) return `expected ${types.join(' or ')}, got ${type}`;
+  if (spec.enum && !spec.enum.includes(value)) return `expected one of ${spec.enum.join(', ')}, got ${value}`;
+  // eslint-disable-next-line security/detect-non-literal-regexp
+  if (spec.pattern && type === 'string' && !new RegExp(spec.pattern).test(value)) {
+    return `expected to match ${spec.pattern}, got ${value}`;
+  }
+  if (spec.items && type === 'array') {
+    const wrong = value.findIndex((item) => {
+      return typeOf(item) !== spec.items;
+    });
+    if (wrong !== -1) return `expected ${spec.items} entries, entry ${wrong} is ${typeOf(value.at(wrong))}`;
+  }
+  return null;
+}
+
+/**
+ * typeof, but with arrays and null told apart from objects
+ * @param {*} value - anything
+ * @returns {String} the type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+//
+// Contracts
+
+registerSchema('downloadManager.downloadUpdateGame', {
+  version: 1,
+  description: 'Queue a download/update of base game files',
+  request: Object.assign({}, steamcmdRequest, {
+    gameId: { type: 'string', required: true },
+    downloadDir: { type: 'string', required: true },
+    validate: { type: 'boolean' },
+    serverFilesForce: { type: 'boolean' },
+    downloadForce: { type: 'boolean' },
+    betaBranch: betaBranchField,
+    priority: { type: 'number' },
+    timeout: { type: 'number' },
+    instanceId: { type: 'string' },
+    pinBuildId: { type: 'string' },
+    scheduled: { type: 'boolean' },
+  }),
+  replies: downloadReplies,
+});
+
+registerSchema('downloadManager.downloadWorkshopItems', {
+  version: 1,
+  description: 'Queue a download/update of workshop items',
+  request: Object.assign({}, steamcmdRequest, {
+    gameId: { type: 'string', required: true },
+    itemIds: { type: 'array', items: 'string', required: true },
+    downloadDir: { type: 'string', required: true },
+    priority: { type: 'number' },
+    timeout: { type: 'number' },
+  }),
+  replies: downloadReplies,
+});
+
+registerSchema('downloadManager.cancelDownload', {
+  version: 1,
+  description: 'Cancel a running or queued download',
+  request: {
+    gameIdToCancel: { type: 'string', required: true },
+    requestIdToCancel: { type: 'string' },
+    command: { type: 'string', enum: ['cancel'] },
+    cleanup: { type: 'boolean' },
+  },
+  replies: {
+    ack: ackReply,
+    finalStatus: {
+      status: { type: 'string', required: true },
+      error: { type: ['boolean', 'string'] },
+      cleanup: { type: 'string', enum: ['successful', 'failed'] },
+      jobId: { type: 'string' },
+    },
+    error: errorReply,
+  },
+});
+
+registerSchema('downloadManager.listQueue', {
+  version: 1,
+  description: 'List running, queued and finished download jobs',
+  request: {},
+  replies: {
+    '': {
+      jobs: { type: 'array', items: 'object', required: true },
+      concurrency: { type: 'number' },
+    },
+    'error': errorReply,
+  },
+});
+
+registerSchema('downloadManager.listRunningDownloads', {
+  version: 1,
+  description: 'List running downloads and their progress',
+  request: {},
+  replies: {
+    '': { runningDownloads: { type: 'object', required: true } },
+    'error': errorReply,
+  },
+});
+
+registerSchema('downloadManager.reprioritize', {
+  version: 1,
+  description: 'Change the priority of a queued download',
+  request: {
+    jobId: { type: 'string', required: true },
+    priority: { type: 'number', required: true },
+  },
+  replies: {
+    ack: ackReply,
+    finalStatus: { job: { type: 'object', required: true } },
+    error: errorReply,
+  },
+});
+
+registerSchema('downloadManager.checkForUpdate', {
+  version: 1,
+  description: 'Compare the installed buildid with the one on steam',
+  request: Object.assign({}, steamcmdRequest, {
+    gameId: { type: 'string', required: true },
+    steamCmdDir: { type: 'string', required: true },
+    downloadDir: { type: 'string', required: true },
+    betaBranch: betaBranchField,
+  }),
+  replies: {
+    ack: ackReply,
+    nack: nackReply,
+    output: outputReply,
+    progress: progressReply,
+    twoFactorRequired: twoFactorRequiredReply,
+    finalStatus: {
+      status: { type: 'string', required: true },
+      installedBuildId: { type: ['string', 'null'] },
+      remoteBuildId: { type: ['string', 'null'] },
+      updateAvailable: { type: 'boolean', required: true },
+    },
+    error: errorReply,
+  },
+});
+
+registerSchema('downloadManager.rollback', {
+  version: 1,
+  description: 'Point base files back at an older installed build',
+  request: {
+    gameId: { type: 'string', required: true },
+    downloadDir: { type: 'string', required: true },
+    betaBranch: betaBranchField,
+    buildId: { type: 'string' },
+    timeout: { type: 'number' },
+  },
+  replies: {
+    ack: ackReply,
+    nack: nackReply,
+    finalStatus: {
+      status: { type: 'string', required: true },
+      buildId: { type: 'string', required: true },
+      previousBuildId: { type: ['string', 'null'] },
+      builds: { type: 'array', items: 'object', required: true },
+    },
+    error: errorReply,
+  },
+});
+
+registerSchema('downloadManager.testCredentials', {
+  version: 1,
+  description: 'Check a credential profile can login and see a game',
+  request: Object.assign({}, steamcmdRequest, {
+    credentialProfile: { type: 'string', required: true },
+    gameId: { type: 'string', required: true },
+    steamCmdDir: { type: 'string', required: true },
+  }),
+  replies: {
+    ack: ackReply,
+    nack: nackReply,
+    output: outputReply,
+    progress: progressReply,
+    twoFactorRequired: twoFactorRequiredReply,
+    finalStatus: {
+      status: { type: 'string', required: true },
+      credentialProfile: { type: 'string', required: true },
+      username: { type: 'string' },
+      gameId: { type: 'string' },
+      appid: { type: ['string', 'number'] },
+    },
+    error: errorReply,
+  },
+});
+
+registerSchema('configManager.downloadUpdateRepo', {
+  version: 1,
+  description: 'Clone a git repo of game config for an instance',
+  request: {
+    instanceId: { type: 'string', required: true },
+    repoUrl: { type: 'string', required: true },
+    repoDir: { type: 'string', required: true },
+    repoBranch: { type: 'string' },
+    clean: { type: 'boolean' },
+  },
+  replies: {
+    ack: ackReply,
+    nack: nackReply,
+    output: outputReply,
+    finalStatus: { status: { type: 'string', required: true } },
+    error: errorReply,
+  },
+});
+
+registerSchema('registry.list', {
+  version: 1,
+  description: 'List the modules announced to the registry, and which expected ones are missing',
+  request: {
+    expected: { type: 'array', items: 'string' },
+  },
+  replies: {
+    ack: ackReply,
+    finalStatus: {
+      modules: { type: 'array', items: 'object', required: true },
+      duplicates: { type: 'array', items: 'object', required: true },
+      missing: { type: 'array', items: 'string', required: true },
+    },
+    error: errorReply,
+  },
+});
@@ -0,0 +1,296 @@
+'use strict';
+
+// Our libs
+import { setupLog } from './log.mjs';
+
+// Nodejs stdlib
+import { default as crypto } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { default as fs } from 'node:fs';
+import { default as net } from 'node:net';
+
+const log = setupLog('lib/ipcSocket.mjs');
+
+// Frames are newline delimited JSON:
+// client => broker { op: 'subscribe'|'unsubscribe', topic }, { op: 'publish', topic, payload }
+// broker => client { op: 'message', topic, payload, id }
+
+// Milliseconds between attempts to reach the broker
+const reconnectInterval = 1000;
+
+// Anyone sending more than this without a newline isn't speaking our protocol
+const maxFrameLength = 16 * 1024 * 1024;
+
+/**
+ * Does a topic match a subscription? \
+ * Same rules as qlobber-fsq: words are separated by '.', '*' matches exactly one word, '#' matches zero or more
+ * @param {String} pattern - the subscription, ie '_broadcast.*' or 'cli.1234.#'
+ * @param {String} topic - the topic a message was published to
+ * @returns {Boolean} true if it matches
+ */
+export function topicMatches(pattern, topic) {
+  return matchWords(pattern.split('.'), 0, topic.split('.'), 0);
+}
+
+function matchWords(pattern, p, words, w) {
+  if (p === pattern.length) return w === words.length;
+  if (pattern.at(p) === '#') {
+    for (var skip = w; skip <= words.length; skip++) {
+      if (matchWords(pattern, p + 1, words, skip)) return true;
+    }
+    return false;
+  }
+  if (w === words.length) return false;
+  if (pattern.at(p) !== '*' && pattern.at(p) !== words.at(w)) return false;
+  return matchWords(pattern, p + 1, words, w + 1);
+}
+
+/**
+ * Split a socket's data into frames \
+ * Also used by lib/ipcBridge.mjs for its TLS connections
+ * @param {net.Socket|tls.TLSSocket} socket - the socket
+ * @param {Function} onFrame - (frame) => {}, called with each parsed frame
+ * @returns {Void}
+ */
+export function readFrames(socket, onFrame) {
+  var buffered = '';
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffered += chunk;
+    var newline;
+    while ((newline = buffered.indexOf('\n')) !== -1) {
+      const line = buffered.slice(0, newline);
+      buffered = buffered.slice(newline + 1);
+      if (!line) continue;
+      try {
+        onFrame(JSON.parse(line));
+      } catch (error) {
+        log.warn('Ignoring unparseable ipc frame');
+      }
+    }
+    if (buffered.length > maxFrameLength) {
+      log.error('Closing ipc connection, frame too long');
+      socket.destroy();
+    }
+  });
+}
+
+/**
+ * Start a broker on a unix socket \
+ * Clients subscribe to topics and publish messages, each message goes once to every client with a matching
+ * subscription (the publisher included). Nothing is kept: a message nobody is subscribed to is gone. \
+ * A socket file left behind by a broker that's no longer running is replaced.
+ * @param {Object.<String>} options
+ * @param {String} options.socketPath - where to listen, ie '/tmp/gsm/ipc.sock'
+ * @returns {Promise<Object>} resolves with { close(cb) } once it's listening, rejects if another broker already is. \
+ * close() drops every client and removes the socket
+ */
+export function startSocketBroker(options = { socketPath: '' }) {
+  const socketPath = options.socketPath;
+  // socket => Set of subscribed topics
+  const clients = new Map();
+
+  const server = net.createServer((socket) => {
+    const subscriptions = new Set();
+    clients.set(socket, subscriptions);
+    socket.on('close', () => {
+      clients.delete(socket);
+    });
+    socket.on('error', (error) => {
+      log.warn('ipc client connection error:', error.message);
+    });
+
+    readFrames(socket, (frame) => {
+      switch (frame.op) {
+        case 'subscribe':
+          subscriptions.add(String(frame.topic));
+          break;
+        case 'unsubscribe':
+          subscriptions.delete(String(frame.topic));
+          break;
+        case 'publish': {
+          const message = `${JSON.stringify({
+            op: 'message',
+            topic: String(frame.topic),
+            payload: String(frame.payload),
+            id: crypto.randomUUID(),
+          })}\n`;
+          for (const [client, topics] of clients) {
+            for (const topic of topics) {
+              if (topicMatches(topic, String(frame.topic))) {
+                client.write(message);
+                break;
+              }
+            }
+          }
+          break;
+        }
+        default:
+          log.warn(`Ignoring unknown ipc frame op ${frame.op}`);
+      }
+    });
+  });
+
+  const listen = () => {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(socketPath, () => {
+        server.removeListener('error', reject);
+        // Only us, messages are signed anyway but there's no reason to let anyone else connect
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        fs.chmodSync(socketPath, 0o600);
+        log.info(`ipc broker listening on ${socketPath}`);
+        return resolve({
+          close(cb) {
+            server.close(cb);
+            for (const client of clients.keys()) client.destroy();
+          },
+        });
+      });
+    });
+  };
+
+  return listen().catch((error) => {
+    if (error.code !== 'EADDRINUSE') throw error;
+    // Something's there, see if it's a live broker or a leftover from a crash
+    return new Promise((resolve, reject) => {
+      const probe = net.connect(socketPath);
+      probe.once('connect', () => {
+        probe.destroy();
+        return reject(new Error(`an ipc broker is already listening on ${socketPath}`));
+      });
+      probe.once('error', () => {
+        log.warn(`Removing stale ipc socket ${socketPath}`);
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        fs.rmSync(socketPath, { force: true });
+        return resolve(listen());
+      });
+    });
+  });
+}
+
+/**
+ * Create a client for a unix socket broker \
+ * It has the parts of the qlobber-fsq interface lib/ipc.mjs and the modules use: publish(topic, payload, [cb]),
+ * subscribe(topic, handler, [cb]), unsubscribe([topic], [handler], [cb]), stop_watching([cb]), and emits 'start'
+ * once it first reaches the broker. Handlers are called as (data, info) with data a Buffer and info
+ * { topic, path, fname, single }, path being unique to the message. \
+ * It keeps trying until the broker is up, and reconnects (and resubscribes) if it goes away. Messages published
+ * while it's disconnected are sent once it's back.
+ * @param {Object.<String>} options
+ * @param {String} options.socketPath - the broker's socket, ie '/tmp/gsm/ipc.sock'
+ * @returns {EventEmitter} the transport
+ */
+export function createSocketTransport(options = { socketPath: '' }) {
+  const socketPath = options.socketPath;
+  const transport = new EventEmitter();
+  // topic => Set of handlers
+  const subscriptions = new Map();
+  // Frames waiting for a connection
+  var pending = [];
+  var socket = null;
+  var connected = false;
+  var started = false;
+  var stopped = false;
+  var waitingLogged = false;
+
+  // Subscriptions are all sent again on connect, only messages need to wait
+  const send = (frame) => {
+    if (connected) {
+      socket.write(`${JSON.stringify(frame)}\n`);
+    } else if (frame.op === 'publish') {
+      pending.push(frame);
+    }
+  };
+
+  const deliver = (frame) => {
+    const data = Buffer.from(frame.payload);
+    const info = { topic: frame.topic, path: frame.id, fname: frame.id, single: false };
+    // Every handler once, however many of its subscriptions match
+    const handlers = new Set();
+    for (const [topic, topicHandlers] of subscriptions) {
+      if (topicMatches(topic, frame.topic))
+        topicHandlers.forEach((handler) => {
+          handlers.add(handler);
+        });
+    }
+    handlers.forEach((handler) => {
+      try {
+        handler(data, info, () => {});
+      } catch (error) {
+        log.error(`Error in ipc handler for ${frame.topic}:`, error);
+      }
+    });
+  };
+
+  const connect = () => {
+    socket = net.connect(socketPath);
+    socket.on('connect', () => {
+      connected = true;
+      waitingLogged = false;
+      // Tell the broker what we want, then anything we sent while it was away
+      for (const topic of subscriptions.keys()) socket.write(`${JSON.stringify({ op: 'subscribe', topic: topic })}\n`);
+      pending.forEach((frame) => {
+        socket.write(`${JSON.stringify(frame)}\n`);
+      });
+      pending = [];
+      if (!started) {
+        started = true;
+        transport.emit('start');
+      }
+    });
+    readFrames(socket, (frame) => {
+      if (frame.op === 'message') deliver(frame);
+    });
+    socket.on('error', (error) => {
+      if (stopped) return;
+      if (!waitingLogged) log.warn(`Waiting for the ipc broker on ${socketPath}:`, error.code || error.message);
+      waitingLogged = true;
+    });
+    socket.on('close', () => {
+      connected = false;
+      if (!stopped) setTimeout(connect, reconnectInterval);
+    });
+  };
+
+  transport.publish = (topic, payload, ...rest) => {
+    send({ op: 'publish', topic: topic, payload: payload.toString() });
+    const cb = rest.at(-1);
+    if (typeof cb === 'function') process.nextTick(cb);
+  };
+
+  transport.subscribe = (topic, handler, ...rest) => {
+    if (!subscriptions.has(topic)) {
+      subscriptions.set(topic, new Set());
+      send({ op: 'subscribe', topic: topic });
+    }
+    subscriptions.get(topic).add(handler);
+    const cb = rest.at(-1);
+    if (typeof cb === 'function') process.nextTick(cb);
+  };
+
+  transport.unsubscribe = (topic, handler, ...rest) => {
+    const cb = rest.at(-1);
+    const topics = typeof topic === 'string' ? [topic] : Array.from(subscriptions.keys());
+    topics.forEach((unsubscribed) => {
+      const topicHandlers = subscriptions.get(unsubscribed);
+      if (!topicHandlers) return;
+      if (typeof handler === 'function') topicHandlers.delete(handler);
+      if (typeof handler !== 'function' || topicHandlers.size === 0) {
+        subscriptions.delete(unsubscribed);
+        send({ op: 'unsubscribe', topic: unsubscribed });
+      }
+    });
+    if (typeof cb === 'function') process.nextTick(cb);
+  };
+
+  transport.stop_watching = (cb) => {
+    stopped = true;
+    if (socket) socket.end();
+    transport.emit('stop');
+    if (typeof cb === 'function') process.nextTick(cb);
+  };
+
+  connect();
+  return transport;
+}
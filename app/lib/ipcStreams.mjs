@@ -0,0 +1,244 @@
+'use strict';
+
+// Our libs
+import { setupLog } from './log.mjs';
+
+// Nodejs stdlib
+import { default as crypto } from 'node:crypto';
+import { default as fs } from 'node:fs';
+import { default as path } from 'node:path';
+
+const log = setupLog('lib/ipcStreams.mjs');
+
+// Milliseconds between sweeps for streams nobody's written to in ttl hours
+const pruneInterval = 60 * 60 * 1000;
+
+/**
+ * Create a store for retained reply streams \
+ * A stream is every reply sent to one replyTo, numbered from 1 in the order they were sent. Each stream is a file of
+ * JSON lines under dir, { seq, subchannel, message, timestamp }, holding at least the last `retain` of them: it's
+ * appended to, and cut back to `retain` once it's twice that. Streams nobody's written to in `ttl` hours are removed. \
+ * Replies are numbered and kept in memory straight away, the file is written behind them: lines are buffered per
+ * stream and flushed through a write stream that's ended once the stream is closed. \
+ * Only the module sending the replies should write to a stream, numbering isn't shared between processes.
+ * @param {Object} options
+ * @param {String} options.dir - where streams are kept, ie '/tmp/gsm/streams'
+ * @param {Number} options.retain - 1000 - entries kept per stream
+ * @param {Number} options.ttl - 24 - hours a stream is kept after it was last written to
+ * @returns {Object} { append(stream, subchannel, message), read(stream, { fromSeq, last }), close(stream) }
+ */
+export function createStreamStore(options = { dir: '', retain: 1000, ttl: 24 }) {
+  const retain = Math.max(parseInt(options.retain) || 1000, 1);
+  const ttl = parseFloat(options.ttl) || 24;
+  // Streams being written to, stream => { stream, file, entries, nextSeq, lines, pending, writer, ... }
+  const open = new Map();
+  var lastPruned = 0;
+
+  // Stream names come off the wire, keep them out of file names
+  const fileFor = (stream) => {
+    return path.resolve(options.dir, `${crypto.createHash('sha256').update(stream).digest('hex').slice(0, 32)}.jsonl`);
+  };
+
+  const load = (stream) => {
+    if (open.has(stream)) return open.get(stream);
+    const file = fileFor(stream);
+    var lines = [];
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    } catch (error) {
+      if (error.code !== 'ENOENT') log.warn(`Unable to read ipc stream ${stream}:`, error.message);
+    }
+    const entries = [];
+    lines.forEach((line) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash, everything after it is fine
+      }
+    });
+    const last = entries.at(-1);
+    return {
+      stream: stream,
+      file: file,
+      entries: entries.slice(-retain),
+      nextSeq: last ? last.seq + 1 : 1,
+      // Lines in the file, and the ones still to be written to it
+      lines: lines.length,
+      pending: [],
+      // The file's write stream while it's open, whether a flush is waiting to run or running, and if we're done
+      writer: null,
+      scheduled: false,
+      flushing: false,
+      closing: false,
+    };
+  };
+
+  // Append to a stream's file, opening it if it isn't already
+  const write = async (state, data) => {
+    if (!state.writer) {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      const writer = fs.createWriteStream(state.file, { flags: 'a', mode: 0o600 });
+      // The write itself rejects, this just keeps it from being an uncaught one
+      writer.on('error', () => {
+        if (state.writer === writer) state.writer = null;
+      });
+      state.writer = writer;
+    }
+    const writer = state.writer;
+    await new Promise((resolve, reject) => {
+      writer.write(data, (error) => {
+        return error ? reject(error) : resolve();
+      });
+    });
+  };
+
+  // Close a stream's file, once everything written to it is on disk
+  const endWriter = async (state) => {
+    const writer = state.writer;
+    if (!writer) return;
+    state.writer = null;
+    await new Promise((resolve) => {
+      writer.end(resolve);
+    });
+  };
+
+  // Write out what's pending, one flush at a time per stream
+  const flush = async (state) => {
+    state.scheduled = false;
+    if (state.flushing) return;
+    state.flushing = true;
+    try {
+      while (state.pending.length > 0) {
+        const lines = state.pending;
+        state.pending = [];
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        if (state.lines === 0) await fs.promises.mkdir(options.dir, { recursive: true, mode: 0o700 });
+        if (state.lines + lines.length > retain * 2) {
+          // Cut it back to what we'd replay, pending lines included
+          await endWriter(state);
+          const tempFile = `${state.file}.${process.pid}.tmp`;
+          const retained = state.entries.map((entry) => {
+            return `${JSON.stringify(entry)}\n`;
+          });
+          // eslint-disable-next-line security/detect-non-literal-fs-filename
+          await fs.promises.writeFile(tempFile, retained.join(''), { mode: 0o600 });
+          // eslint-disable-next-line security/detect-non-literal-fs-filename
+          await fs.promises.rename(tempFile, state.file);
+          state.lines = retained.length;
+        } else {
+          await write(state, lines.join(''));
+          state.lines += lines.length;
+        }
+      }
+      if (state.closing) {
+        await endWriter(state);
+        // Unless something else was sent to it in the meantime
+        if (state.closing && state.pending.length === 0 && open.get(state.stream) === state) open.delete(state.stream);
+      }
+    } catch (error) {
+      log.warn(`Unable to write ipc stream ${state.stream}:`, error.message);
+    } finally {
+      state.flushing = false;
+    }
+    // Anything that turned up while we were busy
+    if (state.pending.length > 0 || (state.closing && open.get(state.stream) === state)) scheduleFlush(state);
+  };
+
+  const scheduleFlush = (state) => {
+    if (state.scheduled) return;
+    state.scheduled = true;
+    setImmediate(flush, state);
+  };
+
+  const prune = () => {
+    lastPruned = Date.now();
+    const openFiles = new Set(
+      Array.from(open.values()).map((state) => {
+        return state.file;
+      }),
+    );
+    var files = [];
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      files = fs.readdirSync(options.dir);
+    } catch (error) {
+      return;
+    }
+    files.forEach((name) => {
+      const file = path.resolve(options.dir, name);
+      if (!name.endsWith('.jsonl') || openFiles.has(file)) return;
+      try {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        if (Date.now() - fs.statSync(file).mtimeMs > ttl * 60 * 60 * 1000) fs.rmSync(file, { force: true });
+      } catch (error) {
+        log.warn(`Unable to prune ipc stream file ${file}:`, error.message);
+      }
+    });
+  };
+
+  return {
+    /**
+     * Add a reply to a stream, it's kept with its seq as replySeq
+     * @param {String} stream - the replyTo it was sent to
+     * @param {String} subchannel - the reply subchannel, '' for a bare reply
+     * @param {Object} message - the reply, already redacted
+     * @returns {Number} its seq
+     */
+    append(stream, subchannel, message) {
+      if (Date.now() - lastPruned > pruneInterval) prune();
+      const state = load(stream);
+      open.set(stream, state);
+      state.closing = false;
+      const entry = {
+        seq: state.nextSeq,
+        subchannel: subchannel,
+        message: Object.assign({}, message, { replySeq: state.nextSeq }),
+        timestamp: Date.now(),
+      };
+      state.nextSeq += 1;
+      state.entries.push(entry);
+      if (state.entries.length > retain) state.entries.shift();
+      state.pending.push(`${JSON.stringify(entry)}\n`);
+      scheduleFlush(state);
+      return entry.seq;
+    },
+
+    /**
+     * Read back a stream
+     * @param {String} stream - the replyTo its replies were sent to
+     * @param {Object.<Number>} readOptions
+     * @param {Number} readOptions.fromSeq - 0 - only entries from this seq on
+     * @param {Number} readOptions.last - 0 - only the last this many entries, 0 for all of them
+     * @returns {Object} { entries, firstSeq, nextSeq }, firstSeq being the oldest entry still retained
+     */
+    read(stream, readOptions = { fromSeq: 0, last: 0 }) {
+      const state = load(stream);
+      var entries = state.entries;
+      const fromSeq = parseInt(readOptions.fromSeq) || 0;
+      const last = parseInt(readOptions.last) || 0;
+      if (fromSeq > 0) {
+        entries = entries.filter((entry) => {
+          return entry.seq >= fromSeq;
+        });
+      }
+      if (last > 0) entries = entries.slice(-last);
+      const first = state.entries.at(0);
+      return { entries: entries, firstSeq: first ? first.seq : state.nextSeq, nextSeq: state.nextSeq };
+    },
+
+    /**
+     * Stop keeping a stream in memory, once its final reply has been sent \
+     * Whatever's still buffered is written out and its file closed first. It stays on disk to be read back, and is
+     * picked up again if anything else is sent to it
+     * @param {String} stream - the replyTo
+     * @returns {Void}
+     */
+    close(stream) {
+      const state = open.get(stream);
+      if (!state) return;
+      state.closing = true;
+      scheduleFlush(state);
+    },
+  };
+}
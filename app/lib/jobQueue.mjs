@@ -0,0 +1,363 @@
+'use strict';
+
+// Our libs
+import { setupLog, isoTimestamp } from './log.mjs';
+import { parseBool } from './parseBool.mjs';
+
+// Nodejs stdlib
+import { default as crypto } from 'node:crypto';
+import { default as fs } from 'node:fs';
+import { default as path } from 'node:path';
+
+const log = setupLog('lib/jobQueue.mjs');
+
+const debug = parseBool(process.env.DEBUG) || false;
+
+const mgrTmpDir = process.env.MANAGER_TMPDIR || '/tmp/gsm';
+
+// Where queues (and other state that should survive a restart) are kept
+export const stateDir = path.resolve(process.env.MANAGER_STATEDIR || `${mgrTmpDir}/state`);
+
+// Every state a job can be in
+export const jobStates = ['queued', 'running', 'done', 'failed'];
+
+/**
+ * Write some state out to `${stateDir}/${name}.json` \
+ * It goes via a temp file so a crash never leaves half a file behind, and it's only readable by us since \
+ * requests can carry credentials
+ * @param {String} name - state file name, without .json
+ * @param {Object} data - anything JSON.stringify can handle
+ * @returns {Void}
+ * @throws {Error} if it can't be written
+ */
+export function writeStateFile(name, data) {
+  const stateFile = path.resolve(stateDir, `${name}.json`);
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.mkdirSync(stateDir, { recursive: true, mode: 0o700 });
+  const tempFile = `${stateFile}.${process.pid}.tmp`;
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  fs.renameSync(tempFile, stateFile);
+}
+
+/**
+ * Read state written by writeStateFile
+ * @param {String} name - state file name, without .json
+ * @returns {Object|null} the data, or null if there isn't any yet
+ * @throws {Error} if it exists but can't be read
+ */
+export function readStateFile(name) {
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    return JSON.parse(fs.readFileSync(path.resolve(stateDir, `${name}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Create a job queue persisted to a json file \
+ * Jobs run highest priority first (oldest first for equal priorities), at most `concurrency` at a time, \
+ * and never two with the same key, or needing the same resource, at once. The queue file doubles as a journal: jobs that were running when the \
+ * process died are queued again on load, and handed to onInterrupted before anything runs.
+ * @param {Object.<String, Number, Function>} options
+ * @param {String} options.name - queue name, saved as `${stateDir}/${name}.json`
+ * @param {Number} options.concurrency - how many jobs may run at once
+ * @param {Number} options.historyLength - how many done/failed jobs to keep around
+ * @param {Function} options.runJob - async (job) => result, a result.status of 'completed' marks the job done
+ * @param {Function} options.onChange - (job) => {}, called whenever a job changes state
+ * @param {Function} options.resources - (job) => String[], anything a job needs to itself while it runs, \
+ * ie a directory only one job at a time may use
+ * @param {Function} options.onInterrupted - async (job) => {}, called by start() for each job that never finished, \
+ * it may change job.request before the job runs again
+ * @returns {Object} the queue: { enqueue, get, findActive, list, reprioritize, remove, runningCount, start }
+ */
+export function createJobQueue(
+  options = {
+    name: '',
+    concurrency: 1,
+    historyLength: 100,
+    runJob: null,
+    onChange: null,
+    resources: null,
+    onInterrupted: null,
+  },
+) {
+  if (!options.name) throw new Error('queue name required');
+  if (typeof options.runJob !== 'function') throw new Error('runJob required');
+
+  const stateFile = path.resolve(stateDir, `${options.name}.json`);
+  const concurrency = Math.max(parseInt(options.concurrency) || 1, 1);
+  const historyLength = options.historyLength || 100;
+  var jobs = [];
+  var started = false;
+  // Jobs found running in the journal on load
+  var interruptedJobs = [];
+
+  // Write the queue out
+  const save = () => {
+    try {
+      writeStateFile(options.name, { savedAt: isoTimestamp(), jobs: jobs });
+    } catch (error) {
+      log.error(`Unable to save queue ${options.name} to ${stateFile}:`, error.message);
+    }
+  };
+
+  // Read the queue back in
+  const load = () => {
+    try {
+      const saved = readStateFile(options.name) || {};
+      jobs = Array.isArray(saved.jobs) ? saved.jobs : [];
+    } catch (error) {
+      log.error(`Unable to load queue ${options.name} from ${stateFile}:`, error.message);
+      jobs = [];
+    }
+    jobs.forEach((job) => {
+      if (job.state === 'running') {
+        log.warn(`Job ${job.jobId} (${job.key}) was running when we last stopped, queueing it again`);
+        job.state = 'queued';
+        job.interrupted = true;
+        job.startedAt = null;
+        interruptedJobs.push(job);
+      }
+    });
+  };
+
+  const changed = (job) => {
+    save();
+    if (typeof options.onChange === 'function') options.onChange(job);
+  };
+
+  // Queued jobs in the order they'll run
+  const runOrder = () => {
+    return jobs
+      .filter((job) => {
+        return job.state === 'queued';
+      })
+      .sort((a, b) => {
+        return b.priority - a.priority || a.queuedAt.localeCompare(b.queuedAt);
+      });
+  };
+
+  const runningCount = () => {
+    return jobs.filter((job) => {
+      return job.state === 'running';
+    }).length;
+  };
+
+  // Drop the oldest finished jobs once there are too many
+  const trimHistory = () => {
+    const finished = jobs.filter((job) => {
+      return job.state === 'done' || job.state === 'failed';
+    });
+    if (finished.length <= historyLength) return;
+    const drop = finished
+      .sort((a, b) => {
+        return a.finishedAt.localeCompare(b.finishedAt);
+      })
+      .slice(0, finished.length - historyLength);
+    jobs = jobs.filter((job) => {
+      return !drop.includes(job);
+    });
+  };
+
+  const finish = (job, state, result, error) => {
+    job.state = state;
+    job.finishedAt = isoTimestamp();
+    job.result = result;
+    job.error = error;
+    trimHistory();
+    changed(job);
+    schedule();
+  };
+
+  const run = async (job) => {
+    job.state = 'running';
+    job.startedAt = isoTimestamp();
+    job.attempts = (job.attempts || 0) + 1;
+    changed(job);
+    if (debug) log.debug(`Starting job ${job.jobId} (${job.key})`);
+    try {
+      const result = (await options.runJob(job)) || {};
+      finish(job, result.status === 'completed' ? 'done' : 'failed', result, null);
+    } catch (error) {
+      log.error(`Job ${job.jobId} (${job.key}) failed:`, error);
+      finish(job, 'failed', null, error.message || String(error));
+    }
+  };
+
+  // What a job needs to itself, worked out when it's scheduled so jobs from an older journal get them too
+  const resourcesOf = (job) => {
+    return typeof options.resources === 'function' ? options.resources(job) || [] : [];
+  };
+
+  // Start whatever we have room for
+  const schedule = () => {
+    if (!started) return;
+    const running = jobs.filter((job) => {
+      return job.state === 'running';
+    });
+    const runningKeys = running.map((job) => {
+      return job.key;
+    });
+    const runningResources = running.flatMap(resourcesOf);
+    for (const job of runOrder()) {
+      if (runningCount() >= concurrency) break;
+      if (runningKeys.includes(job.key)) continue;
+      const resources = resourcesOf(job);
+      if (
+        resources.some((resource) => {
+          return runningResources.includes(resource);
+        })
+      ) {
+        continue;
+      }
+      runningKeys.push(job.key);
+      runningResources.push(...resources);
+      run(job);
+    }
+  };
+
+  // Fill in the queue position of a job, if it's waiting
+  const withPosition = (job) => {
+    if (!job) return null;
+    const position = runOrder().indexOf(job);
+    return Object.assign({}, job, { position: position === -1 ? null : position + 1 });
+  };
+
+  load();
+
+  return {
+    /**
+     * Add a job to the queue
+     * @param {Object} job - { type, key, priority, request }
+     * @returns {Object} the queued job, with its position
+     */
+    enqueue(job) {
+      const queued = {
+        jobId: crypto.randomUUID(),
+        type: job.type,
+        key: job.key,
+        priority: Number(job.priority) || 0,
+        state: 'queued',
+        request: job.request,
+        queuedAt: isoTimestamp(),
+        startedAt: null,
+        finishedAt: null,
+        attempts: 0,
+        result: null,
+        error: null,
+      };
+      jobs.push(queued);
+      changed(queued);
+      schedule();
+      return withPosition(queued);
+    },
+
+    /**
+     * Look up a job
+     * @param {String} jobId - the job
+     * @returns {Object|null} the job, with its position
+     */
+    get(jobId) {
+      return withPosition(
+        jobs.find((job) => {
+          return job.jobId === jobId;
+        }),
+      );
+    },
+
+    /**
+     * Find the queued or running job for a key
+     * @param {String} key - the job key
+     * @returns {Object|null} the job, with its position
+     */
+    findActive(key) {
+      return withPosition(
+        jobs.find((job) => {
+          return job.key === key && (job.state === 'queued' || job.state === 'running');
+        }),
+      );
+    },
+
+    /**
+     * Every job we know about: running, then queued in run order, then finished (newest first)
+     * @returns {Object[]} the jobs, with their positions
+     */
+    list() {
+      const running = jobs.filter((job) => {
+        return job.state === 'running';
+      });
+      const finished = jobs
+        .filter((job) => {
+          return job.state === 'done' || job.state === 'failed';
+        })
+        .sort((a, b) => {
+          return b.finishedAt.localeCompare(a.finishedAt);
+        });
+      return running.concat(runOrder(), finished).map(withPosition);
+    },
+
+    /**
+     * Change the priority of a queued job
+     * @param {String} jobId - the job
+     * @param {Number} priority - the new priority, higher runs first
+     * @returns {Object} the job, with its new position
+     * @throws {Error} if the job doesn't exist or isn't queued any more
+     */
+    reprioritize(jobId, priority) {
+      const job = jobs.find((job) => {
+        return job.jobId === jobId;
+      });
+      if (!job) throw new Error(`job ${jobId} not found`);
+      if (job.state !== 'queued')
+        throw new Error(`job ${jobId} is ${job.state}, only queued jobs can be reprioritized`);
+      job.priority = Number(priority) || 0;
+      changed(job);
+      return withPosition(job);
+    },
+
+    /**
+     * Take a queued job out of the queue, it's marked failed
+     * @param {String} jobId - the job
+     * @param {String} reason - why
+     * @returns {Object} the job
+     * @throws {Error} if the job doesn't exist or isn't queued any more
+     */
+    remove(jobId, reason = 'removed') {
+      const job = jobs.find((job) => {
+        return job.jobId === jobId;
+      });
+      if (!job) throw new Error(`job ${jobId} not found`);
+      if (job.state !== 'queued') throw new Error(`job ${jobId} is ${job.state}, only queued jobs can be removed`);
+      finish(job, 'failed', { status: reason, reason: reason }, null);
+      return job;
+    },
+
+    runningCount: runningCount,
+
+    /**
+     * Start running jobs, including any restored from disk \
+     * Interrupted jobs go through onInterrupted first
+     * @returns {Promise<Object[]>} resolves with the interrupted jobs once they've been dealt with and the queue is running
+     */
+    async start() {
+      const recovered = interruptedJobs;
+      interruptedJobs = [];
+      for (const job of recovered) {
+        if (typeof options.onInterrupted !== 'function') break;
+        try {
+          await options.onInterrupted(job);
+        } catch (error) {
+          log.error(`Unable to recover job ${job.jobId} (${job.key}):`, error);
+        }
+        changed(job);
+      }
+      started = true;
+      schedule();
+      return recovered;
+    },
+  };
+}
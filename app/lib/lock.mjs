@@ -38,12 +38,53 @@ export function acquireLock(lockId = '') {
       if (error) {
         return reject(error);
       } else {
+        // Record who holds it so orphaned locks can be found later
+        try {
+          // eslint-disable-next-line security/detect-non-literal-fs-filename
+          fs.writeFileSync(lockPath, String(process.pid));
+        } catch (error) {
+          log.warn(`Unable to record owner of ${lockPath}:`, error.message);
+        }
         return resolve(true);
       }
     });
   });
 }
 
+/**
+ * Find the pid that holds a lock
+ * @param {String} lockId - the lock to check
+ * @returns {Number|null} the owner's pid, or null if the lock doesn't exist or doesn't record an owner
+ */
+export function lockOwner(lockId = '') {
+  const lockPath = path.resolve(`${lockDir}/${lockId}`);
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    const pid = parseInt(fs.readFileSync(lockPath, 'utf8'));
+    return isNaN(pid) ? null : pid;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a lock was left behind by a process that no longer exists
+ * @param {String} lockId - the lock to check
+ * @returns {Boolean} true if the lock exists and its owner is gone
+ */
+export function isOrphanedLock(lockId = '') {
+  const pid = lockOwner(lockId);
+  if (pid === null || pid === process.pid) return false;
+  try {
+    // Signal 0 only checks the process exists
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    // EPERM means it exists but belongs to someone else
+    return error.code === 'ESRCH';
+  }
+}
+
 /**
  * Attempt to remove a lockfile
  * @param {String} moduleIdent the module's moduleIdent
@@ -1,5 +1,9 @@
 'use strict';
 
+// Our libs
+import { redact } from './redact.mjs';
+import { currentTrace } from './traceContext.mjs';
+
 // External libs
 import { default as chalk } from 'chalk';
 import { default as loglevel } from 'loglevel';
@@ -13,7 +17,8 @@ import { default as prefix } from 'loglevel-plugin-prefix';
  * log.log('log'); \
  * log.info('info'); \
  * log.warn('warn'); \
- * log.error('error');
+ * log.error('error'); \
+ * Lines logged as part of a trace (see lib/trace.mjs) carry its traceId/spanId after the module ident
  * @param {String} module - the module ident to report in logs
  * @returns {loglevel.getLogger} the logging interface
  */
@@ -40,12 +45,28 @@ export function setupLog(module = 'unknown') {
       string += `${chalk.gray(`${timestamp}`)} `;
       string += `${colors[level.toUpperCase()](level.slice(0, 2))} `;
       string += `${name.slice(0, 16).padEnd(16)}`;
+      const trace = currentTrace();
+      if (trace) string += ` ${chalk.gray(`${trace.traceId}/${trace.spanId}`)}`;
       return string;
     },
   });
 
   // Return the logger for our module
   const log = loglevel.getLogger(module);
+
+  // Everything logged goes through redact() first, loggers are shared so only wrap it once
+  if (!log.redacted) {
+    const methodFactory = log.methodFactory;
+    log.methodFactory = (methodName, logLevel, loggerName) => {
+      const method = methodFactory(methodName, logLevel, loggerName);
+      return (...args) => {
+        return method(...args.map(redact));
+      };
+    };
+    log.redacted = true;
+    // Rebuild the logging methods with our factory
+    log.setLevel(log.getLevel(), false);
+  }
   return log;
 }
 
@@ -0,0 +1,37 @@
+'use strict';
+
+// Our libs
+import { setupLog } from './log.mjs';
+
+// Nodejs stdlib
+import { default as fs } from 'node:fs';
+
+const log = setupLog('lib/privateFile.mjs');
+
+/**
+ * Refuse files holding secrets that anyone but us could have read or written \
+ * They have to be owned by us (or root), and not be accessible by group or other
+ * @param {String} file - the file
+ * @param {String} what - what it is, for the error
+ * @returns {Boolean} false if it doesn't exist
+ * @throws {Error} if it's accessible by other users
+ */
+export function checkPrivateFile(file, what) {
+  var stats;
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    stats = fs.statSync(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+  if (stats.mode & 0o077) {
+    log.error(`Refusing to use ${file}, it's accessible by other users (mode ${(stats.mode & 0o777).toString(8)})`);
+    throw new Error(`${what} ${file} must only be accessible by its owner (chmod 600)`);
+  }
+  if (stats.uid !== 0 && stats.uid !== process.getuid()) {
+    log.error(`Refusing to use ${file}, it's owned by uid ${stats.uid}`);
+    throw new Error(`${what} ${file} must be owned by root or uid ${process.getuid()}`);
+  }
+  return true;
+}
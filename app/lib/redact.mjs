@@ -0,0 +1,101 @@
+'use strict';
+
+// No logging in here, lib/log.mjs runs everything it logs through redact()
+
+// Keys whose values are never sent or logged, matched against object keys anywhere in a payload
+const sensitiveKeyPattern = /password|passphrase|secret/i;
+
+// What redacted values are replaced with
+export const redactedValue = '[redacted]';
+
+// Secret values we've seen, scrubbed from any string they turn up in (steamcmd echoing a password, etc)
+const knownSecrets = new Set();
+
+// Anything shorter would scrub half the alphabet out of our logs
+const minimumSecretLength = 4;
+
+/**
+ * Remember a secret value so it's scrubbed from every string that passes through redact() from now on
+ * @param {String} secret - the secret, ie a password once it's been loaded
+ * @returns {Void}
+ */
+export function registerSecret(secret) {
+  if (typeof secret === 'string' && secret.length >= minimumSecretLength) knownSecrets.add(secret);
+}
+
+/**
+ * Is this key one we never send or log the value of?
+ * @param {String} key - an object key
+ * @returns {Boolean} true if it's sensitive
+ */
+export function isSensitiveKey(key) {
+  return sensitiveKeyPattern.test(String(key));
+}
+
+/**
+ * Scrub known secrets out of a string
+ * @param {String} string - the string
+ * @returns {String} the string, with every registered secret replaced
+ */
+export function redactString(string) {
+  var redacted = string;
+  for (const secret of knownSecrets) {
+    if (redacted.includes(secret)) redacted = redacted.split(secret).join(redactedValue);
+  }
+  return redacted;
+}
+
+/**
+ * Make a copy of a value that's safe to send or log \
+ * Sensitive keys in plain objects and arrays are replaced (however deep), and known secrets are scrubbed from strings. \
+ * Errors get their message and stack scrubbed, other class instances (streams, etc) are passed through untouched.
+ * @param {*} value - anything
+ * @returns {*} the redacted copy, or value itself if there was nothing to redact
+ */
+export function redact(value) {
+  return redactValue(value, new WeakMap());
+}
+
+// seen maps objects we've already been through to their copies, so cycles come out as cycles
+function redactValue(value, seen) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return seen.get(value);
+
+  if (value instanceof Error) {
+    const message = redactString(value.message);
+    const stack = value.stack ? redactString(value.stack) : value.stack;
+    if (message === value.message && stack === value.stack) return value;
+    const copy = new Error(message);
+    copy.stack = stack;
+    return copy;
+  }
+
+  // Leave class instances alone, we don't know how to copy them
+  const prototype = Object.getPrototypeOf(value);
+  if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) return value;
+
+  const copy = Array.isArray(value) ? [] : {};
+  seen.set(value, copy);
+  for (const [key, item] of Object.entries(value)) {
+    // Empty values stay visible, it's useful to know nothing was set
+    // eslint-disable-next-line security/detect-object-injection
+    copy[key] = isSensitiveKey(key) && item ? redactedValue : redactValue(item, seen);
+  }
+  return copy;
+}
+
+/**
+ * Redact an IPC payload \
+ * JSON payloads have sensitive keys replaced as well as known secrets scrubbed, anything else just gets scrubbed
+ * @param {String|Buffer} payload - the payload as it would be published
+ * @returns {String|Buffer} the payload to publish instead
+ */
+export function redactPayload(payload) {
+  if (typeof payload !== 'string') return payload;
+  try {
+    return JSON.stringify(redact(JSON.parse(payload)));
+  } catch (error) {
+    return redactString(payload);
+  }
+}
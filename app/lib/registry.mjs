@@ -0,0 +1,242 @@
+'use strict';
+
+// Our libs
+import { getDirName } from './dirname.mjs';
+import { setupLog } from './log.mjs';
+
+// Nodejs stdlib
+import { default as fs } from 'node:fs';
+import { default as os } from 'node:os';
+import { default as path } from 'node:path';
+
+const log = setupLog('lib/registry.mjs');
+
+// Modules announce themselves on registry.announce when they start, when their state changes and every
+// heartbeatInterval, and on registry.deregister from exit(). bin/registry.mjs keeps the list, answers registry.list
+// and publishes every change on registry.watch.<moduleIdent>
+const heartbeatInterval = 10 * 1000;
+
+// Seconds without a heartbeat before the registry gives up on a module
+export const registryExpiry = 30;
+
+// Seconds between registry.list checks while waiting on a module, in case a change went by unseen
+const waitPollInterval = 5;
+
+// Ours, announced with every module
+const version = readVersion();
+const host = os.hostname();
+
+// moduleIdent => { ipc, channels, state, startedAt, timer }
+const registered = new Map();
+
+/**
+ * Is a module in a state to serve requests? \
+ * It isn't while it's starting (init) or after an error. Anything else (ready, running, ...) it is. \
+ * It's the module's own state, a request that failed doesn't make a module that can take the next one not ready
+ * @param {String} state - the state it announced, the same as its ping reply status
+ * @returns {Boolean} true if it is
+ */
+export function isReady(state) {
+  return !['init', ''].includes(String(state || '')) && !String(state).startsWith('error');
+}
+
+/**
+ * Start announcing a module to the registry \
+ * Done by setupIpc, the module's state comes from setPingReply
+ * @param {String} moduleIdent - the module's moduleIdent
+ * @param {qfsq.QlobberFSQ} ipc - the module's ipc object
+ * @param {Function} channels - () => String[], the channels it currently serves
+ * @returns {Void}
+ */
+export function registerModule(moduleIdent, ipc, channels) {
+  const registration = { ipc: ipc, channels: channels, state: 'init', startedAt: Date.now(), timer: null };
+  registered.set(moduleIdent, registration);
+  registration.timer = setInterval(() => {
+    announce(moduleIdent);
+  }, heartbeatInterval);
+  // It's what keeps the module running, not this
+  registration.timer.unref();
+
+  // A registry that's just started wants to hear from everyone now, not at the next heartbeat
+  ipc.subscribe('_broadcast.registryStarted', () => {
+    announce(moduleIdent);
+  });
+}
+
+/**
+ * Tell the registry a module's state changed
+ * @param {String} moduleIdent - the module's moduleIdent
+ * @param {String} state - its new state, ie 'ready'
+ * @returns {Void}
+ */
+export function setModuleState(moduleIdent, state) {
+  const registration = registered.get(moduleIdent);
+  if (!registration || registration.state === state) return;
+  registration.state = state;
+  announce(moduleIdent);
+}
+
+/**
+ * Take a module out of the registry, done by exit()
+ * @param {String} moduleIdent - the module's moduleIdent
+ * @returns {Void}
+ */
+export function deregisterModule(moduleIdent) {
+  const registration = registered.get(moduleIdent);
+  if (!registration) return;
+  clearInterval(registration.timer);
+  registered.delete(moduleIdent);
+  try {
+    registration.ipc.publish(
+      'registry.deregister',
+      JSON.stringify({ moduleIdent: moduleIdent, pid: process.pid, host: host, timestamp: Date.now() }),
+    );
+  } catch (error) {
+    log.warn(`Unable to deregister ${moduleIdent}:`, error.message);
+  }
+}
+
+/**
+ * Ask the registry which modules are running \
+ * setupIpc attaches it as ipc.registry.list(options)
+ * @param {qfsq.QlobberFSQ} ipc - the ipc object
+ * @param {Object} options
+ * @param {String[]} options.expected - [] - moduleIdents that should be, any that aren't come back in missing
+ * @param {String} options.channel - 'registry.list' - where to ask, ie on another host
+ * @param {Number} options.timeout - 10 - seconds to wait for the registry
+ * @returns {Promise<Object>} { modules, duplicates, missing } - modules are { moduleIdent, version, pid, host,
+ * channels, state, ready, startedAt, lastSeen }, duplicates are { moduleIdent, host, pids }
+ */
+export function listModules(ipc, options = { expected: [], channel: 'registry.list', timeout: 10 }) {
+  return ipc.request(
+    options.channel || 'registry.list',
+    { expected: options.expected || [] },
+    { timeout: options.timeout || 10 },
+  );
+}
+
+/**
+ * Follow changes to the registry \
+ * setupIpc attaches it as ipc.registry.watch(handler)
+ * @param {qfsq.QlobberFSQ} ipc - the ipc object
+ * @param {Function} handler - (change) => {}, change being { event, module, timestamp }, event one of registered,
+ * changed, deregistered or expired
+ * @param {Object.<String>} options
+ * @param {String} options.moduleIdent - '' - only changes to this module
+ * @returns {Function} () => {} to stop watching
+ */
+export function watchModules(ipc, handler, options = { moduleIdent: '' }) {
+  const topic = `registry.watch.${options.moduleIdent || '#'}`;
+  const onChange = (data) => {
+    handler(JSON.parse(data));
+  };
+  ipc.subscribe(topic, onChange);
+  return () => {
+    ipc.unsubscribe(topic, onChange);
+  };
+}
+
+/**
+ * Wait until a module that's ready is registered \
+ * Either a particular module, or any module serving a channel (whatever its moduleIdent)
+ * @param {qfsq.QlobberFSQ} ipc - the ipc object
+ * @param {Object} match
+ * @param {String} match.moduleIdent - the module, ie 'downloadManager'
+ * @param {String} match.channel - or a channel it serves, ie 'configManager.downloadUpdateRepo'
+ * @param {Object.<Number>} options
+ * @param {Number} options.timeout - 30 - seconds to wait
+ * @returns {Promise<Object>} resolves with its registry entry, rejects on timeout
+ */
+export function waitForModule(ipc, match = { moduleIdent: '', channel: '' }, options = { timeout: 30 }) {
+  const wanted = match.moduleIdent || match.channel;
+  const matches = (module) => {
+    if (match.moduleIdent && module.moduleIdent !== match.moduleIdent) return false;
+    if (match.channel && !(module.channels || []).includes(match.channel)) return false;
+    return isReady(module.state);
+  };
+
+  return new Promise((resolve, reject) => {
+    var timer = null;
+    var poller = null;
+    var unwatch = null;
+    var done = false;
+    var warnedDuplicate = false;
+
+    const finish = (error, module) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      clearInterval(poller);
+      if (unwatch) unwatch();
+      return error ? reject(error) : resolve(module);
+    };
+
+    const check = async () => {
+      var list;
+      try {
+        list = await listModules(ipc, { timeout: waitPollInterval });
+      } catch (error) {
+        log.debug(`Registry didn't answer while waiting for ${wanted}:`, error.message);
+        return;
+      }
+      const duplicate = list.duplicates.find((duplicate) => {
+        return duplicate.moduleIdent === match.moduleIdent;
+      });
+      if (duplicate && !warnedDuplicate) {
+        log.warn(
+          `${duplicate.moduleIdent} is running more than once on ${duplicate.host}: ${duplicate.pids.join(', ')}`,
+        );
+        warnedDuplicate = true;
+      }
+      const module = list.modules.find(matches);
+      if (module) finish(null, module);
+    };
+
+    timer = setTimeout(() => {
+      finish(new Error(`no ready module for ${wanted} within ${options.timeout || 30}s`));
+    }, (options.timeout || 30) * 1000);
+    unwatch = watchModules(ipc, (change) => {
+      if (['registered', 'changed'].includes(change.event) && matches(change.module)) finish(null, change.module);
+    });
+    poller = setInterval(check, waitPollInterval * 1000);
+    check();
+  });
+}
+
+/**
+ * Announce a module to the registry
+ * @param {String} moduleIdent - the module's moduleIdent
+ * @returns {Void}
+ */
+function announce(moduleIdent) {
+  const registration = registered.get(moduleIdent);
+  if (!registration) return;
+  const entry = {
+    moduleIdent: moduleIdent,
+    version: version,
+    pid: process.pid,
+    host: host,
+    channels: registration.channels(),
+    state: registration.state,
+    startedAt: registration.startedAt,
+    timestamp: Date.now(),
+  };
+  try {
+    registration.ipc.publish('registry.announce', JSON.stringify(entry));
+  } catch (error) {
+    log.warn(`Unable to announce ${moduleIdent} to the registry:`, error.message);
+  }
+}
+
+/**
+ * Our version, from package.json
+ * @returns {String} ie '0.4.20', 'unknown' if it can't be read
+ */
+function readVersion() {
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    return JSON.parse(fs.readFileSync(path.resolve(getDirName(), '../../package.json'), 'utf8')).version;
+  } catch (error) {
+    return 'unknown';
+  }
+}
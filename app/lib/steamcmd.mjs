@@ -2,6 +2,8 @@
 
 // Our libs
 import { downloadFile } from './fileDownload.mjs';
+import { generateSteamGuardCode, secondsUntilNextCode } from './steamGuard.mjs';
+import { parseVdf, readVdfFile } from './vdf.mjs';
 import { setupLog, isoTimestamp } from './log.mjs';
 import { parseBool } from './parseBool.mjs';
 
@@ -24,10 +26,106 @@ const steamcmdDebug = parseBool(process.env.DEBUG_STEAMCMD) || false;
 const steamcmdUrl =
   process.env.STEAMCMD_DOWNLOAD_URL || 'https://steamcdn-a.akamaihd.net/client/installer/steamcmd_linux.tar.gz';
 
+// Steamcmd asking for a steam guard code (email or mobile authenticator)
+const steamGuardPromptRegex = /(?:Steam Guard|Two[- ]factor) code:\s*$/i;
+
+// Known steamcmd error lines
+// Checked in order, first match wins
+// category is one of auth, network, disk, license
+export const steamCmdErrorPatterns = [
+  {
+    code: 'NO_SUBSCRIPTION',
+    category: 'license',
+    pattern: /No subscription/i,
+    message: 'The logged in account does not own this app',
+  },
+  {
+    code: 'MISSING_CONFIGURATION',
+    category: 'license',
+    pattern: /Missing configuration/i,
+    message: 'Steam did not return a configuration for this app',
+  },
+  {
+    code: 'INVALID_PASSWORD',
+    category: 'auth',
+    pattern: /Invalid Password/i,
+    message: 'Steam rejected the username or password',
+  },
+  {
+    code: 'TWO_FACTOR_MISMATCH',
+    category: 'auth',
+    pattern: /(?:Two-factor code mismatch|Invalid Login Auth Code|Steam Guard code mismatch)/i,
+    message: 'Steam rejected the steam guard code',
+  },
+  {
+    code: 'ACCOUNT_LOGON_DENIED',
+    category: 'auth',
+    pattern: /Account Logon Denied/i,
+    message: 'Steam requires a steam guard code for this account',
+  },
+  {
+    code: 'RATE_LIMIT_EXCEEDED',
+    category: 'auth',
+    pattern: /Rate Limit Exceeded/i,
+    message: 'Too many login attempts, steam is rate limiting this host',
+  },
+  {
+    code: 'DISK_WRITE_FAILURE',
+    category: 'disk',
+    pattern: /Disk write failure/i,
+    message: 'Steamcmd could not write to the download directory',
+  },
+  {
+    code: 'NOT_ENOUGH_DISK_SPACE',
+    category: 'disk',
+    pattern: /Not enough disk space/i,
+    message: 'Not enough free disk space for the download',
+  },
+  {
+    code: 'WORKSHOP_DOWNLOAD_FAILED',
+    category: 'network',
+    pattern: /Download item \d+ failed/i,
+    message: 'Steam workshop item download failed',
+  },
+  {
+    code: 'TIMEOUT',
+    category: 'network',
+    // ERROR! Failed to install app '740' (Timeout) / Timed out waiting for ..., not every line mentioning a timeout
+    pattern: /^\s*(?:ERROR!.*\(Timeout\)\s*$|Timed out waiting\b)/i,
+    message: 'Timed out talking to steam',
+  },
+  {
+    code: 'NO_CONNECTION',
+    category: 'network',
+    pattern: /(?:No Connection|Failed to connect)/i,
+    message: 'Could not connect to steam',
+  },
+];
+
+// What to do when steamcmd fails
+// Checked in order, first match wins - so fail-fast entries go before the generic exit code ones
+// exitCode and errorCode (from steamCmdErrorPatterns) are both optional, if both are set both have to match
+export const steamCmdFailurePolicies = [
+  { errorCode: 'NO_SUBSCRIPTION', action: 'fail' },
+  { errorCode: 'MISSING_CONFIGURATION', action: 'retry' },
+  { errorCode: 'TIMEOUT', action: 'retry' },
+  { exitCode: 8, action: 'retry' },
+];
+
+// Default retry behaviour, manifests can override any of these with manifest.steamcmdRetry
+export const steamCmdRetryDefaults = {
+  maxAttempts: 3, // total attempts including the first one
+  backoffSeconds: 5, // delay before the first retry
+  backoffMultiplier: 2, // delay grows by this much each retry
+  backoffMaxSeconds: 300, // but never gets longer than this
+};
+
 // Signal forwarder for steamcmd child processes
 // We need this so we don't attach multiple listeners to process.on('SIGTERM')
 // that we then have problems cleaning up later on
 const steamCmdChildSignalForwarder = new events.EventEmitter();
+// Each running steamcmd has its own listener, there can be a few at once with DOWNLOAD_CONCURRENCY above 1
+steamCmdChildSignalForwarder.setMaxListeners(0);
 
 // Handle SIGTERM when steamcmd is running
 process.on('SIGTERM', () => {
@@ -47,11 +145,18 @@ process.on('SIGINT', () => {
  * @param {Boolean} options.anonymous - login anonymous
  * @param {String} options.username - login username
  * @param {String} options.password - login password
+ * @param {Boolean} options.steamcmdMultiFactorEnabled - the account has steam guard enabled
+ * @param {String} options.twoFactorSecret - base64 shared secret to generate steam guard codes locally
+ * @param {Function} options.twoFactorCodeProvider - async (attempt) => code, used when no secret is provided
+ * @param {Number} options.twoFactorMaxAttempts - give up after this many rejected codes
+ * @param {Object} options.retry - retry/backoff overrides, see steamCmdRetryDefaults
+ * @param {String} options.betaBranch - steam beta branch to download, empty for the default (public) branch
+ * @param {String} options.betaPassword - password for private beta branches
  * @param {String} options.steamCmdDir - path to steamcmd install directory
  * @param {String} options.downloadDir - path to server files base directory
  * @param {Stream.Passthrough} outputSink - output sink for verbose messages
  * @param {Stream.Passthrough} progressSink - output sink for progress messages
- * @param {Stream.PassThrough} commandSink - input sink for commands (currently only supports "cancel")
+ * @param {Stream.PassThrough} commandSink - input sink for commands ("cancel" or "kill"), retry notices are pushed back up it
  * @returns {Promise<Number>} resolves when download is complete, rejects on error
  */
 export function steamCmdDownloadAppid(
@@ -62,6 +167,13 @@ export function steamCmdDownloadAppid(
     anonymous: true,
     username: '',
     password: '',
+    steamcmdMultiFactorEnabled: false,
+    twoFactorSecret: '',
+    twoFactorCodeProvider: null,
+    twoFactorMaxAttempts: 3,
+    retry: steamCmdRetryDefaults,
+    betaBranch: '',
+    betaPassword: '',
     steamCmdDir: '',
     downloadDir: '',
   },
@@ -94,6 +206,18 @@ export function steamCmdDownloadAppid(
     // eslint-disable-next-line no-prototype-builtins
     const password = options.hasOwnProperty('password') ? options.password : null;
 
+    // how many rejected steam guard codes we put up with
+    // eslint-disable-next-line no-prototype-builtins
+    const twoFactorMaxAttempts = options.hasOwnProperty('twoFactorMaxAttempts') ? options.twoFactorMaxAttempts : 3;
+
+    // beta branch to install
+    // eslint-disable-next-line no-prototype-builtins
+    const betaBranch = options.hasOwnProperty('betaBranch') ? options.betaBranch : null;
+
+    // and its password (if it has one)
+    // eslint-disable-next-line no-prototype-builtins
+    const betaPassword = options.hasOwnProperty('betaPassword') ? options.betaPassword : null;
+
     // default steamCmdDir to empty string
     // eslint-disable-next-line no-prototype-builtins, prettier/prettier
     const steamCmdDir = options.hasOwnProperty('steamCmdDir') 
@@ -116,6 +240,21 @@ export function steamCmdDownloadAppid(
       return reject(new Error('appid required'));
     }
 
+    // The branch goes in the steamcmd script, which is split on spaces, keep it to a plain name
+    if (betaBranch && !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(betaBranch)) {
+      log.error(`steamCmdDownloadAppid called with invalid betaBranch ${betaBranch}`);
+      return reject(new Error(`invalid betaBranch ${betaBranch}`));
+    }
+
+    // Figure out where steam guard codes come from
+    var codeProvider = null;
+    try {
+      codeProvider = steamGuardCodeProvider(options);
+    } catch (error) {
+      log.error(`steamCmdDownloadAppid: ${error.message}`);
+      return reject(error);
+    }
+
     // Clean up old game files if specified
     if (serverFilesForce) {
       if (debug) {
@@ -165,23 +304,40 @@ export function steamCmdDownloadAppid(
       ? steamcmdCommandLine.push('+login anonymous')
       : steamcmdCommandLine.push(`+login ${username} ${password}`);
 
+    // Build the app_update command
+    var appUpdate = `+app_update ${appid}`;
+
+    // Handle beta branches
+    if (betaBranch && betaBranch !== 'public') {
+      appUpdate += ` -beta ${betaBranch}`;
+      if (betaPassword) appUpdate += ` -betapassword ${betaPassword}`;
+    }
+
     // Handle validation
-    validate
-      ? steamcmdCommandLine.push(`+app_update ${appid} validate`)
-      : steamcmdCommandLine.push(`+app_update ${appid}`);
+    if (validate) appUpdate += ' validate';
+
+    steamcmdCommandLine.push(appUpdate);
 
     // Quit at the end
     steamcmdCommandLine.push('+quit');
 
     // Log that we're about to run steamcmd
-    log.info(`Spawning SteamCMD to download/update appid ${appid} in ${downloadDir}`);
+    log.info(
+      `Spawning SteamCMD to download/update appid ${appid}${
+        betaBranch && betaBranch !== 'public' ? ` (branch ${betaBranch})` : ''
+      } in ${downloadDir}`,
+    );
 
     // Now actually run steamcmd
-    runSteamCmd(
+    runSteamCmdWithRetries(
       {
         script: steamcmdCommandLine,
         steamCmdDir: steamCmdDir,
+        twoFactorCodeProvider: codeProvider,
+        twoFactorMaxAttempts: twoFactorMaxAttempts,
       },
+      // eslint-disable-next-line no-prototype-builtins
+      options.hasOwnProperty('retry') ? options.retry : {},
       outputSink,
       progressSink,
       commandSink,
@@ -198,11 +354,413 @@ export function steamCmdDownloadAppid(
   });
 }
 
+/**
+ * Download/update steam workshop items
+ * @param {Object.<Number, Boolean, String>} options
+ * @param {Number} options.appid - the appid the workshop items belong to (the game, not the dedicated server)
+ * @param {String[]} options.itemIds - workshop item ids to download
+ * @param {Boolean} options.anonymous - login anonymous
+ * @param {String} options.username - login username
+ * @param {String} options.password - login password
+ * @param {Boolean} options.steamcmdMultiFactorEnabled - the account has steam guard enabled
+ * @param {String} options.twoFactorSecret - base64 shared secret to generate steam guard codes locally
+ * @param {Function} options.twoFactorCodeProvider - async (attempt) => code, used when no secret is provided
+ * @param {Number} options.twoFactorMaxAttempts - give up after this many rejected codes
+ * @param {Object} options.retry - retry/backoff overrides, see steamCmdRetryDefaults
+ * @param {String} options.steamCmdDir - path to steamcmd install directory
+ * @param {String} options.downloadDir - path to the workshop directory (steamcmd force_install_dir)
+ * @param {Stream.Passthrough} outputSink - output sink for verbose messages
+ * @param {Stream.Passthrough} progressSink - output sink for progress messages
+ * @param {Stream.PassThrough} commandSink - input sink for commands ("cancel", or "kill" if cancel is ignored)
+ * @returns {Promise<Object>} resolves with the steamcmd result plus result.items from readWorkshopItems, rejects on error
+ */
+export function steamCmdDownloadWorkshopItems(
+  options = {
+    appid: 0,
+    itemIds: [],
+    anonymous: true,
+    username: '',
+    password: '',
+    steamcmdMultiFactorEnabled: false,
+    twoFactorSecret: '',
+    twoFactorCodeProvider: null,
+    twoFactorMaxAttempts: 3,
+    retry: steamCmdRetryDefaults,
+    steamCmdDir: '',
+    downloadDir: '',
+  },
+  outputSink = Stream.PassThrough,
+  progressSink = Stream.PassThrough,
+  commandSink = Stream.PassThrough,
+) {
+  return new Promise((resolve, reject) => {
+    // eslint-disable-next-line no-prototype-builtins
+    const appid = options.hasOwnProperty('appid') ? options.appid : 0;
+    // eslint-disable-next-line no-prototype-builtins
+    const itemIds = options.hasOwnProperty('itemIds') ? options.itemIds : [];
+    // eslint-disable-next-line no-prototype-builtins
+    const anonymous = options.hasOwnProperty('anonymous') ? options.anonymous : true;
+    // eslint-disable-next-line no-prototype-builtins
+    const steamCmdDir = options.hasOwnProperty('steamCmdDir') ? path.normalize(path.resolve(options.steamCmdDir)) : '';
+    // eslint-disable-next-line no-prototype-builtins
+    const downloadDir = options.hasOwnProperty('downloadDir') ? path.normalize(path.resolve(options.downloadDir)) : '';
+
+    // Bail out on missing options
+    if (steamCmdDir === '' || downloadDir === '') {
+      log.error('steamCmdDownloadWorkshopItems called without steamCmdDir or downloadDir');
+      return reject(new Error('steamCmdDir and downloadDir required'));
+    }
+    if (!appid) {
+      log.error('steamCmdDownloadWorkshopItems called without appid');
+      return reject(new Error('appid required'));
+    }
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      log.error('steamCmdDownloadWorkshopItems called without itemIds');
+      return reject(new Error('itemIds required'));
+    }
+    // Item ids end up on the steamcmd command line, so be strict about them
+    const invalidItemIds = itemIds.filter((itemId) => {
+      return !/^[0-9]+$/.test(String(itemId));
+    });
+    if (invalidItemIds.length > 0) {
+      log.error('steamCmdDownloadWorkshopItems called with invalid itemIds:', invalidItemIds);
+      return reject(new Error(`invalid itemIds: ${invalidItemIds.join(', ')}`));
+    }
+
+    // Figure out where steam guard codes come from
+    var codeProvider = null;
+    try {
+      codeProvider = steamGuardCodeProvider(options);
+    } catch (error) {
+      log.error(`steamCmdDownloadWorkshopItems: ${error.message}`);
+      return reject(error);
+    }
+
+    // Create downloadDir if necessary
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      fs.mkdirSync(downloadDir, { recursive: true, mode: 0o755 });
+    } catch (error) {
+      log.error(error);
+      return reject(error);
+    }
+
+    // Setup steamcmd command line / inline script
+    const steamcmdCommandLine = [];
+    steamcmdCommandLine.push(`+force_install_dir ${downloadDir}`);
+    anonymous
+      ? steamcmdCommandLine.push('+login anonymous')
+      : steamcmdCommandLine.push(`+login ${options.username} ${options.password}`);
+    for (const itemId of itemIds) {
+      steamcmdCommandLine.push(`+workshop_download_item ${appid} ${itemId}`);
+    }
+    steamcmdCommandLine.push('+quit');
+
+    log.info(`Spawning SteamCMD to download ${itemIds.length} workshop item(s) for appid ${appid} in ${downloadDir}`);
+
+    runSteamCmdWithRetries(
+      {
+        script: steamcmdCommandLine,
+        steamCmdDir: steamCmdDir,
+        twoFactorCodeProvider: codeProvider,
+        // eslint-disable-next-line no-prototype-builtins
+        twoFactorMaxAttempts: options.hasOwnProperty('twoFactorMaxAttempts') ? options.twoFactorMaxAttempts : 3,
+      },
+      // eslint-disable-next-line no-prototype-builtins
+      options.hasOwnProperty('retry') ? options.retry : {},
+      outputSink,
+      progressSink,
+      commandSink,
+    )
+      .then((result) => {
+        if (debug) log.debug('steamcmd result:', result);
+        // Report what's actually installed now
+        if (result.status === 'completed') {
+          result.items = readWorkshopItems(downloadDir, appid, itemIds);
+        }
+        return resolve(result);
+      })
+      .catch((error) => {
+        return reject(error);
+      });
+  });
+}
+
+/**
+ * Read installed workshop item info from steamapps/workshop/appworkshop_<appid>.acf
+ * @param {String} downloadDir - the directory workshop items were downloaded to
+ * @param {Number} appid - the appid the workshop items belong to
+ * @param {String[]} itemIds - only return these items (optional)
+ * @returns {Object} { <itemId>: { timeUpdated, size, manifest } }, timeUpdated is null for items that aren't installed
+ */
+export function readWorkshopItems(downloadDir, appid, itemIds = []) {
+  const acf = readVdfFile(path.resolve(downloadDir, 'steamapps', 'workshop', `appworkshop_${appid}.acf`));
+  const installed = acf && acf.AppWorkshop && acf.AppWorkshop.WorkshopItemsInstalled;
+  const items = {};
+
+  // Everything in the acf unless we were asked for specific items
+  const wanted = itemIds.length > 0 ? itemIds.map(String) : Object.keys(installed || {});
+  for (const itemId of wanted) {
+    // eslint-disable-next-line security/detect-object-injection
+    const item = installed ? installed[itemId] : null;
+    // eslint-disable-next-line security/detect-object-injection
+    items[itemId] = {
+      timeUpdated: item && item.timeupdated ? Number(item.timeupdated) : null,
+      size: item && item.size ? Number(item.size) : null,
+      manifest: item && item.manifest ? item.manifest : null,
+    };
+  }
+  return items;
+}
+
+/**
+ * Read install info from steamapps/appmanifest_<appid>.acf
+ * @param {String} downloadDir - the directory the app was installed to
+ * @param {Number} appid - the steam appid
+ * @returns {Object|null} { buildId, betaKey, sizeOnDisk, lastUpdated }, or null if the app isn't installed
+ */
+export function readAppManifest(downloadDir, appid) {
+  const acf = readVdfFile(path.resolve(downloadDir, 'steamapps', `appmanifest_${appid}.acf`));
+  if (!acf || !acf.AppState) return null;
+  const appState = acf.AppState;
+  return {
+    buildId: appState.buildid || null,
+    betaKey: (appState.UserConfig && appState.UserConfig.betakey) || '',
+    sizeOnDisk: appState.SizeOnDisk ? Number(appState.SizeOnDisk) : null,
+    lastUpdated: appState.LastUpdated ? Number(appState.LastUpdated) : null,
+  };
+}
+
+/**
+ * Estimate how much disk an app takes once installed, from its app info \
+ * Adds up the manifest sizes (or maxsize on older app info) of every depot for the given os
+ * @param {Object} appInfo - parsed app info, as returned by steamCmdGetAppInfo
+ * @param {String} branch - branch to size up, falls back to public for depots without a manifest on that branch
+ * @param {String} os - only count depots for this os
+ * @returns {Number|null} estimated bytes, or null if the app info doesn't carry any sizes
+ */
+export function estimateAppInstallSize(appInfo, branch = 'public', os = 'linux') {
+  if (!appInfo || !appInfo.depots) return null;
+  var total = 0;
+  var sized = false;
+  for (const [depotId, depot] of Object.entries(appInfo.depots)) {
+    // Skip branches and the like, depots are numeric
+    if (!/^\d+$/.test(depotId) || typeof depot !== 'object') continue;
+    // Skip depots for other operating systems
+    const oslist = depot.config && depot.config.oslist;
+    if (oslist && !oslist.split(',').includes(os)) continue;
+
+    const manifests = depot.manifests || {};
+    // eslint-disable-next-line security/detect-object-injection
+    const manifest = manifests[branch] || manifests.public;
+    if (manifest && typeof manifest === 'object' && manifest.size) {
+      total += Number(manifest.size);
+      sized = true;
+    } else if (depot.maxsize) {
+      total += Number(depot.maxsize);
+      sized = true;
+    }
+  }
+  return sized ? total : null;
+}
+
+/**
+ * Fetch app info from steam with +app_info_print
+ * @param {Object.<Number, Boolean, String>} options
+ * @param {Number} options.appid - the steam appid
+ * @param {Boolean} options.anonymous - login anonymous
+ * @param {String} options.username - login username
+ * @param {String} options.password - login password
+ * @param {Boolean} options.steamcmdMultiFactorEnabled - the account has steam guard enabled
+ * @param {String} options.twoFactorSecret - base64 shared secret to generate steam guard codes locally
+ * @param {Function} options.twoFactorCodeProvider - async (attempt) => code, used when no secret is provided
+ * @param {String} options.steamCmdDir - path to steamcmd install directory
+ * @param {Stream.Passthrough} outputSink - output sink for verbose messages
+ * @param {Stream.Passthrough} progressSink - output sink for progress messages
+ * @param {Stream.PassThrough} commandSink - input sink for commands (currently only supports "cancel")
+ * @returns {Promise<Object>} resolves with the parsed app info (the contents of the "<appid>" block), rejects on error \
+ * or with { status: 'canceled' } if it's canceled
+ */
+export function steamCmdGetAppInfo(
+  options = {
+    appid: 0,
+    anonymous: true,
+    username: '',
+    password: '',
+    steamcmdMultiFactorEnabled: false,
+    twoFactorSecret: '',
+    twoFactorCodeProvider: null,
+    steamCmdDir: '',
+  },
+  outputSink = Stream.PassThrough,
+  progressSink = Stream.PassThrough,
+  commandSink = Stream.PassThrough,
+) {
+  return new Promise((resolve, reject) => {
+    // eslint-disable-next-line no-prototype-builtins
+    const appid = options.hasOwnProperty('appid') ? options.appid : 0;
+    // eslint-disable-next-line no-prototype-builtins
+    const anonymous = options.hasOwnProperty('anonymous') ? options.anonymous : true;
+    // eslint-disable-next-line no-prototype-builtins
+    const steamCmdDir = options.hasOwnProperty('steamCmdDir') ? path.normalize(path.resolve(options.steamCmdDir)) : '';
+
+    if (steamCmdDir === '') {
+      log.error('steamCmdGetAppInfo called without steamCmdDir');
+      return reject(new Error('steamCmdDir required'));
+    }
+    if (!appid) {
+      log.error('steamCmdGetAppInfo called without appid');
+      return reject(new Error('appid required'));
+    }
+
+    // Figure out where steam guard codes come from
+    var codeProvider = null;
+    try {
+      codeProvider = steamGuardCodeProvider(options);
+    } catch (error) {
+      log.error(`steamCmdGetAppInfo: ${error.message}`);
+      return reject(error);
+    }
+
+    // Collect the output so we can pick the app info out of it
+    const lines = [];
+    const collectOutput = (data) => {
+      lines.push(JSON.parse(data).line);
+    };
+    outputSink.on('data', collectOutput);
+
+    // Setup steamcmd command line / inline script
+    const steamcmdCommandLine = [];
+    anonymous
+      ? steamcmdCommandLine.push('+login anonymous')
+      : steamcmdCommandLine.push(`+login ${options.username} ${options.password}`);
+    // Make sure we aren't looking at cached info
+    steamcmdCommandLine.push('+app_info_update 1');
+    steamcmdCommandLine.push(`+app_info_print ${appid}`);
+    steamcmdCommandLine.push('+quit');
+
+    runSteamCmd(
+      {
+        script: steamcmdCommandLine,
+        steamCmdDir: steamCmdDir,
+        twoFactorCodeProvider: codeProvider,
+      },
+      outputSink,
+      progressSink,
+      commandSink,
+    )
+      .then((code) => {
+        outputSink.removeListener('data', collectOutput);
+        // Canceled part way through, whatever we got isn't the whole story
+        if (code.status === 'canceled') return reject(code);
+        const appInfo = extractAppInfo(lines, appid);
+        if (!appInfo) {
+          return reject(new Error(`No app info returned for appid ${appid}`));
+        }
+        return resolve(appInfo);
+      })
+      .catch((error) => {
+        outputSink.removeListener('data', collectOutput);
+        return reject(error);
+      });
+  });
+}
+
+/**
+ * Get the current buildid of a branch from steam
+ * @param {Object} options - steamCmdGetAppInfo options, plus options.betaBranch
+ * @param {String} options.betaBranch - branch to look up, empty for public
+ * @param {Stream.Passthrough} outputSink - output sink for verbose messages
+ * @param {Stream.Passthrough} progressSink - output sink for progress messages
+ * @param {Stream.PassThrough} commandSink - input sink for commands (currently only supports "cancel")
+ * @returns {Promise<String>} resolves with the buildid, rejects if the branch doesn't exist
+ */
+export async function steamCmdGetRemoteBuildId(options, outputSink, progressSink, commandSink) {
+  const branch = options.betaBranch || 'public';
+  const appInfo = await steamCmdGetAppInfo(options, outputSink, progressSink, commandSink);
+  const branches = appInfo.depots && appInfo.depots.branches;
+  // eslint-disable-next-line security/detect-object-injection
+  if (!branches || !branches[branch] || !branches[branch].buildid) {
+    throw new Error(`Branch ${branch} not found in app info for appid ${options.appid}`);
+  }
+  // eslint-disable-next-line security/detect-object-injection
+  return branches[branch].buildid;
+}
+
+/**
+ * Pick the "<appid>" { ... } block out of app_info_print output and parse it
+ * @param {String[]} lines - steamcmd output lines
+ * @param {Number} appid - the appid we asked for
+ * @returns {Object|null} the parsed block, or null if it isn't there
+ */
+function extractAppInfo(lines, appid) {
+  const start = lines.findIndex((line) => {
+    return line.trim() === `"${appid}"`;
+  });
+  if (start === -1) return null;
+
+  // Collect lines until the braces balance out again
+  const block = [];
+  var depth = 0;
+  var opened = false;
+  for (let i = start; i < lines.length; i++) {
+    // eslint-disable-next-line security/detect-object-injection
+    const line = lines[i];
+    block.push(line);
+    depth += (line.match(/\{/g) || []).length;
+    depth -= (line.match(/\}/g) || []).length;
+    if (depth > 0) opened = true;
+    if (opened && depth <= 0) break;
+  }
+
+  try {
+    const parsed = parseVdf(block.join('\n'));
+    return parsed[String(appid)] || null;
+  } catch (error) {
+    log.error('Unable to parse app info:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Build the steam guard code provider passed to runSteamCmd
+ * @param {Object} options - steamCmdDownloadAppid style options
+ * @param {Boolean} options.anonymous - login anonymous
+ * @param {Boolean} options.steamcmdMultiFactorEnabled - the account has steam guard enabled
+ * @param {String} options.twoFactorSecret - base64 shared secret to generate steam guard codes locally
+ * @param {Function} options.twoFactorCodeProvider - async (attempt) => code, used when no secret is provided
+ * @returns {Function|null} async (attempt) => code, or null if steam guard isn't in play
+ * @throws {Error} if steam guard is enabled but there's no way to get a code
+ */
+function steamGuardCodeProvider(options = {}) {
+  // eslint-disable-next-line no-prototype-builtins
+  const anonymous = options.hasOwnProperty('anonymous') ? options.anonymous : true;
+  if (anonymous || !options.steamcmdMultiFactorEnabled) return null;
+
+  if (options.twoFactorSecret) {
+    // Generate codes locally, waiting for a fresh code window if steam rejected the last one
+    return async (attempt) => {
+      if (attempt > 1) {
+        const wait = secondsUntilNextCode();
+        log.info(`Waiting ${wait}s for the next steam guard code`);
+        await new Promise((resolve) => {
+          return setTimeout(resolve, wait * 1000);
+        });
+      }
+      return generateSteamGuardCode(options.twoFactorSecret);
+    };
+  } else if (typeof options.twoFactorCodeProvider === 'function') {
+    return options.twoFactorCodeProvider;
+  }
+  throw new Error('steamcmdMultiFactorEnabled requires twoFactorSecret or twoFactorCodeProvider');
+}
+
 /**
  * Download/Update steamcmd itself
  * @param {Object.<Boolean, String>} options
  * @param {Boolean} options.force - remove existing steamcmd files before downloading
  * @param {String} options.steamCmdDir - path to steamcmd install directory
+ * @param {Stream.PassThrough} progressSink - optional output sink for progress messages
  * @returns {Promise<Number>} resolves when download is complete, rejects on error
  */
 export function steamCmdDownloadSelf(
@@ -210,6 +768,7 @@ export function steamCmdDownloadSelf(
     force: false,
     steamCmdDir: '',
   },
+  progressSink = null,
 ) {
   return new Promise((resolve, reject) => {
     // Verify steamCmdDir was provided, reject if it wasn't
@@ -252,7 +811,24 @@ export function steamCmdDownloadSelf(
             recursive: true,
             mode: 0o755,
           });
-          downloadFile(steamcmdUrl, steamCmdDir, { untar: true })
+          downloadFile(steamcmdUrl, steamCmdDir, {
+            untar: true,
+            onProgress: (progress) => {
+              if (!progressSink) return;
+              progressSink.push(
+                JSON.stringify({
+                  downloadStage: 'steamcmd_download',
+                  downloadStateHex: null,
+                  downloadState: 'downloading',
+                  downloadProgress: progress.total ? ((progress.bytes / progress.total) * 100).toFixed(2) : null,
+                  downloadProgressReceived: String(progress.bytes),
+                  downloadProgressTotal: progress.total ? String(progress.total) : null,
+                  downloadRate: progress.rate,
+                  progressLine: `steamcmd ${progress.bytes} / ${progress.total || '?'}`,
+                }),
+              );
+            },
+          })
             .then(() => {
               return resolve();
             })
@@ -270,20 +846,158 @@ export function steamCmdDownloadSelf(
   });
 }
 
+/**
+ * Turn a line of steamcmd output into a structured error
+ * @param {String} line - a single line of steamcmd output
+ * @returns {Object.<String>|null} { code, category, message, line, timestamp } or null if it isn't a known error
+ */
+export function parseSteamCmdError(line = '') {
+  for (const known of steamCmdErrorPatterns) {
+    if (known.pattern.test(line)) {
+      return {
+        code: known.code,
+        category: known.category,
+        message: known.message,
+        line: line.trim(),
+        timestamp: isoTimestamp(),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Decide what a steamcmd failure means using steamCmdFailurePolicies
+ * @param {Number} exitCode - steamcmd exit code
+ * @param {Object[]} errors - structured errors seen during the run, from parseSteamCmdError
+ * @returns {Object} { reason, action, error } - action is 'retry' or 'fail', error is the matching structured error (if any)
+ */
+export function classifySteamCmdFailure(exitCode, errors = []) {
+  for (const policy of steamCmdFailurePolicies) {
+    // eslint-disable-next-line no-prototype-builtins
+    if (policy.hasOwnProperty('exitCode') && policy.exitCode !== exitCode) continue;
+    var matched = null;
+    // eslint-disable-next-line no-prototype-builtins
+    if (policy.hasOwnProperty('errorCode')) {
+      matched = errors.find((error) => {
+        return error.code === policy.errorCode;
+      });
+      if (!matched) continue;
+    }
+    // Fall back to the most recent error for exit code only policies
+    const error = matched || errors[errors.length - 1] || null;
+    return { reason: error ? error.message : `exit code ${exitCode}`, action: policy.action, error: error };
+  }
+  const error = errors[errors.length - 1] || null;
+  return { reason: error ? error.message : `exit code ${exitCode}`, action: 'fail', error: error };
+}
+
+/**
+ * Run steamcmd, retrying failures that steamCmdFailurePolicies says are worth retrying \
+ * Each retry is pushed up commandSink as { status: 'retry', ... }
+ * @param {Object} options - passed through to runSteamCmd
+ * @param {Object} retryOptions - overrides for steamCmdRetryDefaults
+ * @param {Stream.Passthrough} outputSink - output sink for verbose messages
+ * @param {Stream.Passthrough} progressSink - output sink for progress messages
+ * @param {Stream.PassThrough} commandSink - input sink for commands
+ * @returns {Promise<Object>} resolves with the last steamcmd result, rejects when out of attempts or on a fail-fast error
+ */
+async function runSteamCmdWithRetries(options, retryOptions, outputSink, progressSink, commandSink) {
+  const retry = Object.assign({}, steamCmdRetryDefaults, retryOptions || {});
+
+  // Watch for cancels that come in while we're sleeping between attempts
+  var canceled = false;
+  const onCommand = (command) => {
+    command = JSON.parse(command);
+    if (command.command === 'cancel') canceled = true;
+  };
+  commandSink.on('data', onCommand);
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await runSteamCmd(options, outputSink, progressSink, commandSink);
+        result.attempts = attempt;
+        return result;
+      } catch (error) {
+        // Real errors (spawn failures, shutdown, etc) and fail-fast codes bubble straight up
+        if (error instanceof Error || !error.failure || error.failure.action !== 'retry') throw error;
+        // So does running out of attempts
+        if (attempt >= retry.maxAttempts) {
+          log.error(`Steamcmd failed (${error.failure.reason}) after ${attempt} attempts, giving up`);
+          error.attempts = attempt;
+          throw error;
+        }
+
+        // Work out how long to back off
+        const delaySeconds = Math.min(
+          retry.backoffSeconds * Math.pow(retry.backoffMultiplier, attempt - 1),
+          retry.backoffMaxSeconds,
+        );
+        const line = `Steamcmd failed (${error.failure.reason}), retrying in ${delaySeconds}s (attempt ${
+          attempt + 1
+        } of ${retry.maxAttempts})`;
+        log.warn(line);
+        outputSink.push(
+          JSON.stringify({
+            timestamp: isoTimestamp(),
+            line: line,
+          }),
+        );
+        commandSink.push(
+          JSON.stringify({
+            timestamp: isoTimestamp(),
+            status: 'retry',
+            attempt: attempt + 1,
+            maxAttempts: retry.maxAttempts,
+            delaySeconds: delaySeconds,
+            reason: error.failure.reason,
+            exitCode: error.exitCode,
+            error: error.failure.error,
+          }),
+        );
+
+        // Sleep it off, checking for cancels
+        for (let waited = 0; waited < delaySeconds && !canceled; waited++) {
+          await new Promise((resolve) => {
+            return setTimeout(resolve, 1000);
+          });
+        }
+        if (canceled) {
+          log.info('Download canceled on request while waiting to retry');
+          commandSink.push(
+            JSON.stringify({
+              timestamp: isoTimestamp(),
+              status: 'ackCanceled',
+            }),
+          );
+          return { exitCode: error.exitCode, signal: 0, reason: 'canceled', status: 'canceled', error: false };
+        }
+      }
+    }
+  } finally {
+    commandSink.removeListener('data', onCommand);
+  }
+}
+
 /**
  * Spawn SteamCMD to run a cmdline script
  * @param {Object.<String, String>} options
  * @param {String[]} options.script - steamcmd script to run
  * @param {String} options.steamCmdDir - steamcmd install directory
+ * @param {Function} options.twoFactorCodeProvider - async (attempt) => code, called when steamcmd asks for a code
+ * @param {Number} options.twoFactorMaxAttempts - give up after this many code prompts
  * @param {Stream.Passthrough} outputSink - output sink for verbose messages
  * @param {Stream.Passthrough} progressSink - output sink for progress messages
- * @param {Stream.PassThrough} commandSink - input sink for commands (currently only supports "cancel")
+ * @param {Stream.PassThrough} commandSink - input sink for commands ("cancel", or "kill" if cancel is ignored)
  * @returns {Promise<Number>} resolves with steamcmd exit code when script is complete, rejects on error
  */
 export function runSteamCmd(
   options = {
     script: [''],
     steamCmdDir: '',
+    twoFactorCodeProvider: null,
+    twoFactorMaxAttempts: 3,
   },
   outputSink = Stream.PassThrough, // raw output
   progressSink = Stream.PassThrough, // parsed progress messages
@@ -320,6 +1034,9 @@ export function runSteamCmd(
         // eslint-disable-next-line security/detect-object-injection
         logDisplayCmdline[i] = '+login <redacted>';
       }
+      // Same for beta branch passwords
+      // eslint-disable-next-line security/detect-object-injection
+      logDisplayCmdline[i] = logDisplayCmdline[i].replace(/-betapassword \S+/, '-betapassword <redacted>');
     }
 
     // Convert ["+login anonymous"] into ["+login", "anonymous"] and etc
@@ -336,14 +1053,32 @@ export function runSteamCmd(
     // And a "cancel in progress" one
     var cancelInProgress = false;
 
+    // Steam guard state
+    // eslint-disable-next-line no-prototype-builtins
+    const twoFactorCodeProvider = options.hasOwnProperty('twoFactorCodeProvider')
+      ? options.twoFactorCodeProvider
+      : null;
+    // eslint-disable-next-line no-prototype-builtins
+    const twoFactorMaxAttempts = options.hasOwnProperty('twoFactorMaxAttempts') ? options.twoFactorMaxAttempts : 3;
+    var twoFactorAttempts = 0;
+    var twoFactorError = null;
+
+    // Structured errors seen during this run, used to classify failures
+    const detectedErrors = [];
+
     // Listen to commandSink for cancel commands
-    commandSink.on('data', (command) => {
+    const onCommand = (command) => {
       command = JSON.parse(command);
       if (command.command === 'cancel' && steamcmdChild) {
         cancelInProgress = true;
         steamcmdChild.kill('SIGTERM');
+      } else if (command.command === 'kill' && steamcmdChild) {
+        // For a steamcmd too wedged to notice SIGTERM
+        cancelInProgress = true;
+        steamcmdChild.kill('SIGKILL');
       }
-    });
+    };
+    commandSink.on('data', onCommand);
 
     try {
       if (debug) {
@@ -371,11 +1106,20 @@ export function runSteamCmd(
     // Yes we have to do that grossness where we split on '\r\n'
     // Valve doesn't know how to stdout
     // TODO: make this a transform stream (lol you wish)
+    // Chunks from the pty don't line up with lines, so hang on to the incomplete tail
+    var partialLine = '';
     steamcmdChild.onData((rawData) => {
       // First make sure it's a string (you never know...)
       rawData = rawData.toString();
-      // Split it on newlines (thanks valve)
-      var dataArray = rawData.split('\r\n');
+      // Split it on newlines (thanks valve), gluing last chunk's leftovers on the front
+      var dataArray = (partialLine + rawData).split('\r\n');
+      // The last element is incomplete unless the chunk ended on a newline
+      partialLine = dataArray.pop();
+      // Prompts never get a newline, don't sit on them
+      if (steamGuardPromptRegex.test(partialLine)) {
+        dataArray.push(partialLine);
+        partialLine = '';
+      }
       // Run across the array we just created
       for (let i = 0; i < dataArray.length; i++) {
         // eslint-disable-next-line security/detect-object-injection
@@ -393,6 +1137,28 @@ export function runSteamCmd(
             }),
           );
 
+          //
+          // Steam guard prompts
+          if (steamGuardPromptRegex.test(line)) {
+            handleSteamGuardPrompt();
+          }
+
+          //
+          // Known error lines
+          const steamcmdError = parseSteamCmdError(line);
+          if (steamcmdError) {
+            log.warn(`Steamcmd error ${steamcmdError.code} (${steamcmdError.category}): ${steamcmdError.message}`);
+            detectedErrors.push(steamcmdError);
+            // Pass it up so the caller can track it
+            commandSink.push(
+              JSON.stringify({
+                timestamp: isoTimestamp(),
+                status: 'steamcmdError',
+                error: steamcmdError,
+              }),
+            );
+          }
+
           //
           // Parse it for progress indications
           //
@@ -454,14 +1220,97 @@ export function runSteamCmd(
             // Send the object
             progressSink.push(JSON.stringify(progressSnapshot));
           }
+
+          //
+          // Downloading workshop items
+          // Downloading item 123456789 ...
+          // Success. Downloaded item 123456789 to "/opt/gsm/workshop/csgo/..." (12345678 bytes)
+          const workshopItemStartRegex = /Downloading item ([\d]+) \.\.\./;
+          const workshopItemDoneRegex = /Success\. Downloaded item ([\d]+) to "(.*)" \(([\d]+) bytes\)/;
+          if (workshopItemStartRegex.test(line) || workshopItemDoneRegex.test(line)) {
+            const done = workshopItemDoneRegex.test(line);
+            const workshopMatch = done ? line.match(workshopItemDoneRegex) : line.match(workshopItemStartRegex);
+
+            // Build the progress object to send out
+            const progressSnapshot = {
+              downloadStage: 'workshop_download',
+              downloadStateHex: null,
+              downloadState: done ? 'downloaded' : 'downloading',
+              downloadProgress: done ? '100.00' : null,
+              downloadProgressReceived: done ? workshopMatch[3] : null,
+              downloadProgressTotal: done ? workshopMatch[3] : null,
+              itemId: workshopMatch[1],
+              progressLine: line,
+            };
+
+            // Send the object
+            progressSink.push(JSON.stringify(progressSnapshot));
+          }
         }
       }
     });
 
+    /**
+     * Answer a steam guard prompt with a code from twoFactorCodeProvider
+     * @returns {Void}
+     */
+    function handleSteamGuardPrompt() {
+      twoFactorAttempts++;
+
+      // Nothing to answer with, or steam keeps rejecting us
+      if (typeof twoFactorCodeProvider !== 'function') {
+        twoFactorError = new Error('steam guard code requested but no code provider configured');
+      } else if (twoFactorAttempts > twoFactorMaxAttempts) {
+        twoFactorError = new Error(`steam guard code rejected ${twoFactorMaxAttempts} times, giving up`);
+      }
+      if (twoFactorError) {
+        log.error(twoFactorError.message);
+        steamcmdChild.kill('SIGTERM');
+        return;
+      }
+
+      log.info(`Steamcmd requested a steam guard code (attempt ${twoFactorAttempts} of ${twoFactorMaxAttempts})`);
+      outputSink.push(
+        JSON.stringify({
+          timestamp: isoTimestamp(),
+          line: `Steam guard code requested (attempt ${twoFactorAttempts} of ${twoFactorMaxAttempts})`,
+        }),
+      );
+
+      // Fetch a code and type it into the prompt
+      twoFactorCodeProvider(twoFactorAttempts)
+        .then((code) => {
+          steamcmdChild.write(`${code}\r`);
+          return;
+        })
+        .catch((error) => {
+          log.error('Unable to get a steam guard code:', error);
+          twoFactorError = error;
+          steamcmdChild.kill('SIGTERM');
+        });
+    }
+
     // Hook steamcmd exit
     steamcmdChild.onExit(async (code) => {
       // first remove our onData listener from above (and any others that it might have picked up)
       steamcmdChild.removeAllListeners();
+      // and stop listening for commands, a retry will add its own listener
+      commandSink.removeListener('data', onCommand);
+      // Same for shutdown signals, leaving any other steamcmd's alone
+      steamCmdChildSignalForwarder.removeListener('exitSignal', onExitSignal);
+
+      // Flush whatever was left without a trailing newline
+      if (partialLine.trim() != '') {
+        outputSink.push(
+          JSON.stringify({
+            timestamp: isoTimestamp(),
+            line: partialLine,
+          }),
+        );
+        const steamcmdError = parseSteamCmdError(partialLine);
+        if (steamcmdError) detectedErrors.push(steamcmdError);
+        partialLine = '';
+      }
 
       // if exit code is 42, we need to re-launch steamcmd
       if (cancelInProgress) {
@@ -482,6 +1331,9 @@ export function runSteamCmd(
         code.status = 'canceled';
         code.error = false;
         return resolve(code);
+      } else if (twoFactorError) {
+        // We killed steamcmd because login couldn't complete
+        return reject(twoFactorError);
       } else if (code.exitCode === 42) {
         // Spawn steamcmd again, saving the exit code to retryExitCode
         if (debug) {
@@ -514,22 +1366,24 @@ export function runSteamCmd(
         }
         return resolve(code);
       } else {
-        // Otherwise reject any unknown exit codes
-        // TODO: come back and implement retries for known exit codes
+        // Otherwise reject, telling the caller whether it's worth retrying
         log.warn(`Steamcmd exited with code ${code.exitCode} because of signal ${code.signal}`);
         code.error = true;
+        code.errors = detectedErrors;
+        code.failure = classifySteamCmdFailure(code.exitCode, detectedErrors);
+        code.reason = code.failure.reason;
+        code.status = 'failed';
         return reject(code);
       }
     });
 
-    // Cleanup exitSignal emitter
-    steamCmdChildSignalForwarder.removeAllListeners();
-    // And add a listener to handle sigterm/sigint
-    steamCmdChildSignalForwarder.once('exitSignal', () => {
+    // And add a listener to handle sigterm/sigint, removed again when this steamcmd exits
+    function onExitSignal() {
       process.stdout.write('\n');
       log.info('Caught SIGTERM/SIGINT while running steamcmd, sending SIGTERM...');
       steamcmdChild.kill('SIGTERM');
       return reject(new Error('SHUTDOWN'));
-    });
+    }
+    steamCmdChildSignalForwarder.once('exitSignal', onExitSignal);
   });
 }
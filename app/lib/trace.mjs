@@ -0,0 +1,173 @@
+'use strict';
+
+// Our libs
+import { setupLog } from './log.mjs';
+import { currentTrace, isTraceId, newSpanId, newTraceId } from './traceContext.mjs';
+
+// Nodejs stdlib
+import { default as fs } from 'node:fs';
+import { default as os } from 'node:os';
+import { default as path } from 'node:path';
+
+const log = setupLog('lib/trace.mjs');
+
+const mgrTmpDir = process.env.MANAGER_TMPDIR || '/tmp/gsm';
+
+// Finished spans, one file of JSON lines per trace, shared by every module on the host
+export const traceDir = path.resolve(process.env.TRACE_DIR || `${mgrTmpDir}/traces`);
+// Hours a trace is kept after its last span was written
+const traceTtl = parseFloat(process.env.TRACE_TTL) || 24;
+
+// Milliseconds between sweeps for traces older than traceTtl
+const pruneInterval = 60 * 60 * 1000;
+var lastPruned = 0;
+
+// Spans started and not yet ended, exit() ends them
+const openSpans = new Set();
+
+const host = os.hostname();
+
+/**
+ * Start a span, a timed piece of work within a trace \
+ * It's a child of the current span (see lib/traceContext.mjs), or the root of a new trace if there isn't one. Run
+ * what it covers with runWithTrace(span.context, fn) so anything that does is its child in turn. \
+ * It's written to the trace store when it's ended.
+ * @param {String} moduleIdent - the module doing the work
+ * @param {String} name - what it is, ie 'downloadManager.downloadUpdateGame'
+ * @param {Object} options
+ * @param {String} options.kind - 'internal' - client (sent a request), server (handled one) or internal
+ * @param {Object} options.attributes - {} - anything worth knowing about it, ie { requestId }
+ * @returns {Object} { traceId, spanId, parentSpanId, context, end(status, attributes) }
+ */
+export function startSpan(moduleIdent, name, options = { kind: 'internal', attributes: {} }) {
+  const parent = currentTrace();
+  const span = {
+    traceId: parent ? parent.traceId : newTraceId(),
+    spanId: newSpanId(),
+    parentSpanId: parent ? parent.spanId : null,
+    name: name,
+    kind: options.kind || 'internal',
+    moduleIdent: moduleIdent,
+    host: host,
+    pid: process.pid,
+    start: Date.now(),
+    attributes: Object.assign({}, options.attributes),
+  };
+  span.context = { traceId: span.traceId, spanId: span.spanId };
+
+  /**
+   * End it and write it out, only the first call counts
+   * @param {String} status - 'ok' - how it went, ie error, nack, timeout
+   * @param {Object} attributes - {} - added to the ones it started with
+   * @returns {Void}
+   */
+  span.end = (status = 'ok', attributes = {}) => {
+    if (!openSpans.has(span)) return;
+    openSpans.delete(span);
+    const end = Date.now();
+    writeSpan({
+      traceId: span.traceId,
+      spanId: span.spanId,
+      parentSpanId: span.parentSpanId,
+      name: span.name,
+      kind: span.kind,
+      moduleIdent: span.moduleIdent,
+      host: span.host,
+      pid: span.pid,
+      start: span.start,
+      end: end,
+      duration: end - span.start,
+      status: status,
+      attributes: Object.assign(span.attributes, attributes),
+    });
+  };
+
+  openSpans.add(span);
+  return span;
+}
+
+/**
+ * End every span that's still open, done by exit()
+ * @param {String} status - what to end them with, ie 'exit 2'
+ * @returns {Void}
+ */
+export function endOpenSpans(status) {
+  Array.from(openSpans).forEach((span) => {
+    span.end(status);
+  });
+}
+
+/**
+ * Read back the spans written for a trace on this host
+ * @param {String} traceId - the trace
+ * @returns {Object[]} its spans, earliest start first, [] if there aren't any
+ * @throws {Error} if it isn't a trace id
+ */
+export function readTrace(traceId) {
+  if (!isTraceId(traceId)) throw new Error(`${traceId} isn't a trace id`);
+  var lines = [];
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    lines = fs
+      .readFileSync(path.resolve(traceDir, `${traceId}.jsonl`), 'utf8')
+      .split('\n')
+      .filter(Boolean);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const spans = [];
+  lines.forEach((line) => {
+    try {
+      spans.push(JSON.parse(line));
+    } catch (error) {
+      // A line cut short by a crash, the rest are fine
+    }
+  });
+  return spans.sort((a, b) => {
+    return a.start - b.start;
+  });
+}
+
+/**
+ * Append a finished span to its trace's file
+ * @param {Object} record - the span
+ * @returns {Void}
+ */
+function writeSpan(record) {
+  if (Date.now() - lastPruned > pruneInterval) prune();
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fs.mkdirSync(traceDir, { recursive: true, mode: 0o700 });
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fs.appendFileSync(path.resolve(traceDir, `${record.traceId}.jsonl`), `${JSON.stringify(record)}\n`, {
+      mode: 0o600,
+    });
+  } catch (error) {
+    log.warn(`Unable to write span ${record.spanId} of trace ${record.traceId}:`, error.message);
+  }
+}
+
+/**
+ * Remove traces nothing's been written to in traceTtl hours
+ * @returns {Void}
+ */
+function prune() {
+  lastPruned = Date.now();
+  var files = [];
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    files = fs.readdirSync(traceDir);
+  } catch (error) {
+    return;
+  }
+  files.forEach((name) => {
+    const file = path.resolve(traceDir, name);
+    if (!name.endsWith('.jsonl')) return;
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      if (Date.now() - fs.statSync(file).mtimeMs > traceTtl * 60 * 60 * 1000) fs.rmSync(file, { force: true });
+    } catch (error) {
+      log.warn(`Unable to prune trace file ${file}:`, error.message);
+    }
+  });
+}
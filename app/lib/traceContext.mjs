@@ -0,0 +1,73 @@
+'use strict';
+
+// Nodejs stdlib
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { default as crypto } from 'node:crypto';
+
+// No logging in here, lib/log.mjs reads the current trace for every line
+
+// The trace and span whatever's running now belongs to, { traceId, spanId }
+const storage = new AsyncLocalStorage();
+
+/**
+ * The trace context whatever's running belongs to \
+ * Set by runWithTrace/enterTrace, and carried across timers, promises and callbacks started from there
+ * @returns {Object|null} { traceId, spanId }, null outside of a trace
+ */
+export function currentTrace() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Run something as part of a trace
+ * @param {Object|null} context - { traceId, spanId }, null to run it outside of any trace
+ * @param {Function} fn - what to run
+ * @returns {*} what fn returns
+ */
+export function runWithTrace(context, fn) {
+  return context ? storage.run(context, fn) : storage.exit(fn);
+}
+
+/**
+ * Make everything from here on, in this call and what it starts, part of a trace
+ * @param {Object} context - { traceId, spanId }
+ * @returns {Void}
+ */
+export function enterTrace(context) {
+  storage.enterWith(context);
+}
+
+/**
+ * A new trace id, 32 hex characters
+ * @returns {String} the id
+ */
+export function newTraceId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * A new span id, 16 hex characters
+ * @returns {String} the id
+ */
+export function newSpanId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Is it a trace id? They come off the wire and end up in file names
+ * @param {String} traceId - the id
+ * @returns {Boolean} true if it is
+ */
+export function isTraceId(traceId) {
+  return typeof traceId === 'string' && /^[0-9a-f]{32}$/.test(traceId);
+}
+
+/**
+ * The trace context a message carries
+ * @param {Object} message - a request or reply, parsed
+ * @returns {Object|null} { traceId, spanId }, null if it doesn't carry a valid one
+ */
+export function messageTrace(message) {
+  if (!message || !isTraceId(message.traceId) || !/^[0-9a-f]{16}$/.test(String(message.spanId))) return null;
+  return { traceId: message.traceId, spanId: message.spanId };
+}
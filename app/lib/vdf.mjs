@@ -0,0 +1,80 @@
+'use strict';
+
+// Our libs
+import { setupLog } from './log.mjs';
+
+// Nodejs stdlib
+import { default as fs } from 'node:fs';
+import { default as path } from 'node:path';
+
+const log = setupLog('lib/vdf.mjs');
+
+/**
+ * Parse Valve KeyValues text (.acf, .vdf, app_info_print output) into an object \
+ * Keys are kept as-is, values are always strings
+ * @param {String} text - the KeyValues text
+ * @returns {Object} the parsed object
+ * @throws {Error} on unbalanced braces
+ */
+export function parseVdf(text = '') {
+  const root = {};
+  const stack = [root];
+  var pendingKey = null;
+
+  // Quoted strings (with escapes), braces, or bare words
+  const tokenRegex = /"((?:[^"\\]|\\.)*)"|(\{)|(\})|([^\s{}"]+)/g;
+
+  // Strip line comments first
+  const source = text.replace(/^\s*\/\/.*$/gm, '');
+
+  var match;
+  while ((match = tokenRegex.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match[2]) {
+      // Open a new object under the pending key
+      if (pendingKey === null) throw new Error('Malformed vdf: object without a key');
+      const child = {};
+      // eslint-disable-next-line security/detect-object-injection
+      current[pendingKey] = child;
+      stack.push(child);
+      pendingKey = null;
+    } else if (match[3]) {
+      // Close the current object
+      if (stack.length === 1) throw new Error('Malformed vdf: unbalanced braces');
+      stack.pop();
+      pendingKey = null;
+    } else {
+      // A string, either a key or the value for the pending key
+      const token = match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[4];
+      if (pendingKey === null) {
+        pendingKey = token;
+      } else {
+        // eslint-disable-next-line security/detect-object-injection
+        current[pendingKey] = token;
+        pendingKey = null;
+      }
+    }
+  }
+
+  if (stack.length !== 1) throw new Error('Malformed vdf: unbalanced braces');
+  return root;
+}
+
+/**
+ * Read and parse a KeyValues file
+ * @param {String} file - path to the .acf/.vdf file
+ * @returns {Object|null} the parsed object, or null if the file doesn't exist
+ * @throws {Error} if the file exists but can't be read or parsed
+ */
+export function readVdfFile(file = '') {
+  const filePath = path.normalize(path.resolve(file));
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    const text = fs.readFileSync(filePath, 'utf8');
+    return parseVdf(text);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    log.error(`Unable to read ${filePath}:`, error.message);
+    throw error;
+  }
+}
@@ -3,8 +3,20 @@
 export const manifest = {
   name: 'csgo', // must be one word. should be all lowercase. no - _ . characters allowed
   displayName: 'Counter-Strike: Global Offensive', // whatever you want
-  downloadType: 'steamcmd', // steamcmd is the only implemented method at this time
+  downloadType: 'steamcmd', // steamcmd or direct (see manifests/minecraft.mjs)
   downloadId: '740', // steam appid
+  workshopAppId: '730', // appid workshop items belong to (the game, not the dedicated server)
   binDir: './', // relative to serverFilesBaseDir
   binName: 'srcds_linux', // binary to run
+  betaBranch: '', // optional steam beta branch, empty for the default branch
+  betaPassword: '', // optional password for private beta branches
+  installSize: 0, // optional, bytes needed for a full install, 0 to ask steam
+  validateIntervalHours: 168, // optional, hours between validations while nothing has the base files mounted, 0 for never
+  // optional, overrides lib/steamcmd.mjs steamCmdRetryDefaults
+  steamcmdRetry: {
+    maxAttempts: 3, // total attempts including the first one
+    backoffSeconds: 5, // delay before the first retry
+    backoffMultiplier: 2, // delay grows by this much each retry
+    backoffMaxSeconds: 300, // but never gets longer than this
+  },
 };
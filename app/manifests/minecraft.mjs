@@ -0,0 +1,20 @@
+'use strict';
+
+export const manifest = {
+  name: 'minecraft', // must be one word. should be all lowercase. no - _ . characters allowed
+  displayName: 'Minecraft: Java Edition', // whatever you want
+  downloadType: 'direct', // fetched over http(s), see lib/directDownload.mjs
+  // files to fetch for a direct download, installed in order
+  downloadFiles: [
+    {
+      url: 'https://piston-data.mojang.com/v1/objects/8dd1a28015f51b1803213892b50b7b4fc76e594d/server.jar',
+      sha1: '8dd1a28015f51b1803213892b50b7b4fc76e594d', // sha256 and/or sha1, hex
+      format: 'raw', // tar.gz, zip or raw
+      strip: 0, // leading path components to drop when unpacking archives
+    },
+  ],
+  buildId: '1.20.4', // installed as base/minecraft/builds/<buildId>, bump it with downloadFiles
+  installSize: 67108864, // bytes needed for a full install, used for the free space check
+  binDir: './', // relative to serverFilesBaseDir
+  binName: 'server.jar', // binary to run
+};